@@ -0,0 +1,111 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// --- Configuration ---
+// Entries live in one folder per namespace: extract/ (PDF, DOCX, transcripts) and llm/ (LLM responses)
+const CACHE_NAMESPACES = ['extract', 'llm'];
+
+function getDefaultCacheDir(env = process.env) {
+    return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'summarize');
+}
+
+// --- Helper Functions ---
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Cache keys are hashes of the JSON of their parts, e.g. ['pdf-parse@1.1.1#1', contentHash]
+function cacheKey(keyParts) {
+    return hashContent(JSON.stringify(keyParts));
+}
+
+async function listEntries(namespaceDir) {
+    try {
+        return (await fsPromises.readdir(namespaceDir)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// --- Content Cache ---
+// Returns { enabled, dir, get(namespace, keyParts), set(namespace, keyParts, value) }.
+// A disabled cache misses every lookup and stores nothing. Cache problems never fail a run: they are
+// reported once and the value is recomputed.
+function createCache({ dir = getDefaultCacheDir(), enabled = true } = {}) {
+    let warned = false;
+    const warn = (error) => {
+        if (warned) return;
+        warned = true;
+        console.warn(`Warning: Cache at ${dir} is not usable (${error.message}); continuing without it.`);
+    };
+    const entryPath = (namespace, keyParts) => path.join(dir, namespace, `${cacheKey(keyParts)}.json`);
+
+    return {
+        enabled,
+        dir,
+        async get(namespace, keyParts) {
+            if (!enabled) return undefined;
+            try {
+                const entry = JSON.parse(await fsPromises.readFile(entryPath(namespace, keyParts), 'utf8'));
+                return entry.value;
+            } catch (error) {
+                if (error.code !== 'ENOENT') warn(error);
+                return undefined;
+            }
+        },
+        async set(namespace, keyParts, value) {
+            if (!enabled) return;
+            const target = entryPath(namespace, keyParts);
+            try {
+                await fsPromises.mkdir(path.dirname(target), { recursive: true });
+                // Write then rename, so an interrupted run never leaves a half-written entry behind
+                const temporary = `${target}.${process.pid}.tmp`;
+                await fsPromises.writeFile(temporary, JSON.stringify({ createdAt: new Date().toISOString(), value }), 'utf8');
+                await fsPromises.rename(temporary, target);
+            } catch (error) {
+                warn(error);
+            }
+        },
+    };
+}
+
+// --- `summarize cache` Subcommand ---
+
+// Returns { dir, namespaces: { [namespace]: { entries, bytes } }, entries, bytes }
+async function getCacheStats(dir = getDefaultCacheDir()) {
+    const stats = { dir, namespaces: {}, entries: 0, bytes: 0 };
+    for (const namespace of CACHE_NAMESPACES) {
+        const namespaceDir = path.join(dir, namespace);
+        const names = await listEntries(namespaceDir);
+        let bytes = 0;
+        for (const name of names) {
+            bytes += (await fsPromises.stat(path.join(namespaceDir, name))).size;
+        }
+        stats.namespaces[namespace] = { entries: names.length, bytes };
+        stats.entries += names.length;
+        stats.bytes += bytes;
+    }
+    return stats;
+}
+
+// Remove every cached entry. Returns the stats from before clearing.
+async function clearCache(dir = getDefaultCacheDir()) {
+    const stats = await getCacheStats(dir);
+    for (const namespace of CACHE_NAMESPACES) {
+        await fsPromises.rm(path.join(dir, namespace), { recursive: true, force: true });
+    }
+    return stats;
+}
+
+module.exports = {
+    CACHE_NAMESPACES,
+    getDefaultCacheDir,
+    hashContent,
+    createCache,
+    getCacheStats,
+    clearCache
+};
@@ -0,0 +1,282 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const babelParser = require('@babel/parser');
+
+// --- Configuration ---
+// How much of each source file goes into Section 2:
+//   full: the whole file; skeleton: imports, exports, signatures, type declarations and doc comments, with bodies
+//   elided; outline: only the names of the symbols a file defines
+const DETAIL_LEVELS = ['full', 'skeleton', 'outline'];
+const DEFAULT_DETAIL = 'full';
+const JAVASCRIPT_LANGUAGES = new Set(['javascript', 'jsx', 'typescript', 'tsx']);
+const PYTHON_SCRIPT = path.join(__dirname, 'python_skeleton.py');
+const PYTHON_COMMAND = process.platform === 'win32' ? 'python' : 'python3';
+const PYTHON_TIMEOUT_MS = 30 * 1000;
+const PYTHON_MAX_BUFFER = 64 * 1024 * 1024;
+// Values (data tables, long strings, arrays) spanning more lines than this are elided in skeletons
+const LONG_VALUE_LINES = 5;
+const ELIDED_BODY = '{ /* ... */ }';
+const ELIDED_VALUE = '/* ... */';
+// Stand-ins for files that declare nothing (scripts made only of statements)
+const EMPTY_CONTENT = { skeleton: '(no declarations)', outline: '(no symbols)' };
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+    'ClassMethod', 'ClassPrivateMethod', 'ObjectMethod',
+]);
+const DATA_TYPES = new Set(['ArrayExpression', 'ObjectExpression', 'TemplateLiteral', 'StringLiteral']);
+// Top-level statements a skeleton keeps (plus CommonJS exports and requires, see isKeptStatement)
+const DECLARATION_TYPES = new Set([
+    'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration',
+    'TSExportAssignment', 'TSImportEqualsDeclaration', 'TSNamespaceExportDeclaration',
+    'FunctionDeclaration', 'ClassDeclaration', 'VariableDeclaration',
+    'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration', 'TSModuleDeclaration', 'TSDeclareFunction',
+]);
+
+// --- JavaScript / TypeScript ---
+
+function parseJavaScript(content, language) {
+    const typescript = language === 'typescript' || language === 'tsx';
+    const plugins = ['decorators-legacy'];
+    if (typescript) plugins.push('typescript');
+    if (language !== 'typescript') plugins.push('jsx');
+    return babelParser.parse(content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins,
+    });
+}
+
+function lineSpan(node) {
+    return node.loc.end.line - node.loc.start.line + 1;
+}
+
+// `module.exports = ...`, `module.exports.name = ...` or `exports.name = ...`
+function isExportsTarget(node) {
+    if (node.type !== 'MemberExpression') return false;
+    if (node.object.type === 'Identifier') {
+        return node.object.name === 'exports' || (node.object.name === 'module' && node.property.name === 'exports');
+    }
+    return isExportsTarget(node.object);
+}
+
+function isExportsAssignment(statement) {
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    return Boolean(expression && expression.type === 'AssignmentExpression' && isExportsTarget(expression.left));
+}
+
+function isKeptStatement(statement) {
+    return DECLARATION_TYPES.has(statement.type) || isExportsAssignment(statement);
+}
+
+// Data worth eliding: long literals without any functions or shorthand properties (which usually list exports)
+function isLongData(node) {
+    if (!DATA_TYPES.has(node.type) || lineSpan(node) <= LONG_VALUE_LINES) return false;
+    if (node.type !== 'ObjectExpression') return true;
+    return node.properties.every(property => property.type === 'ObjectProperty' && !property.shorthand && !FUNCTION_TYPES.has(property.value.type));
+}
+
+// Collect the ranges of a kept statement to replace: function bodies and long data values.
+// keepData is set below export assignments, whose objects list the public surface.
+function collectElisions(node, elisions, keepData) {
+    if (!node || typeof node.type !== 'string') return;
+    if (FUNCTION_TYPES.has(node.type)) {
+        if (node.body && node.body.type === 'BlockStatement') {
+            elisions.push({ start: node.body.start, end: node.body.end, text: ELIDED_BODY });
+        } else if (node.body && lineSpan(node.body) > 1) {
+            elisions.push({ start: node.body.start, end: node.body.end, text: ELIDED_VALUE });
+        }
+        return;
+    }
+    if (!keepData && isLongData(node)) {
+        elisions.push({ start: node.start, end: node.end, text: ELIDED_VALUE });
+        return;
+    }
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key.endsWith('Comments')) continue;
+        const value = node[key];
+        const children = Array.isArray(value) ? value : [value];
+        for (const child of children) {
+            if (child && typeof child.type === 'string') collectElisions(child, elisions, keepData);
+        }
+    }
+}
+
+// The source of a statement (from its first leading comment) with the elisions applied
+function statementSkeleton(content, statement) {
+    const comments = statement.leadingComments || [];
+    const start = comments.length > 0 ? Math.min(comments[0].start, statement.start) : statement.start;
+    const elisions = [];
+    collectElisions(statement, elisions, isExportsAssignment(statement));
+    let text = '';
+    let position = start;
+    for (const { start: elisionStart, end, text: replacement } of elisions.sort((a, b) => a.start - b.start)) {
+        text += content.slice(position, elisionStart) + replacement;
+        position = end;
+    }
+    return text + content.slice(position, statement.end);
+}
+
+function javaScriptSkeleton(content, program) {
+    const parts = [];
+    let previousEndLine = null;
+    for (const statement of program.body) {
+        if (!isKeptStatement(statement)) continue;
+        const comments = statement.leadingComments || [];
+        const startLine = comments.length > 0 ? comments[0].loc.start.line : statement.loc.start.line;
+        if (previousEndLine !== null && startLine > previousEndLine + 1) parts.push('');
+        parts.push(statementSkeleton(content, statement));
+        previousEndLine = statement.loc.end.line;
+    }
+    return parts.join('\n');
+}
+
+function keyName(node) {
+    if (!node) return '(anonymous)';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'PrivateName') return `#${node.id.name}`;
+    if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return String(node.value);
+    return '[computed]';
+}
+
+function isRequireCall(node) {
+    return Boolean(node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require');
+}
+
+// Outline lines of one declaration: `kind name`, class members indented below their class
+function declarationOutline(node, prefix) {
+    switch (node.type) {
+        case 'FunctionDeclaration':
+        case 'TSDeclareFunction':
+            return [`${prefix}${node.async ? 'async ' : ''}function ${node.id ? node.id.name : '(default)'}`];
+        case 'ClassDeclaration':
+        case 'ClassExpression': {
+            const lines = [`${prefix}class ${node.id ? node.id.name : '(default)'}`];
+            for (const member of node.body.body) {
+                if (member.type === 'ClassMethod' || member.type === 'ClassPrivateMethod' || member.type === 'TSDeclareMethod') {
+                    if (member.kind === 'constructor') lines.push('  constructor');
+                    else lines.push(`  ${member.static ? 'static ' : ''}${member.kind === 'method' ? 'method' : member.kind} ${keyName(member.key)}`);
+                } else if (member.type === 'ClassProperty' || member.type === 'ClassPrivateProperty' || member.type === 'ClassAccessorProperty') {
+                    lines.push(`  ${member.static ? 'static ' : ''}property ${keyName(member.key)}`);
+                }
+            }
+            return lines;
+        }
+        case 'VariableDeclaration':
+            return node.declarations
+                .filter(declarator => declarator.id.type === 'Identifier' && !isRequireCall(declarator.init))
+                .map(declarator => {
+                    const isFunction = declarator.init && (declarator.init.type === 'ArrowFunctionExpression' || declarator.init.type === 'FunctionExpression');
+                    return `${prefix}${isFunction ? 'function' : node.kind} ${declarator.id.name}`;
+                });
+        case 'TSInterfaceDeclaration':
+            return [`${prefix}interface ${node.id.name}`];
+        case 'TSTypeAliasDeclaration':
+            return [`${prefix}type ${node.id.name}`];
+        case 'TSEnumDeclaration':
+            return [`${prefix}enum ${node.id.name}`];
+        case 'TSModuleDeclaration':
+            return [`${prefix}namespace ${keyName(node.id)}`];
+        default:
+            return prefix.startsWith('export default') ? [`${prefix.trim()}`] : [];
+    }
+}
+
+function exportsOutline(expression) {
+    const { left, right } = expression;
+    if (left.type === 'MemberExpression' && left.property.name !== 'exports') return [`exports ${keyName(left.property)}`];
+    if (right.type === 'ObjectExpression') {
+        const names = right.properties.filter(property => property.key).map(property => keyName(property.key));
+        return [`exports ${names.join(', ')}`];
+    }
+    return [`exports ${right.type === 'Identifier' ? right.name : '(default)'}`];
+}
+
+function javaScriptOutline(program) {
+    const lines = [];
+    for (const statement of program.body) {
+        if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+            lines.push(...declarationOutline(statement.declaration, 'export '));
+        } else if (statement.type === 'ExportNamedDeclaration' && statement.specifiers.length > 0) {
+            lines.push(`export ${statement.specifiers.map(specifier => keyName(specifier.exported)).join(', ')}`);
+        } else if (statement.type === 'ExportDefaultDeclaration') {
+            lines.push(...declarationOutline(statement.declaration, 'export default '));
+        } else if (isExportsAssignment(statement)) {
+            lines.push(...exportsOutline(statement.expression));
+        } else {
+            lines.push(...declarationOutline(statement, ''));
+        }
+    }
+    return lines.join('\n');
+}
+
+function condenseJavaScript(content, language, detail) {
+    const { program } = parseJavaScript(content, language);
+    return detail === 'outline' ? javaScriptOutline(program) : javaScriptSkeleton(content, program);
+}
+
+// --- Python ---
+// Python files are parsed by Python's own ast module (python_skeleton.py), one process per file.
+// mode is 'skeleton', 'outline' or 'imports'; rejects with code ENOENT when Python is not installed.
+function runPythonHelper(mode, content) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(PYTHON_COMMAND, [PYTHON_SCRIPT, mode], { timeout: PYTHON_TIMEOUT_MS, maxBuffer: PYTHON_MAX_BUFFER, encoding: 'utf8' }, (error, stdout, stderr) => {
+            if (error) {
+                if (error.code === 2) error.message = `not valid Python: ${stderr.trim()}`;
+                reject(error);
+            } else {
+                resolve(stdout.replace(/\n$/, ''));
+            }
+        });
+        child.stdin.on('error', () => {}); // The exit status reports why the process went away
+        child.stdin.end(content);
+    });
+}
+
+// --- Skeletonizer ---
+// Condenses file contents to the chosen detail level. condense({ relativePath, content, language }) resolves to
+// { content, detail } with detail 'skeleton' or 'outline', or null when the file stays in full (detail 'full',
+// a language without a parser, or a file that does not parse).
+function createSkeletonizer({ detail = DEFAULT_DETAIL } = {}) {
+    if (!DETAIL_LEVELS.includes(detail)) {
+        throw new Error(`Unknown detail level "${detail}". Choose one of: ${DETAIL_LEVELS.join(', ')}.`);
+    }
+    let pythonAvailable = true;
+
+    async function condenseContent(content, language) {
+        if (JAVASCRIPT_LANGUAGES.has(language)) return condenseJavaScript(content, language, detail);
+        if (language === 'python' && pythonAvailable) return runPythonHelper(detail, content);
+        return null;
+    }
+
+    async function condense({ relativePath, content, language }) {
+        if (detail === 'full' || !content) return null;
+        try {
+            const condensed = await condenseContent(content, language);
+            if (condensed !== null) return { content: condensed || EMPTY_CONTENT[detail], detail };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Files read in parallel may all find Python missing; warn once
+                if (pythonAvailable) console.warn(`Warning: ${PYTHON_COMMAND} not found; Python files are kept in full.`);
+                pythonAvailable = false;
+            } else {
+                console.warn(`Warning: Could not build the ${detail} of ${relativePath} (${error.message}); keeping it in full.`);
+            }
+        }
+        return null;
+    }
+
+    return { detail, condense };
+}
+
+module.exports = {
+    DETAIL_LEVELS,
+    DEFAULT_DETAIL,
+    JAVASCRIPT_LANGUAGES,
+    PYTHON_COMMAND,
+    createSkeletonizer,
+    parseJavaScript,
+    runPythonHelper
+};
@@ -0,0 +1,109 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+// --- Configuration ---
+// Looked up in the project root, first match wins. The bare name may contain JSON or YAML.
+const CONFIG_FILE_NAMES = ['.summarizerc', '.summarizerc.json', '.summarizerc.yaml', '.summarizerc.yml'];
+
+function parseConfigText(text, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext === '.json') {
+        return JSON.parse(text);
+    }
+    if (ext === '.yaml' || ext === '.yml') {
+        return YAML.parse(text);
+    }
+    // Bare .summarizerc: try JSON first (stricter, better error messages), then YAML
+    try {
+        return JSON.parse(text);
+    } catch (jsonError) {
+        return YAML.parse(text);
+    }
+}
+
+// Read the project-level .summarizerc (if any). Returns { config, configPath }, config being {} when absent.
+async function loadProjectConfig(targetDir) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const configPath = path.join(targetDir, fileName);
+        let text;
+        try {
+            text = await fsPromises.readFile(configPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw new Error(`Error reading config file "${configPath}": ${error.message}`);
+        }
+
+        let config;
+        try {
+            config = parseConfigText(text, fileName) || {};
+        } catch (error) {
+            throw new Error(`Error parsing config file "${configPath}": ${error.message}`);
+        }
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`Config file "${configPath}" must contain an object at the top level.`);
+        }
+        return { config, configPath };
+    }
+    return { config: {}, configPath: null };
+}
+
+// Normalise a string-or-array config/CLI value into an array of non-empty strings
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => String(item).trim()).filter(item => item !== '');
+}
+
+// Set top-level keys of the project config (e.g. { include, exclude }), keeping everything else. The first
+// existing config file is updated in place in its own format (YAML comments survive); without one, a YAML
+// .summarizerc is created. Returns the path written.
+async function saveProjectConfig(targetDir, changes, { comment } = {}) {
+    const { configPath } = await loadProjectConfig(targetDir); // Also validates the existing file
+    const targetPath = configPath || path.join(targetDir, CONFIG_FILE_NAMES[0]);
+    const text = configPath ? await fsPromises.readFile(configPath, 'utf8') : '';
+    let isJson = path.extname(targetPath).toLowerCase() === '.json';
+    if (configPath && !isJson && path.extname(targetPath) === '') {
+        try {
+            JSON.parse(text);
+            isJson = true;
+        } catch (error) {
+            isJson = false;
+        }
+    }
+
+    let output;
+    if (isJson) {
+        output = JSON.stringify({ ...(JSON.parse(text || '{}') || {}), ...changes }, null, 2) + '\n';
+    } else {
+        const document = YAML.parseDocument(text);
+        if (!document.contents) document.contents = document.createNode({});
+        if (!configPath && comment) document.commentBefore = ` ${comment}`;
+        for (const [key, value] of Object.entries(changes)) document.set(key, value);
+        output = document.toString();
+    }
+    await fsPromises.writeFile(targetPath, output, 'utf8');
+    return targetPath;
+}
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+// Parse a size from the config or CLI: a number of bytes or a string such as "512KB", "1.5 MB" or "2g".
+// Returns null for undefined/null and throws on anything else that is not a positive size.
+function parseSize(value) {
+    if (value === undefined || value === null) return null;
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/);
+    const bytes = match ? Math.floor(Number(match[1]) * SIZE_UNITS[match[2]]) : 0;
+    if (bytes <= 0) {
+        throw new Error(`Invalid size "${value}". Use a number of bytes or a value such as 500KB, 2MB or 1GB.`);
+    }
+    return bytes;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    loadProjectConfig,
+    saveProjectConfig,
+    toList,
+    parseSize
+};
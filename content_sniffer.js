@@ -0,0 +1,154 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+// --- Configuration ---
+// Only the start of a file is sniffed (git looks at the first 8000 bytes for its binary check, too)
+const SNIFF_BYTES = 8000;
+// Below this share of printable characters in the sample, a file is treated as binary
+const MIN_PRINTABLE_RATIO = 0.95;
+// Minified bundles and one-line data blobs: a long average line length over a sample of at least this size
+const MINIFIED_MIN_SAMPLE_CHARS = 1024;
+const MINIFIED_AVERAGE_LINE_LENGTH = 200;
+// Prose wraps paragraphs into long lines, so it is never reported as minified
+const PROSE_EXTENSIONS = new Set(['.md', '.markdown', '.mdx', '.txt', '.rst', '.adoc', '.tex', '.org', '.csv', '.tsv']);
+// Generated files announce themselves in their first lines
+const GENERATED_HEADER_LINES = 5;
+const GENERATED_MARKERS = [
+    /@generated\b/, // Facebook/Meta tooling, Relay, Thrift, many codegen tools
+    /\bDO NOT EDIT\b/, // protoc, `go generate` ("Code generated ... DO NOT EDIT."), most other generators
+];
+// Container formats recognised from their first bytes (see sniffMimeType). ZIP-based documents are told apart
+// by the names of their first entries (OOXML) or the stored "mimetype" entry that must come first (ODF, EPUB).
+const ZIP_DOCUMENT_MARKERS = [
+    { marker: 'word/', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    { marker: 'xl/', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    { marker: 'ppt/', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' },
+];
+// Skip reasons shown in the tree and listed after the contents
+const SKIP_REASONS = {
+    binary: 'binary',
+    minified: 'minified',
+    generated: 'generated',
+};
+
+// --- Helper Functions ---
+
+async function readSample(filePath) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// UTF-16 text without a byte order mark: mostly ASCII, so every other byte is a null byte
+function detectBomlessUtf16(sample) {
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs < 2) return null;
+    let evenNulls = 0;
+    let oddNulls = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (sample[i] === 0) evenNulls++;
+        if (sample[i + 1] === 0) oddNulls++;
+    }
+    if (oddNulls / pairs > 0.9 && evenNulls / pairs < 0.1) return 'utf-16le';
+    if (evenNulls / pairs > 0.9 && oddNulls / pairs < 0.1) return 'utf-16be';
+    return null;
+}
+
+function isValidUtf8(sample) {
+    try {
+        // stream: true tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The encoding of a file from its first bytes: a byte order mark wins, then BOM-less UTF-16, then UTF-8 if the
+// bytes are valid UTF-8, and Windows-1252 (a superset of Latin-1) for anything else
+function detectEncoding(sample) {
+    if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+    if (sample[0] === 0xFF && sample[1] === 0xFE && !(sample[2] === 0 && sample[3] === 0)) return 'utf-16le';
+    if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+    const utf16 = detectBomlessUtf16(sample);
+    if (utf16) return utf16;
+    if (sample.includes(0)) return null; // Null bytes outside UTF-16 only occur in binary data
+    return isValidUtf8(sample) ? 'utf-8' : 'windows-1252';
+}
+
+// Share of the characters that are printable: control characters other than whitespace and the escape
+// character, C1 controls and U+FFFD replacement characters (undecodable bytes) count as non-printable
+function printableRatio(text) {
+    if (text.length === 0) return 1;
+    const nonPrintable = (text.match(/[\u0000-\u0008\u000E-\u001A\u001C-\u001F\u007F-\u009F\uFFFD]/g) || []).length;
+    return 1 - nonPrintable / text.length;
+}
+
+function isGenerated(text) {
+    const header = text.split('\n', GENERATED_HEADER_LINES).join('\n');
+    return GENERATED_MARKERS.some(marker => marker.test(header));
+}
+
+function isMinified(text, filePath) {
+    if (PROSE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) return false;
+    if (text.length < MINIFIED_MIN_SAMPLE_CHARS) return false;
+    const lineCount = (text.match(/\n/g) || []).length + 1;
+    return text.length / lineCount > MINIFIED_AVERAGE_LINE_LENGTH;
+}
+
+function startsWith(sample, signature) {
+    return sample.length >= signature.length && sample.subarray(0, signature.length).equals(Buffer.from(signature, 'latin1'));
+}
+
+// The MIME type of a file from its magic bytes, for the container and document formats extractors are likely
+// to handle; null when nothing is recognised (plain text included)
+function sniffMimeType(sample) {
+    if (startsWith(sample, '%PDF-')) return 'application/pdf';
+    if (startsWith(sample, '{\\rtf')) return 'application/rtf';
+    if (startsWith(sample, '\x1f\x8b')) return 'application/gzip';
+    if (startsWith(sample, 'PK\x03\x04')) {
+        const header = sample.toString('latin1');
+        // ODF and EPUB store an uncompressed "mimetype" entry first, its contents right after the name
+        const stored = header.match(/^PK\x03\x04[\s\S]{26}mimetype(application\/[\w.+-]+)/);
+        if (stored) return stored[1];
+        const document = ZIP_DOCUMENT_MARKERS.find(({ marker }) => header.includes(marker));
+        return document ? document.mimeType : 'application/zip';
+    }
+    return null;
+}
+
+// --- Content Sniffing ---
+// Decide from the first SNIFF_BYTES of a file whether its contents belong in the summary.
+// Returns { encoding } for text (see detectEncoding) or { skipped } with one of SKIP_REASONS, along with
+// the sample itself and its mimeType (see sniffMimeType), which extractors are matched against.
+async function sniffFile(filePath) {
+    const sample = await readSample(filePath);
+    const sniffed = { sample, mimeType: sniffMimeType(sample) };
+    const encoding = detectEncoding(sample);
+    if (!encoding) return { ...sniffed, skipped: SKIP_REASONS.binary };
+
+    const text = new TextDecoder(encoding).decode(sample, { stream: true });
+    if (printableRatio(text) < MIN_PRINTABLE_RATIO) return { ...sniffed, skipped: SKIP_REASONS.binary };
+    if (isGenerated(text)) return { ...sniffed, skipped: SKIP_REASONS.generated };
+    if (isMinified(text, filePath)) return { ...sniffed, skipped: SKIP_REASONS.minified };
+    return { ...sniffed, encoding };
+}
+
+// Decode a whole file in the encoding found by sniffFile; byte order marks are dropped
+function decodeText(buffer, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(buffer);
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    SKIP_REASONS,
+    detectEncoding,
+    sniffMimeType,
+    sniffFile,
+    decodeText
+};
@@ -0,0 +1,405 @@
+const path = require('path');
+const { builtinModules } = require('module');
+const { JAVASCRIPT_LANGUAGES, PYTHON_COMMAND, parseJavaScript, runPythonHelper } = require('./code_skeleton');
+
+// --- Configuration ---
+// Extensions tried, in order, for a relative JS/TS import without one (and index files of directory imports)
+const JAVASCRIPT_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+// TypeScript ESM imports name the compiled file (`./util.js` for util.ts)
+const COMPILED_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+// Python packages are looked up from the project root and from src/ (plus the importing file's directory)
+const PYTHON_SOURCE_ROOTS = ['', 'src/'];
+const NODE_BUILTINS = new Set(builtinModules.map(name => name.replace(/^node:/, '')));
+// Larger projects are drawn one node per directory, so the diagram stays readable
+const MAX_MERMAID_MODULES = 80;
+
+// --- Collecting Imports ---
+
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key.endsWith('Comments')) continue;
+        const value = node[key];
+        for (const child of Array.isArray(value) ? value : [value]) {
+            if (child && typeof child.type === 'string') walk(child, visit);
+        }
+    }
+}
+
+function stringArgument(node) {
+    return node && node.type === 'StringLiteral' ? node.value : null;
+}
+
+// Module specifiers of static imports, re-exports, require() calls and dynamic import() with a string literal
+function javaScriptImports(content, language) {
+    const { program } = parseJavaScript(content, language);
+    const specifiers = [];
+    walk(program, (node) => {
+        let specifier = null;
+        if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration') {
+            specifier = stringArgument(node.source);
+        } else if (node.type === 'CallExpression' && (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require'))) {
+            specifier = stringArgument(node.arguments[0]);
+        } else if (node.type === 'TSImportEqualsDeclaration' && node.moduleReference.type === 'TSExternalModuleReference') {
+            specifier = stringArgument(node.moduleReference.expression);
+        }
+        if (specifier !== null) specifiers.push(specifier);
+    });
+    return specifiers;
+}
+
+// --- Resolving Imports ---
+// Every import resolves to one of { module } (a project file), { external } (a package name),
+// { builtin } (a Node.js or Python standard library module) or { unresolved } (the specifier as written)
+
+// The project file a path without (or with a compiled) extension names, or a directory's index file; null if none
+function findJavaScriptFile(base, projectFiles) {
+    const extension = path.posix.extname(base);
+    const candidates = [base, ...JAVASCRIPT_EXTENSIONS.map(ext => base + ext)];
+    for (const compiled of COMPILED_EXTENSIONS[extension] || []) candidates.push(base.slice(0, -extension.length) + compiled);
+    candidates.push(...JAVASCRIPT_EXTENSIONS.map(ext => `${base}/index${ext}`));
+    return candidates.find(candidate => projectFiles.has(candidate)) || null;
+}
+
+// A sibling workspace package (see javaScriptPackageEntries) resolves to its entry file, or for a subpath
+// (@scope/pkg/utils) to the file below the package or its src/; one that is not in the scan stays external
+function resolveWorkspacePackage(pkg, subpath, projectFiles) {
+    for (const entry of subpath ? [subpath, `src/${subpath}`] : pkg.entries) {
+        const found = findJavaScriptFile(path.posix.normalize(path.posix.join(pkg.path, entry)), projectFiles);
+        if (found) return found;
+    }
+    return null;
+}
+
+function resolveJavaScript(specifier, importer, projectFiles, workspacePackages) {
+    if (specifier.startsWith('.')) {
+        const found = findJavaScriptFile(path.posix.normalize(path.posix.join(path.posix.dirname(importer), specifier)), projectFiles);
+        return found ? { module: found } : { unresolved: specifier };
+    }
+    if (specifier.startsWith('/') || /^[a-z]+:\/\//i.test(specifier)) return { unresolved: specifier };
+    const bare = specifier.replace(/^node:/, '');
+    const segments = bare.split('/');
+    const name = bare.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    if (specifier.startsWith('node:') || NODE_BUILTINS.has(name)) return { builtin: name };
+    if (workspacePackages.has(name)) {
+        const found = resolveWorkspacePackage(workspacePackages.get(name), bare.slice(name.length + 1), projectFiles);
+        if (found) return { module: found };
+    }
+    return { external: name };
+}
+
+function findPythonModule(modulePath, roots, projectFiles) {
+    for (const root of roots) {
+        const candidates = [`${root}${modulePath}.py`, `${root}${modulePath}/__init__.py`];
+        const found = candidates.find(candidate => projectFiles.has(candidate));
+        if (found) return found;
+    }
+    return null;
+}
+
+// One import statement of python_skeleton.py ({ module, level, names, stdlib }) may name several modules:
+// `from package import a, b` imports the submodules a and b when they exist, the package otherwise
+function resolvePython({ module, level, names, stdlib }, importer, projectFiles) {
+    const modulePath = module ? module.split('.').join('/') : '';
+    let roots;
+    if (level > 0) {
+        let base = path.posix.dirname(importer);
+        for (let i = 1; i < level; i++) base = path.posix.dirname(base);
+        roots = [base === '.' ? '' : `${base}/`];
+    } else {
+        const importerDir = path.posix.dirname(importer);
+        roots = [...new Set([...PYTHON_SOURCE_ROOTS, importerDir === '.' ? '' : `${importerDir}/`])];
+    }
+    const prefix = modulePath ? `${modulePath}/` : '';
+    const resolved = names
+        .filter(name => name !== '*')
+        .map(name => findPythonModule(prefix + name, roots, projectFiles))
+        .filter(Boolean)
+        .map(found => ({ module: found }));
+    if (resolved.length > 0) return resolved;
+
+    const found = modulePath ? findPythonModule(modulePath, roots, projectFiles) : findPythonModule('__init__', roots, projectFiles);
+    if (found) return [{ module: found }];
+    const written = '.'.repeat(level) + module;
+    if (level > 0) return [{ unresolved: written }];
+    const topLevel = module.split('.')[0];
+    return [stdlib ? { builtin: topLevel } : { external: topLevel }];
+}
+
+// --- Cycles ---
+
+// Strongly connected components (Tarjan) of { node: [targets] }; only those forming a cycle are returned
+function findCycleComponents(adjacency) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    function connect(node) {
+        index.set(node, counter);
+        lowLink.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+        for (const target of adjacency.get(node) || []) {
+            if (!index.has(target)) {
+                connect(target);
+                lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(target)));
+            } else if (onStack.has(target)) {
+                lowLink.set(node, Math.min(lowLink.get(node), index.get(target)));
+            }
+        }
+        if (lowLink.get(node) === index.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            const selfLoop = (adjacency.get(node) || []).includes(node);
+            if (component.length > 1 || selfLoop) components.push(component.sort());
+        }
+    }
+
+    for (const node of adjacency.keys()) {
+        if (!index.has(node)) connect(node);
+    }
+    return components.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+// The shortest cycle through the first member of a component, as [a, b, ..., a]
+function cycleThrough(component, adjacency) {
+    const members = new Set(component);
+    const start = component[0];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        for (const target of adjacency.get(node) || []) {
+            if (!members.has(target)) continue;
+            if (target === start) {
+                const cycle = [start];
+                for (let step = node; step !== start; step = previous.get(step)) cycle.splice(1, 0, step);
+                return [...cycle, start];
+            }
+            if (!previous.has(target)) {
+                previous.set(target, node);
+                queue.push(target);
+            }
+        }
+    }
+    return [...component, start];
+}
+
+// --- Graph Builder ---
+// Collects the imports of each JS/TS and Python file as it is read (see buildSummaryModel) and resolves them
+// against projectFiles (relative paths of every file in the tree) and, for imports of sibling workspace packages,
+// the entry points of packages (see javaScriptPackageEntries). build() returns the dependency graph:
+//   { modules: [{ path, imports, external, builtin, unresolved }], external: [{ name, importedBy }], cycles: [[path, ..., path]] }
+// modules lists every project file that imports or is imported, sorted by path; imports are project files.
+// addFile(file) resolves to the file's parsed import statements (null for other languages), which addImports
+// takes instead of parsing the same contents again (see fileRecords in buildSummaryModel).
+function createDependencyGraphBuilder({ projectFiles, packages = [] }) {
+    const files = new Set(projectFiles.map(toPosixPath));
+    const workspacePackages = new Map(packages.map(pkg => [pkg.name, pkg]));
+    const importsByModule = new Map(); // relativePath -> { language, statements }, resolved by build()
+    let pythonAvailable = true;
+
+    async function parseImports({ language, content }) {
+        if (JAVASCRIPT_LANGUAGES.has(language)) {
+            return { language: 'javascript', statements: javaScriptImports(content, language) };
+        }
+        if (language === 'python' && pythonAvailable) {
+            return { language: 'python', statements: JSON.parse(await runPythonHelper('imports', content)) };
+        }
+        return null;
+    }
+
+    function resolveImports(relativePath, { language, statements }) {
+        if (language === 'python') return statements.flatMap(statement => resolvePython(statement, relativePath, files));
+        return statements.map(specifier => resolveJavaScript(specifier, relativePath, files, workspacePackages));
+    }
+
+    async function addFile(file) {
+        if (!file.content) return null;
+        const relativePath = toPosixPath(file.relativePath);
+        let parsed;
+        try {
+            parsed = await parseImports({ language: file.language, content: file.content });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                if (pythonAvailable) console.warn(`Warning: ${PYTHON_COMMAND} not found; Python imports are left out of the dependency graph.`);
+                pythonAvailable = false;
+            } else {
+                console.warn(`Warning: Could not read the imports of ${relativePath} (${error.message}).`);
+            }
+            return null;
+        }
+        if (parsed) importsByModule.set(relativePath, parsed);
+        return parsed;
+    }
+
+    function addImports(relativePath, parsed) {
+        importsByModule.set(toPosixPath(relativePath), parsed);
+    }
+
+    function build() {
+        const modules = new Map();
+        const moduleEntry = (modulePath) => {
+            if (!modules.has(modulePath)) modules.set(modulePath, { path: modulePath, imports: new Set(), external: new Set(), builtin: new Set(), unresolved: new Set() });
+            return modules.get(modulePath);
+        };
+        const importers = new Map();
+        for (const [importer, parsed] of importsByModule) {
+            const entry = moduleEntry(importer);
+            for (const target of resolveImports(importer, parsed)) {
+                if (target.module) {
+                    if (target.module !== importer) entry.imports.add(target.module);
+                    moduleEntry(target.module);
+                } else if (target.external) {
+                    entry.external.add(target.external);
+                    if (!importers.has(target.external)) importers.set(target.external, new Set());
+                    importers.get(target.external).add(importer);
+                } else if (target.builtin) {
+                    entry.builtin.add(target.builtin);
+                } else {
+                    entry.unresolved.add(target.unresolved);
+                }
+            }
+        }
+
+        const sorted = (values) => [...values].sort();
+        const moduleList = [...modules.values()]
+            .map(entry => ({ path: entry.path, imports: sorted(entry.imports), external: sorted(entry.external), builtin: sorted(entry.builtin), unresolved: sorted(entry.unresolved) }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+        const adjacency = new Map(moduleList.map(entry => [entry.path, entry.imports]));
+        return {
+            modules: moduleList,
+            external: [...importers.entries()].map(([name, by]) => ({ name, importedBy: by.size })).sort((a, b) => a.name.localeCompare(b.name)),
+            cycles: findCycleComponents(adjacency).map(component => cycleThrough(component, adjacency)),
+        };
+    }
+
+    return { addFile, addImports, build };
+}
+
+function toPosixPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+// --- Rendering ---
+
+function countEdges(graph) {
+    return graph.modules.reduce((sum, entry) => sum + entry.imports.length, 0);
+}
+
+// One line per module: its project imports, then external packages, built-in modules and unresolved specifiers
+function formatAdjacencyList(graph) {
+    return graph.modules.map((entry) => {
+        const parts = [];
+        if (entry.imports.length > 0) parts.push(entry.imports.join(', '));
+        if (entry.external.length > 0) parts.push(`external: ${entry.external.join(', ')}`);
+        if (entry.builtin.length > 0) parts.push(`built-in: ${entry.builtin.join(', ')}`);
+        if (entry.unresolved.length > 0) parts.push(`unresolved: ${entry.unresolved.join(', ')}`);
+        return `${entry.path} -> ${parts.length > 0 ? parts.join('; ') : '(no imports)'}\n`;
+    }).join('');
+}
+
+function formatCycle(cycle) {
+    return cycle.join(' -> ');
+}
+
+// A one-line description for section headings, e.g. "12 modules, 30 imports, 4 external packages, 1 cycle"
+function describeGraph(graph) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    let description = `${plural(graph.modules.length, 'module')}, ${plural(countEdges(graph), 'import')}, ${plural(graph.external.length, 'external package')}`;
+    if (graph.cycles.length > 0) description += `, ${plural(graph.cycles.length, 'cycle')}`;
+    return description;
+}
+
+function mermaidLabel(text) {
+    return `"${text.replace(/"/g, '#quot;')}"`;
+}
+
+// Large graphs are collapsed to their directories; edges inside one directory disappear
+function diagramNodes(graph) {
+    if (graph.modules.length <= MAX_MERMAID_MODULES) {
+        return { grouping: 'module', nodeOf: modulePath => modulePath, labelOf: modulePath => modulePath };
+    }
+    const directoryOf = (modulePath) => {
+        const directory = path.posix.dirname(modulePath);
+        return directory === '.' ? './' : `${directory}/`;
+    };
+    const fileCounts = new Map();
+    for (const entry of graph.modules) fileCounts.set(directoryOf(entry.path), (fileCounts.get(directoryOf(entry.path)) || 0) + 1);
+    return { grouping: 'directory', nodeOf: directoryOf, labelOf: directory => `${directory} (${fileCounts.get(directory)} files)` };
+}
+
+// A Mermaid flowchart of the graph: project modules, external packages grouped in a subgraph with dotted edges,
+// and the modules and imports forming cycles drawn in red. Built-in modules are left out.
+function toMermaid(graph) {
+    const { grouping, nodeOf, labelOf } = diagramNodes(graph);
+    const ids = new Map();
+    const idOf = (node) => {
+        if (!ids.has(node)) ids.set(node, `m${ids.size}`);
+        return ids.get(node);
+    };
+    const edges = new Map();
+    const externalEdges = new Set();
+    for (const entry of graph.modules) {
+        const from = nodeOf(entry.path);
+        idOf(from);
+        for (const target of entry.imports) {
+            const to = nodeOf(target);
+            if (from === to && grouping === 'directory') continue;
+            if (!edges.has(from)) edges.set(from, new Set());
+            edges.get(from).add(to);
+        }
+        for (const name of entry.external) externalEdges.add(`${from}\0${name}`);
+    }
+
+    const adjacency = new Map([...ids.keys()].map(node => [node, [...(edges.get(node) || [])]]));
+    const cycleNodes = new Map();
+    findCycleComponents(adjacency).forEach((component, index) => component.forEach(node => cycleNodes.set(node, index)));
+
+    const lines = ['flowchart LR'];
+    for (const node of ids.keys()) lines.push(`    ${idOf(node)}[${mermaidLabel(labelOf(node))}]`);
+    const externalIds = new Map(graph.external.map(({ name }, index) => [name, `x${index}`]));
+    if (externalIds.size > 0) {
+        lines.push(`    subgraph external [${mermaidLabel('External packages')}]`);
+        for (const [name, id] of externalIds) lines.push(`        ${id}([${mermaidLabel(name)}])`);
+        lines.push('    end');
+    }
+
+    const cycleEdges = [];
+    let edgeIndex = 0;
+    for (const [from, targets] of adjacency) {
+        for (const to of targets) {
+            lines.push(`    ${idOf(from)} --> ${idOf(to)}`);
+            if (cycleNodes.has(from) && cycleNodes.get(from) === cycleNodes.get(to)) cycleEdges.push(edgeIndex);
+            edgeIndex++;
+        }
+    }
+    for (const key of externalEdges) {
+        const [from, name] = key.split('\0');
+        lines.push(`    ${idOf(from)} -.-> ${externalIds.get(name)}`);
+    }
+    if (cycleNodes.size > 0) {
+        lines.push('    classDef cycle fill:#fde2e2,stroke:#c0392b,stroke-width:2px');
+        lines.push(`    class ${[...cycleNodes.keys()].map(idOf).join(',')} cycle`);
+        if (cycleEdges.length > 0) lines.push(`    linkStyle ${cycleEdges.join(',')} stroke:#c0392b,stroke-width:2px`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    createDependencyGraphBuilder,
+    formatAdjacencyList,
+    formatCycle,
+    describeGraph,
+    toMermaid
+};
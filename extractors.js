@@ -0,0 +1,327 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { YoutubeTranscript } = require('youtube-transcript-plus');
+const { hashContent } = require('./cache');
+const { decodeText } = require('./content_sniffer');
+const { FORMAT_EXTRACTORS } = require('./format_extractors');
+
+// --- Configuration ---
+// Keys an extractor may declare; anything else is reported as a mistake when it is registered
+const EXTRACTOR_KEYS = ['name', 'version', 'extensions', 'mimeTypes', 'detect', 'priority', 'binary', 'cache', 'label', 'extract'];
+const YOUTUBE_URL_PATTERN = /((?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11}))/g;
+
+// --- Built-in Extractors ---
+// An extractor is { name, version, extensions, mimeTypes, detect, priority, binary, cache, label, extract }:
+//   name: shown as the extraction method of the files it reads (e.g. "pdf-parse"); registering a name again replaces it
+//   version: part of the cache keys; change it whenever the output changes
+//   extensions (".pdf"), mimeTypes (see sniffMimeType in content_sniffer.js) and detect(sample, filePath), a test
+//     on the first bytes of the file: a file is handled by an extractor matching it in any of these ways
+//   priority: the highest priority among the matching extractors wins; on a tie, the one registered last
+//   binary: reads the raw bytes, so the file is not required to look like text (binary, minified, generated)
+//   cache: results are kept in the content cache (default true), unless a result says cacheable: false
+//   label: shown in the progress bar while the extractor runs (e.g. "PDF"); leave out for fast extractors
+//   extract(file, context): resolves to { text, metadata, warnings } or throws. file is { path, relativePath,
+//     extension, size, encoding, mimeType, readBuffer(), readText() }; context is { reportProgress(kind, message) }.
+//     A result may also say cacheable: false, name a different extraction method (e.g. a plain text fallback)
+//     and give the language of the text, for the code fences (e.g. a notebook's kernel language).
+
+const textExtractor = {
+    name: 'text',
+    version: '1',
+    detect: () => true,
+    priority: -100, // Whatever text no other extractor claims
+    cache: false,
+    async extract(file) {
+        return { text: await file.readText() };
+    },
+};
+
+const pdfExtractor = {
+    name: 'pdf-parse',
+    version: `${require('pdf-parse/package.json').version}#2`,
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    binary: true,
+    label: 'PDF',
+    async extract(file) {
+        let data;
+        try {
+            data = await pdfParse(await file.readBuffer());
+        } catch (error) {
+            if (error.message.includes('Password') || error.message.includes('encrypted')) {
+                throw new Error(`The PDF is likely password-protected or encrypted (${error.message})`);
+            }
+            throw error;
+        }
+        const metadata = { pages: data.numpages };
+        if (data.info && data.info.Title) metadata.title = data.info.Title;
+        if (data.info && data.info.Author) metadata.author = data.info.Author;
+        // pdf-parse doesn't provide per-page text easily, so the whole text is one block with a note about the pages
+        if (!data.text || data.text.trim() === '') {
+            return {
+                text: `--- No text extracted from PDF ${path.basename(file.path)} by pdf-parse. The PDF may be empty or contain only images. ---`,
+                metadata,
+                warnings: ['No text extracted; the PDF might be image-based or empty.'],
+            };
+        }
+        return { text: `[Extracted from ${data.numpages} page(s)]\n\n${data.text}`, metadata };
+    },
+};
+
+const docxExtractor = {
+    name: 'mammoth',
+    version: `${require('mammoth/package.json').version}#2`,
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    binary: true,
+    label: 'DOCX',
+    async extract(file) {
+        const result = await mammoth.extractRawText({ buffer: await file.readBuffer() });
+        return {
+            text: result.value || `--- No text extracted from DOCX ${path.basename(file.path)}. ---`,
+            warnings: result.messages.filter(message => message.type === 'error').map(message => message.message),
+        };
+    },
+};
+
+async function fetchTranscript(url, videoId) {
+    try {
+        const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+        // Handle different possible property names of the transcript items
+        const transcriptText = Array.isArray(transcript)
+            ? transcript.map(item => item.text || item.content || item.snippet || '').filter(text => text.trim() !== '').join(' ')
+            : '';
+        if (transcriptText.trim()) {
+            return { text: `${url}\n--- YouTube Transcript Start ---\n${transcriptText}\n--- YouTube Transcript End ---` };
+        }
+        const reason = Array.isArray(transcript) && transcript.length > 0 ? 'Empty transcript returned' : 'No transcript found';
+        return { text: `${url}\n--- YouTube Transcript Not Available (${reason}) ---`, warning: `No transcript available for video ${videoId} (${reason.toLowerCase()})` };
+    } catch (error) {
+        let reason = error.message;
+        if (error.message.includes('disabled')) reason = 'Transcripts disabled for this video';
+        else if (error.message.includes('private')) reason = 'Private video';
+        else if (error.message.includes('not found')) reason = 'Video not found';
+        return { text: `${url}\n--- YouTube Transcript Not Available (${reason}) ---`, warning: `Could not fetch transcript for ${url}: ${error.message}` };
+    }
+}
+
+// Plain text with the transcript of every YouTube link inserted after the link. Results are only cached when every
+// transcript was fetched, so missing ones are tried again on the next run.
+const youtubeTranscriptExtractor = {
+    name: 'text+youtube-transcript',
+    version: `${require('youtube-transcript-plus/package.json').version}#2`,
+    extensions: ['.txt'],
+    async extract(file, { reportProgress }) {
+        const content = await file.readText();
+        const links = [...content.matchAll(YOUTUBE_URL_PATTERN)];
+        if (links.length === 0) return { text: content, extraction: 'text', cacheable: false };
+
+        const transcripts = new Map(); // url -> { text, warning }
+        await Promise.all([...new Set(links.map(([url]) => url))].map(async (url) => {
+            const videoId = links.find(link => link[0] === url)[2];
+            reportProgress('transcript', `Fetching transcript for YouTube video: ${videoId}`);
+            transcripts.set(url, await fetchTranscript(url, videoId));
+        }));
+        const warnings = [...transcripts.values()].map(({ warning }) => warning).filter(Boolean);
+        return {
+            text: content.replace(YOUTUBE_URL_PATTERN, (url) => transcripts.get(url).text),
+            metadata: { transcripts: transcripts.size - warnings.length },
+            warnings,
+            cacheable: warnings.length === 0,
+        };
+    },
+};
+
+// Notebooks, spreadsheets, slides and other document formats are in format_extractors.js
+const BUILT_IN_EXTRACTORS = [textExtractor, pdfExtractor, docxExtractor, youtubeTranscriptExtractor, ...FORMAT_EXTRACTORS];
+
+// --- Helper Functions ---
+
+function normalizeExtension(extension) {
+    const lower = String(extension).toLowerCase();
+    return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+// Check an extractor's shape and fill in the defaults; `source` names where it came from for the error messages
+function validateExtractor(extractor, source) {
+    if (!extractor || typeof extractor !== 'object') {
+        throw new Error(`Extractor from ${source} must be an object with a name and an extract function.`);
+    }
+    const label = extractor.name ? `Extractor "${extractor.name}" from ${source}` : `Extractor from ${source}`;
+    if (typeof extractor.name !== 'string' || extractor.name.trim() === '') throw new Error(`${label} has no name.`);
+    if (typeof extractor.extract !== 'function') throw new Error(`${label} has no extract function.`);
+    for (const key of Object.keys(extractor)) {
+        if (!EXTRACTOR_KEYS.includes(key)) console.warn(`Warning: ${label} has an unknown key "${key}"; it is ignored. Known keys: ${EXTRACTOR_KEYS.join(', ')}.`);
+    }
+    const { extensions = [], mimeTypes = [], detect, priority = 0 } = extractor;
+    if (!Array.isArray(extensions) || !Array.isArray(mimeTypes)) throw new Error(`${label}: extensions and mimeTypes must be arrays.`);
+    if (detect !== undefined && typeof detect !== 'function') throw new Error(`${label}: detect must be a function.`);
+    if (extensions.length === 0 && mimeTypes.length === 0 && !detect) {
+        throw new Error(`${label} handles no files; give it extensions, mimeTypes or a detect function.`);
+    }
+    if (typeof priority !== 'number' || Number.isNaN(priority)) throw new Error(`${label}: priority must be a number.`);
+    return {
+        ...extractor,
+        version: String(extractor.version ?? '1'),
+        extensions: extensions.map(normalizeExtension),
+        mimeTypes: mimeTypes.map(mimeType => String(mimeType).toLowerCase()),
+        priority,
+        binary: extractor.binary === true,
+        cache: extractor.cache !== false,
+        source,
+    };
+}
+
+// Does the extractor handle the file? Without `sniffed` (see sniffFile) only the extension is compared.
+function matches(extractor, extension, sniffed, filePath) {
+    if (extractor.extensions.includes(extension)) return true;
+    if (!sniffed) return false;
+    if (sniffed.mimeType && extractor.mimeTypes.includes(sniffed.mimeType)) return true;
+    return Boolean(extractor.detect && extractor.detect(sniffed.sample, filePath));
+}
+
+// --- Extractor Registry ---
+// Returns { register(extractor), get(name), list(), claimsExtension(filePath), resolve(filePath, sniffed) }.
+// Holds the built-in extractors unless `builtIns` is false.
+function createExtractorRegistry({ builtIns = true } = {}) {
+    let extractors = []; // In registration order
+
+    const registry = {
+        register(extractor, source = 'built-in') {
+            const validated = validateExtractor(extractor, source);
+            extractors = extractors.filter(existing => existing.name !== validated.name);
+            extractors.push(validated);
+            return validated;
+        },
+        get(name) {
+            return extractors.find(extractor => extractor.name === name) || null;
+        },
+        // Highest priority first, the later registration first on a tie
+        list() {
+            return extractors.map((extractor, index) => ({ extractor, index }))
+                .sort((a, b) => b.extractor.priority - a.extractor.priority || b.index - a.index)
+                .map(({ extractor }) => extractor);
+        },
+        // Files with an extension some extractor names are read even if the extension is listed as non-text
+        claimsExtension(filePath) {
+            const extension = path.extname(filePath).toLowerCase();
+            return extension !== '' && extractors.some(extractor => extractor.extensions.includes(extension));
+        },
+        // The extractor for a file, or null. Without `sniffed` only binary extractors are considered (by extension),
+        // so their files need not be sniffed; a file sniffed as skipped (binary etc.) can only go to a binary one.
+        resolve(filePath, sniffed = null) {
+            const extension = path.extname(filePath).toLowerCase();
+            return registry.list().find(extractor => {
+                if ((!sniffed || sniffed.skipped) && !extractor.binary) return false;
+                return matches(extractor, extension, sniffed, filePath);
+            }) || null;
+        },
+    };
+    if (builtIns) BUILT_IN_EXTRACTORS.forEach(extractor => registry.register(extractor));
+    return registry;
+}
+
+// --- Running an Extractor ---
+
+// The file argument of extract(); the contents are read at most once, from readContents() when given (the staged
+// version of a file in --staged mode) or from filePath
+function createExtractorFile(filePath, { targetDir, size, encoding = 'utf-8', mimeType = null, readContents = null }) {
+    let buffer = null;
+    const readBuffer = async () => {
+        if (!buffer) buffer = await (readContents ? readContents() : fsPromises.readFile(filePath));
+        return buffer;
+    };
+    return {
+        path: filePath,
+        relativePath: path.relative(targetDir, filePath),
+        extension: path.extname(filePath).toLowerCase(),
+        size,
+        encoding,
+        mimeType,
+        readBuffer,
+        readText: async () => decodeText(await readBuffer(), encoding),
+    };
+}
+
+function printWarnings(file, warnings) {
+    for (const warning of warnings) console.warn(`Warning: ${file.relativePath}: ${warning}`);
+}
+
+// Run `extractor` on a file (see createExtractorFile) through the content cache: results are keyed by the
+// extractor's name and version and the file's content hash. Extractor errors become a placeholder text; failed
+// extractions are not cached, so they are retried on the next run. Reading the file itself may still throw.
+// Resolves to { content, extraction, language, metadata, warnings, error }, language being null unless the extractor gave one.
+async function runExtractor(extractor, file, { cache, progress }) {
+    const key = [`${extractor.name}@${extractor.version}`, hashContent(await file.readBuffer())];
+    if (extractor.cache) {
+        const cached = await cache.get('extract', key);
+        if (cached !== undefined) {
+            printWarnings(file, cached.warnings);
+            return { content: cached.text, extraction: cached.extraction, language: cached.language, metadata: cached.metadata, warnings: cached.warnings, error: null };
+        }
+    }
+    if (extractor.label) {
+        progress.extracting(file.relativePath, extractor.label, `Extracting text from ${file.relativePath} with ${extractor.name}...`);
+    }
+    let result;
+    try {
+        result = await extractor.extract(file, {
+            reportProgress: (kind, message) => progress.extracting(file.relativePath, kind, message),
+        });
+        if (!result || typeof result.text !== 'string') throw new Error('The extractor returned no text.');
+    } catch (error) {
+        console.error(`Error extracting text from ${file.relativePath} with ${extractor.name}: ${error.message}`);
+        return { content: `--- Error extracting text from ${path.basename(file.path)} with ${extractor.name}. ---`, extraction: extractor.name, language: null, metadata: {}, warnings: [], error: error.message };
+    }
+    const extraction = String(result.extraction || extractor.name);
+    const language = result.language ? String(result.language) : null;
+    const metadata = result.metadata || {};
+    const warnings = (result.warnings || []).map(String);
+    printWarnings(file, warnings);
+    if (extractor.cache && result.cacheable !== false) await cache.set('extract', key, { text: result.text, extraction, language, metadata, warnings });
+    return { content: result.text, extraction, language, metadata, warnings, error: null };
+}
+
+// --- Loading Extractors from the Config ---
+
+// Resolve a config entry: paths ("./tools/ext.js", absolute) are relative to baseDir, anything else is a package
+// looked up from baseDir first, then from summarize's own installation
+function resolveExtractorModule(spec, baseDir) {
+    if (spec.startsWith('.') || path.isAbsolute(spec)) return path.resolve(baseDir, spec);
+    try {
+        return require.resolve(spec, { paths: [baseDir, __dirname] });
+    } catch (error) {
+        throw new Error(`Cannot find extractor package "${spec}". Install it in the project or next to summarize.`);
+    }
+}
+
+// Registry with the built-ins plus the extractors of every module in `specs` (the "extractors" config list and
+// --extractor). A module exports one extractor or an array of them (CommonJS or an ES module default export).
+async function loadExtractors(specs = [], { baseDir }) {
+    const registry = createExtractorRegistry();
+    for (const spec of specs) {
+        const modulePath = resolveExtractorModule(spec, baseDir);
+        let loaded;
+        try {
+            loaded = await import(pathToFileURL(modulePath).href);
+        } catch (error) {
+            throw new Error(`Error loading extractor module "${spec}": ${error.message}`);
+        }
+        const exported = loaded.default !== undefined ? loaded.default : loaded;
+        const list = Array.isArray(exported) ? exported : [exported];
+        const names = list.map(extractor => registry.register(extractor, `"${spec}"`).name);
+        console.log(`Loaded extractor${names.length === 1 ? '' : 's'} ${names.join(', ')} from ${spec}`);
+    }
+    return registry;
+}
+
+module.exports = {
+    BUILT_IN_EXTRACTORS,
+    createExtractorRegistry,
+    createExtractorFile,
+    runExtractor,
+    loadExtractors
+};
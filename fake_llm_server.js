@@ -0,0 +1,180 @@
+const http = require('http');
+const { countTokens } = require('./token_budget');
+
+// --- Configuration ---
+const STREAM_TICK_MS = 20;
+const STREAM_PIECES_PER_TICK = 3;
+// Models that make the stub fail like a real API would, to try retries and error messages offline
+// (--provider fake --model fake-rate-limit). The first `times` requests per server fail (fake-slow: are answered
+// late), later ones are answered.
+const FAILURE_SCENARIOS = {
+    'fake-rate-limit': { times: 2, status: 429, headers: { 'Retry-After': '1' }, error: { message: 'Rate limit reached for requests per minute.', type: 'requests', code: 'rate_limit_exceeded' } },
+    'fake-server-error': { times: 1, status: 500, error: { message: 'The server had an error while processing your request.', type: 'server_error', code: null } },
+    'fake-disconnect': { times: 1, disconnect: true },
+    'fake-slow': { times: Infinity, delayMs: 3000 }, // Answers late; try with --request-timeout 1
+    'fake-quota': { times: Infinity, status: 429, error: { message: 'You exceeded your current quota, please check your plan and billing details.', type: 'insufficient_quota', code: 'insufficient_quota' } },
+    'fake-auth': { times: Infinity, status: 401, error: { message: 'Incorrect API key provided.', type: 'invalid_request_error', code: 'invalid_api_key' } },
+    'fake-context-length': { times: Infinity, status: 400, error: { message: "This model's maximum context length is 8192 tokens. However, your messages resulted in more tokens.", type: 'invalid_request_error', code: 'context_length_exceeded' } },
+};
+
+// --- Fake LLM Server ---
+// A local stub of the OpenAI-compatible /v1/chat/completions endpoint, used by `--provider fake`
+// so the whole --llm path (HTTP client, rendering, browser) can be exercised offline.
+// The answer is deterministic Markdown describing the prompt it received.
+
+function describePrompt(prompt, model, temperature) {
+    const files = (prompt.match(/^--- File: .+ ---$/gm) || []).map(line => line.slice('--- File: '.length, -' ---'.length));
+    const lines = prompt.split('\n').length;
+    const fileRows = files.slice(0, 20).map(file => `| \`${file}\` |`).join('\n');
+    const fileNodes = files.slice(0, 8).map((file, index) => `    P --> F${index}["${file.replace(/"/g, "'")}"]`).join('\n');
+
+    return [
+        '# Fake LLM Analysis',
+        '',
+        `This response was generated offline by the fake provider (model \`${model}\`, temperature ${temperature}).`,
+        '',
+        '## Prompt Statistics',
+        '',
+        `- Characters: ${prompt.length}`,
+        `- Lines: ${lines}`,
+        `- Files: ${files.length}`,
+        '',
+        '## Files',
+        '',
+        '| Path |',
+        '|------|',
+        fileRows || '| _(none)_ |',
+        '',
+        '## Diagram',
+        '',
+        '```mermaid',
+        'flowchart TD',
+        '    P["Prompt"]',
+        fileNodes,
+        '```',
+        '',
+    ].join('\n');
+}
+
+// Follow-up questions (a conversation of more than one message) get a short answer quoting the question
+function describeFollowUp(messages, model, temperature) {
+    const question = messages[messages.length - 1].content;
+    const followUps = messages.filter(message => message.role === 'user').length - 1;
+    const characters = messages.reduce((total, message) => total + String(message.content).length, 0);
+    return [
+        '# Fake Follow-up Answer',
+        '',
+        `Answer to follow-up question ${followUps} (model \`${model}\`, temperature ${temperature}):`,
+        '',
+        ...question.split('\n').map(line => `> ${line}`),
+        '',
+        `The conversation so far has ${messages.length} messages and ${characters} characters.`,
+        '',
+    ].join('\n');
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// Stream the answer as OpenAI-style SSE chunks, a few words at a time, like a real model would
+function streamContent(res, request, content, prompt) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    const pieces = content.match(/\S+\s*|\s+/g) || [];
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ id: 'fake-completion', object: 'chat.completion.chunk', created, model: request.model, choices, ...extra })}\n\n`;
+
+    let closed = false;
+    res.on('close', () => { closed = true; }); // Client aborted (or response finished)
+    let index = 0;
+    const timer = setInterval(() => {
+        if (closed) return clearInterval(timer);
+        if (index < pieces.length) {
+            res.write(chunk([{ index: 0, delta: { content: pieces.slice(index, index + STREAM_PIECES_PER_TICK).join('') }, finish_reason: null }]));
+            index += STREAM_PIECES_PER_TICK;
+            return;
+        }
+        clearInterval(timer);
+        res.write(chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]));
+        if (request.stream_options?.include_usage) {
+            const promptTokens = countTokens(prompt, request.model);
+            const completionTokens = countTokens(content, request.model);
+            res.write(chunk([], { usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens } }));
+        }
+        res.end('data: [DONE]\n\n');
+    }, STREAM_TICK_MS);
+}
+
+// Start the stub on a random local port. Resolves to { baseUrl, close }.
+// The server is unref'd so it never keeps the process alive on its own.
+function startFakeLLMServer() {
+    const failures = new Map(); // Scenario model -> requests failed so far
+
+    // Fail the request as its model's scenario says; false when it is to be answered (now or after delayMs)
+    function failRequest(req, res, request, answer) {
+        const scenario = FAILURE_SCENARIOS[request.model];
+        const failed = failures.get(request.model) || 0;
+        if (!scenario || failed >= scenario.times) return false;
+        failures.set(request.model, failed + 1);
+        if (scenario.disconnect) {
+            req.socket.destroy();
+        } else if (scenario.delayMs) {
+            const timer = setTimeout(answer, scenario.delayMs);
+            res.on('close', () => clearTimeout(timer));
+        } else {
+            sendJson(res, scenario.status, { error: scenario.error }, scenario.headers);
+        }
+        return true;
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+            return sendJson(res, 404, { error: { message: `Fake LLM server: unknown route ${req.method} ${req.url}` } });
+        }
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (error) {
+                return sendJson(res, 400, { error: { message: `Fake LLM server: invalid JSON (${error.message})` } });
+            }
+            const messages = request.messages || [];
+            const prompt = messages.map(message => message.content).join('\n');
+            const content = messages.length > 1
+                ? describeFollowUp(messages, request.model, request.temperature)
+                : describePrompt(prompt, request.model, request.temperature);
+            const answer = () => {
+                if (request.stream) {
+                    return streamContent(res, request, content, prompt);
+                }
+                sendJson(res, 200, {
+                    id: 'fake-completion',
+                    object: 'chat.completion',
+                    created: Math.floor(Date.now() / 1000),
+                    model: request.model,
+                    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                });
+            };
+            if (!failRequest(req, res, request, answer)) answer();
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            server.unref();
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+module.exports = {
+    startFakeLLMServer
+};
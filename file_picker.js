@@ -0,0 +1,397 @@
+// --- File: file_picker.js ---
+const http = require('http');
+const express = require('express');
+const openModule = require('open');
+const openBrowser = openModule.default || openModule;
+const { renderSummary, formatFileBlock, formatFolderStructure, SUMMARY_FORMATS } = require('./summary_formats');
+const { countTokens } = require('./token_budget');
+const { saveProjectConfig } = require('./config_loader');
+const { getAvailablePort, escapeHtml } = require('./web_renderer');
+
+// --- Configuration ---
+// The selection is posted as a list of paths, which gets long in big projects
+const REQUEST_BODY_LIMIT = '20mb';
+const PROFILE_COMMENT = 'Saved by summarize --ui';
+
+// --- Selection Model ---
+// The picker works on the scanned summary model: every file with contents can be toggled. Unchecking a file
+// leaves its contents out (it stays in the tree, like a file that does not match "include"); unchecking every
+// file of a directory drops the directory from the tree as well (like "exclude").
+
+// The tree sent to the page: { name, path, type: 'directory', children } and
+// { name, path, type: 'file', selectable, tokens, bytes, reason } where only files with contents are selectable
+// and reason says why the others are not
+function buildPickerTree(summaryModel, model) {
+    const filesByPath = new Map(summaryModel.files.map(file => [file.relativePath, file]));
+    const walk = (nodes, relativeDir) => nodes.map((node) => {
+        const nodePath = relativeDir ? `${relativeDir}/${node.name}` : node.name;
+        if (node.type === 'directory') {
+            return { name: node.name, path: nodePath, type: 'directory', children: walk(node.children, nodePath) };
+        }
+        const file = filesByPath.get(nodePath);
+        if (!file) {
+            return { name: node.name, path: nodePath, type: 'file', selectable: false, tokens: 0, bytes: 0, reason: node.skipped || 'no text contents' };
+        }
+        return { name: node.name, path: nodePath, type: 'file', selectable: true, tokens: countTokens(formatFileBlock(file), model), bytes: file.size, reason: null };
+    });
+    return { name: summaryModel.projectName, path: '', type: 'directory', children: walk(summaryModel.tree.children, '') };
+}
+
+// Number of selectable files below a picker node and how many of them are selected
+function countSelection(node, selected) {
+    if (node.type === 'file') {
+        return { selectable: node.selectable ? 1 : 0, selected: node.selectable && selected.has(node.path) ? 1 : 0 };
+    }
+    return node.children.reduce((total, child) => {
+        const counts = countSelection(child, selected);
+        return { selectable: total.selectable + counts.selectable, selected: total.selected + counts.selected };
+    }, { selectable: 0, selected: 0 });
+}
+
+// Paths of the directories left out entirely: with selectable files, none of them selected
+function collectDroppedDirs(node, selected, dropped = new Set()) {
+    for (const child of node.children) {
+        if (child.type !== 'directory') continue;
+        const counts = countSelection(child, selected);
+        if (counts.selectable > 0 && counts.selected === 0) dropped.add(child.path);
+        else collectDroppedDirs(child, selected, dropped);
+    }
+    return dropped;
+}
+
+// The summary model restricted to the selection (see the Selection Model notes above)
+function applySelection(summaryModel, pickerTree, selected) {
+    const dropped = collectDroppedDirs(pickerTree, selected);
+    const isDropped = (relativePath) => [...dropped].some(dir => relativePath.startsWith(`${dir}/`));
+    const prune = (nodes, relativeDir) => nodes
+        .filter(node => !dropped.has(relativeDir ? `${relativeDir}/${node.name}` : node.name))
+        .map(node => (node.type === 'directory'
+            ? { ...node, children: prune(node.children, relativeDir ? `${relativeDir}/${node.name}` : node.name) }
+            : node));
+    const files = summaryModel.files.filter(file => selected.has(file.relativePath));
+    return {
+        ...summaryModel,
+        tree: { ...summaryModel.tree, children: prune(summaryModel.tree.children, '') },
+        files,
+        fileCount: files.length,
+        skipped: summaryModel.skipped.filter(entry => !isDropped(entry.relativePath)),
+        secretFindings: summaryModel.secretFindings.filter(finding => selected.has(finding.relativePath)),
+    };
+}
+
+// .summarizerc patterns that reproduce the selection: "exclude" gets the dropped directories, "include" the selected
+// files, shortened to a directory pattern when every file below it is selected. With existing include patterns,
+// files are always listed one by one, as a directory pattern would also let in files those patterns kept out.
+function selectionPatterns(pickerTree, selected, { baseInclude = [], baseExclude = [] } = {}) {
+    const include = [];
+    const exclude = [...baseExclude];
+    const walk = (node) => {
+        for (const child of node.children) {
+            if (child.type === 'file') {
+                if (child.selectable && selected.has(child.path)) include.push(`/${child.path}`);
+                continue;
+            }
+            const counts = countSelection(child, selected);
+            if (counts.selectable === 0) continue;
+            if (counts.selected === 0) exclude.push(`/${child.path}/`);
+            else if (counts.selected === counts.selectable && baseInclude.length === 0) include.push(`/${child.path}/`);
+            else walk(child);
+        }
+    };
+    const rootCounts = countSelection(pickerTree, selected);
+    if (rootCounts.selected === rootCounts.selectable) return { include: [...baseInclude], exclude: [...new Set(exclude)] };
+    walk(pickerTree);
+    return { include, exclude: [...new Set(exclude)] };
+}
+
+// --- Page ---
+
+const PICKER_STYLES = `
+        body { font-family: sans-serif; line-height: 1.5; margin: 0; background-color: #f8f8f8; color: #333; }
+        header { position: sticky; top: 0; background: #fff; border-bottom: 1px solid #ddd; padding: 10px 20px; z-index: 1; }
+        h1 { font-size: 1.2em; margin: 0 0 6px; color: #0056b3; }
+        #totals { font-size: 0.95em; }
+        #totals.over-budget { color: #b3261e; }
+        .actions { margin-top: 8px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        #message { font-size: 0.9em; color: #666; }
+        #message.error { color: #b3261e; }
+        main { max-width: 1000px; margin: 16px auto; background: #fff; padding: 10px 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        ul { list-style: none; padding-left: 20px; margin: 0; }
+        main > ul { padding-left: 0; }
+        summary { cursor: pointer; }
+        .count { color: #666; font-size: 0.85em; margin-left: 6px; }
+        .unselected > label, .unselected > .count { color: #aaa; }
+        .disabled { color: #aaa; }
+        .reason { font-size: 0.8em; color: #999; margin-left: 6px; }
+`;
+
+// Client-side tree; kept free of backticks and ${} so it can live inside the page template literal
+const PICKER_CLIENT_SCRIPT = `
+(function () {
+    var treeEl = document.getElementById('tree');
+    var totalsEl = document.getElementById('totals');
+    var messageEl = document.getElementById('message');
+    var formatEl = document.getElementById('format');
+    var llmEl = document.getElementById('send');
+    var data = null;
+    var selected = {};
+    var nodes = {};
+
+    function escapeHtml(unsafe) {
+        return String(unsafe).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+
+    function countLabel(tokens, bytes) {
+        return tokens.toLocaleString() + ' tokens, ' + formatBytes(bytes);
+    }
+
+    function renderNode(node) {
+        nodes[node.path] = node;
+        var attributes = ' data-path="' + escapeHtml(node.path) + '"';
+        if (node.type === 'directory') {
+            return '<li' + attributes + '><details open><summary><input type="checkbox" data-kind="directory"' + attributes + '> '
+                + escapeHtml(node.name) + '/<span class="count"></span></summary><ul>'
+                + node.children.map(renderNode).join('') + '</ul></details></li>';
+        }
+        if (!node.selectable) {
+            return '<li class="disabled"' + attributes + '><label><input type="checkbox" disabled> ' + escapeHtml(node.name)
+                + '</label><span class="reason">' + escapeHtml(node.reason) + '</span></li>';
+        }
+        selected[node.path] = true;
+        return '<li' + attributes + '><label><input type="checkbox" data-kind="file" checked' + attributes + '> ' + escapeHtml(node.name)
+            + '</label><span class="count">' + countLabel(node.tokens, node.bytes) + '</span></li>';
+    }
+
+    // Totals of the selected files below a node; directories get their checkbox state and count on the way
+    function update(node) {
+        if (node.type === 'file') {
+            var isSelected = node.selectable && selected[node.path] === true;
+            return { selectable: node.selectable ? 1 : 0, selected: isSelected ? 1 : 0, tokens: isSelected ? node.tokens : 0, bytes: isSelected ? node.bytes : 0 };
+        }
+        var total = { selectable: 0, selected: 0, tokens: 0, bytes: 0 };
+        node.children.forEach(function (child) {
+            var counts = update(child);
+            total.selectable += counts.selectable;
+            total.selected += counts.selected;
+            total.tokens += counts.tokens;
+            total.bytes += counts.bytes;
+        });
+        var item = node.element;
+        if (item) {
+            var checkbox = item.querySelector('input');
+            checkbox.disabled = total.selectable === 0;
+            checkbox.checked = total.selectable > 0 && total.selected === total.selectable;
+            checkbox.indeterminate = total.selected > 0 && total.selected < total.selectable;
+            item.querySelector('.count').textContent = total.selectable > 0
+                ? countLabel(total.tokens, total.bytes) + ' (' + total.selected + ' of ' + total.selectable + ' files)'
+                : '';
+        }
+        return total;
+    }
+
+    function refresh() {
+        Object.keys(nodes).forEach(function (nodePath) {
+            var node = nodes[nodePath];
+            if (node.type === 'file' && node.element) node.element.classList.toggle('unselected', !selected[nodePath]);
+        });
+        var total = update(data.root);
+        var tokens = total.tokens + data.treeTokens;
+        var text = 'Selected ' + total.selected + ' of ' + total.selectable + ' files: ' + countLabel(total.tokens, total.bytes)
+            + ' (' + tokens.toLocaleString() + ' tokens with the folder tree)';
+        if (data.tokenBudget) text += ' | Budget: ' + data.tokenBudget.toLocaleString() + ' tokens';
+        totalsEl.textContent = text;
+        totalsEl.className = data.tokenBudget && tokens > data.tokenBudget ? 'over-budget' : '';
+    }
+
+    function setAll(node, value) {
+        if (node.type === 'file') {
+            if (node.selectable) selected[node.path] = value;
+            return;
+        }
+        node.children.forEach(function (child) { setAll(child, value); });
+    }
+
+    function selection() {
+        return Object.keys(selected).filter(function (nodePath) { return selected[nodePath]; });
+    }
+
+    function showMessage(text, isError) {
+        messageEl.textContent = text;
+        messageEl.className = isError ? 'error' : '';
+    }
+
+    function post(url, body) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(function (response) {
+            return response.json().then(function (result) {
+                if (!response.ok) throw new Error(result.error);
+                return result;
+            });
+        });
+    }
+
+    treeEl.addEventListener('change', function (event) {
+        var nodePath = event.target.getAttribute('data-path');
+        if (nodePath === null) return;
+        if (event.target.getAttribute('data-kind') === 'directory') setAll(nodes[nodePath], event.target.checked);
+        else selected[nodePath] = event.target.checked;
+        Array.prototype.forEach.call(treeEl.querySelectorAll('input[data-kind="file"]'), function (checkbox) {
+            checkbox.checked = selected[checkbox.getAttribute('data-path')] === true;
+        });
+        refresh();
+    });
+
+    document.getElementById('copy').addEventListener('click', function () {
+        showMessage('Building the summary...');
+        post('/copy', { selected: selection(), format: formatEl.value }).then(function (result) {
+            showMessage('Copied the summary to the clipboard (' + countLabel(result.tokens, result.bytes) + ').');
+        }).catch(function (error) { showMessage('Copy failed: ' + error.message, true); });
+    });
+
+    document.getElementById('profile').addEventListener('click', function () {
+        post('/profile', { selected: selection() }).then(function (result) {
+            showMessage('Saved the selection to ' + result.path + ' (' + result.include.length + ' include, ' + result.exclude.length + ' exclude patterns).');
+        }).catch(function (error) { showMessage('Saving failed: ' + error.message, true); });
+    });
+
+    llmEl.addEventListener('click', function () {
+        llmEl.disabled = true;
+        showMessage('Starting the LLM report...');
+        post('/llm', { selected: selection() }).then(function (result) {
+            messageEl.className = '';
+            messageEl.innerHTML = 'The report streams into <a href="' + escapeHtml(result.url) + '" target="_blank">' + escapeHtml(result.url) + '</a>.';
+        }).catch(function (error) {
+            showMessage('Sending failed: ' + error.message, true);
+        }).then(function () { llmEl.disabled = false; });
+    });
+
+    fetch('/tree').then(function (response) { return response.json(); }).then(function (result) {
+        data = result;
+        formatEl.innerHTML = data.formats.map(function (format) {
+            return '<option' + (format === data.format ? ' selected' : '') + '>' + escapeHtml(format) + '</option>';
+        }).join('');
+        treeEl.innerHTML = '<ul>' + data.root.children.map(renderNode).join('') + '</ul>';
+        Array.prototype.forEach.call(treeEl.querySelectorAll('li[data-path]'), function (item) {
+            nodes[item.getAttribute('data-path')].element = item;
+        });
+        refresh();
+    });
+})();
+`;
+
+const PICKER_HTML_TEMPLATE = (title) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+${PICKER_STYLES}
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <div id="totals">Loading the project...</div>
+        <div class="actions">
+            <label>Format <select id="format"></select></label>
+            <button type="button" id="copy">Copy summary</button>
+            <button type="button" id="profile">Save as .summarizerc</button>
+            <button type="button" id="send">Send to LLM</button>
+            <span id="message"></span>
+        </div>
+    </header>
+    <main id="tree"></main>
+    <script>${PICKER_CLIENT_SCRIPT}</script>
+</body>
+</html>
+`;
+
+// --- File Picker Server ---
+// Serve the scanned project as a checkbox tree (`summarize --ui`). Options:
+//   model: tokenizer for the counts; tokenBudget: shown next to the totals when known
+//   format: preselected summary format for copying
+//   baseInclude, baseExclude: the include/exclude patterns the scan used, kept in a saved profile
+//   onCopy(summary): put the summary on the clipboard (throws when that is not possible)
+//   onSendToLLM(summaryModel): start an LLM report on the selection; resolves to its URL
+//   open: open the page in the browser
+// Resolves to { url } once the server listens; it runs until the process ends.
+async function startFilePicker(summaryModel, { targetDir, model, tokenBudget = null, format, baseInclude = [], baseExclude = [], onCopy, onSendToLLM, open = true }) {
+    const pickerTree = buildPickerTree(summaryModel, model);
+    const treeTokens = countTokens(formatFolderStructure(summaryModel.tree), model);
+    const fullHtml = PICKER_HTML_TEMPLATE(`${summaryModel.projectName}: choose what goes into the summary`);
+    const selectionOf = (req) => {
+        const paths = req.body && req.body.selected;
+        if (!Array.isArray(paths)) throw new Error('The request carries no selection.');
+        return new Set(paths.map(String));
+    };
+    // Handlers report failures to the page as { error }
+    const handle = (handler) => async (req, res) => {
+        try {
+            res.json(await handler(req));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    const app = express();
+    app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+    app.get(['/', '/index.html'], (req, res) => {
+        res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.type('text/html; charset=utf-8').send(fullHtml);
+    });
+    app.get('/tree', (req, res) => {
+        res.json({ root: pickerTree, treeTokens, tokenBudget, formats: SUMMARY_FORMATS, format });
+    });
+    app.post('/copy', handle(async (req) => {
+        const requestedFormat = SUMMARY_FORMATS.includes(req.body.format) ? req.body.format : format;
+        const summary = renderSummary(applySelection(summaryModel, pickerTree, selectionOf(req)), requestedFormat);
+        await onCopy(summary);
+        return { tokens: countTokens(summary, model), bytes: Buffer.byteLength(summary) };
+    }));
+    app.post('/profile', handle(async (req) => {
+        const patterns = selectionPatterns(pickerTree, selectionOf(req), { baseInclude, baseExclude });
+        const configPath = await saveProjectConfig(targetDir, patterns, { comment: PROFILE_COMMENT });
+        console.log(`Saved the selection to ${configPath}`);
+        return { path: configPath, ...patterns };
+    }));
+    app.post('/llm', handle(async (req) => {
+        if (!onSendToLLM) throw new Error('Sending to the LLM is not available.');
+        return { url: await onSendToLLM(applySelection(summaryModel, pickerTree, selectionOf(req))) };
+    }));
+    app.use((req, res) => res.status(404).type('text/plain').send('Not found'));
+
+    const server = http.createServer(app);
+    const port = await getAvailablePort(3000);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    server.on('error', (e) => console.error('Server runtime error:', e.message));
+    const url = `http://127.0.0.1:${port}`;
+    console.log(`\nFile picker started. Serving on ${url}`);
+    if (open) {
+        console.log("Opening in your default browser...");
+        openBrowser(url);
+    }
+    return { url };
+}
+
+module.exports = {
+    buildPickerTree,
+    applySelection,
+    selectionPatterns,
+    startFilePicker
+};
+// --- End of File: file_picker.js ---
@@ -0,0 +1,684 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// --- Configuration ---
+// Notebook outputs are cut to this many lines each; images and HTML are only named
+const NOTEBOOK_OUTPUT_LINES = 10;
+// Spreadsheets and CSV files are condensed to their header row plus this many rows per sheet
+const SPREADSHEET_SAMPLE_ROWS = 5;
+const MAX_CELL_CHARS = 100;
+// Subtitle cues further apart than this start a new paragraph (with a timestamp)
+const SUBTITLE_PARAGRAPH_GAP_SECONDS = 2;
+// Notebook kernels whose comments start with "#"; others use "//"
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'r', 'julia', 'ruby', 'bash', 'sh', 'perl', 'powershell']);
+
+const NAMESPACES = {
+    drawing: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    presentation: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+    spreadsheet: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+    odfText: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+    odfOffice: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+    odfTable: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+    dublinCore: 'http://purl.org/dc/elements/1.1/',
+};
+// RTF groups whose contents are not part of the text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'mmathPr',
+]);
+const RTF_SYMBOLS = {
+    par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' | ', tab: '\t',
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// --- Helper Functions ---
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Collapse the blank lines and trailing spaces that document markup leaves behind
+function tidyText(text) {
+    return text.split('\n').map(line => line.replace(/[ \t]+$/, '')).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// Plain text of an (X)HTML document: headings become "#" lines, list items "- " lines
+function htmlToText(html) {
+    return tidyText(decodeEntities(html
+        .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<h([1-6])\b[^>]*>/gi, (tag, level) => `\n${'#'.repeat(Number(level))} `)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|tr|blockquote|section|article|pre|table|ul|ol)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')));
+}
+
+function parseXml(text, partName) {
+    return new DOMParser({
+        errorHandler: {
+            warning: () => {},
+            error: () => {},
+            fatalError: (message) => { throw new Error(`Malformed XML in ${partName}: ${message}`); },
+        },
+    }).parseFromString(text, 'application/xml');
+}
+
+function elements(node, namespace, localName) {
+    return Array.from(node.getElementsByTagNameNS(namespace, localName));
+}
+
+function isInside(node, container) {
+    for (let current = node.parentNode; current; current = current.parentNode) {
+        if (current === container) return true;
+    }
+    return false;
+}
+
+// The r:id of an OOXML element, whatever prefix the document uses for the relationships namespace
+function relationshipId(element) {
+    const attribute = Array.from(element.attributes).find(({ localName, namespaceURI }) => localName === 'id' && /relationships$/.test(namespaceURI || ''));
+    return attribute ? attribute.value : null;
+}
+
+async function loadZip(file) {
+    try {
+        return await JSZip.loadAsync(await file.readBuffer());
+    } catch (error) {
+        throw new Error(`Not a valid ${file.extension || 'ZIP'} archive (${error.message})`);
+    }
+}
+
+async function readZipXml(zip, partName, { required = true } = {}) {
+    const entry = zip.file(partName);
+    if (!entry) {
+        if (!required) return null;
+        throw new Error(`The document has no ${partName}`);
+    }
+    return parseXml(await entry.async('string'), partName);
+}
+
+// Relationships of an OOXML part: id -> { target (a path inside the ZIP), type }
+async function readRelationships(zip, partName) {
+    const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    const document = await readZipXml(zip, relsName, { required: false });
+    const relationships = new Map();
+    if (!document) return relationships;
+    for (const relationship of Array.from(document.getElementsByTagName('Relationship'))) {
+        const target = relationship.getAttribute('Target') || '';
+        // Targets are relative to the part, or to the package root when they start with "/"
+        const resolved = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(partName), target));
+        relationships.set(relationship.getAttribute('Id'), {
+            target: relationship.getAttribute('TargetMode') === 'External' ? target : resolved,
+            type: relationship.getAttribute('Type') || '',
+        });
+    }
+    return relationships;
+}
+
+// Text of a DrawingML paragraph (<a:p>): its runs, with line breaks and tabs
+function drawingParagraphText(paragraph) {
+    let text = '';
+    const walk = (node) => {
+        for (const child of Array.from(node.childNodes)) {
+            if (child.namespaceURI !== NAMESPACES.drawing) continue;
+            if (child.localName === 't') text += child.textContent;
+            else if (child.localName === 'br') text += '\n';
+            else if (child.localName === 'tab') text += '\t';
+            else walk(child);
+        }
+    };
+    walk(paragraph);
+    return text.trim();
+}
+
+// --- Jupyter Notebooks ---
+
+function notebookSource(value) {
+    return (Array.isArray(value) ? value.join('') : value || '').replace(/\s+$/, '');
+}
+
+function notebookOutputText(output) {
+    if (output.output_type === 'stream') return notebookSource(output.text);
+    if (output.output_type === 'error') return `${output.ename}: ${output.evalue}`;
+    if (!output.data && output.text) return notebookSource(output.text); // nbformat 3 results
+    const data = output.data || {};
+    if (data['text/plain']) return notebookSource(data['text/plain']);
+    const kind = Object.keys(data).find(key => key.includes('/'));
+    return kind ? `[${kind} output]` : '';
+}
+
+// Cells in the "percent" format (# %% separators) that Jupytext, VS Code and Spyder read as a script:
+// code as it is, Markdown as comments, outputs as comments cut to NOTEBOOK_OUTPUT_LINES lines
+const notebookExtractor = {
+    name: 'notebook',
+    version: '1',
+    extensions: ['.ipynb'],
+    binary: true, // Base64 images make notebooks look minified
+    async extract(file) {
+        let notebook;
+        try {
+            notebook = JSON.parse(await file.readText());
+        } catch (error) {
+            throw new Error(`Not a valid notebook (${error.message})`);
+        }
+        const cells = notebook.cells || (notebook.worksheets || []).flatMap(worksheet => worksheet.cells || []);
+        const metadata = notebook.metadata || {};
+        const language = String((metadata.kernelspec && metadata.kernelspec.language) || (metadata.language_info && metadata.language_info.name) || 'python').toLowerCase();
+        const comment = HASH_COMMENT_LANGUAGES.has(language) ? '#' : '//';
+        const commented = (text) => text.split('\n').map(line => (line ? `${comment} ${line}` : comment)).join('\n');
+
+        const counts = { code: 0, markdown: 0, raw: 0 };
+        let truncatedOutputs = 0;
+        const blocks = cells.map((cell) => {
+            const type = cell.cell_type === 'heading' ? 'markdown' : cell.cell_type;
+            counts[type] = (counts[type] || 0) + 1;
+            const source = notebookSource(cell.source ?? cell.input);
+            if (type !== 'code') return `${comment} %% [${type}]\n${commented(source)}`;
+            let block = `${comment} %%\n${source}`;
+            const outputs = (cell.outputs || []).map(notebookOutputText).filter(Boolean);
+            if (outputs.length > 0) {
+                const lines = outputs.join('\n').split('\n');
+                const shown = lines.slice(0, NOTEBOOK_OUTPUT_LINES);
+                if (lines.length > shown.length) {
+                    shown.push(`... (${plural(lines.length - shown.length, 'more line')})`);
+                    truncatedOutputs++;
+                }
+                block += `\n${comment} Output:\n${commented(shown.join('\n'))}`;
+            }
+            return block;
+        });
+        const summary = `${plural(cells.length, 'cell')}: ${counts.code} code, ${counts.markdown} markdown; ${language} kernel`;
+        return {
+            text: `${comment} [Extracted from ${summary}]\n\n${blocks.join('\n\n')}\n`,
+            language,
+            metadata: { cells: cells.length, codeCells: counts.code, markdownCells: counts.markdown, language, truncatedOutputs },
+        };
+    },
+};
+
+// --- Spreadsheets and CSV ---
+
+function formatCsvCell(value, delimiter) {
+    let text = String(value ?? '');
+    if (text.length > MAX_CELL_CHARS) text = `${text.slice(0, MAX_CELL_CHARS)}…`;
+    return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function countColumns(rows) {
+    return Math.max(0, ...rows.map(row => row.length));
+}
+
+// One sheet condensed to its header and SPREADSHEET_SAMPLE_ROWS rows, in CSV.
+// Returns { description ("120 rows x 5 columns; ..."), sample }.
+function sampleSheet(rows, delimiter) {
+    const shown = rows.slice(0, SPREADSHEET_SAMPLE_ROWS + 1);
+    let description = `${plural(rows.length, 'row')} x ${plural(countColumns(rows), 'column')}`;
+    let sample = shown.map(row => row.map(value => formatCsvCell(value, delimiter)).join(delimiter)).join('\n');
+    if (rows.length > shown.length) {
+        description += `; header and first ${SPREADSHEET_SAMPLE_ROWS} rows`;
+        sample += `\n... (${plural(rows.length - shown.length, 'more row')})`;
+    }
+    return { description, sample };
+}
+
+// RFC 4180 parsing: quoted fields may hold delimiters, quotes ("") and line breaks
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Comma unless the first line has more semicolons (European Excel exports); tabs for .tsv
+function detectDelimiter(text, extension) {
+    if (extension === '.tsv') return '\t';
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+    const count = (character) => firstLine.split(character).length - 1;
+    return count(';') > count(',') ? ';' : count('\t') > count(',') ? '\t' : ',';
+}
+
+const csvExtractor = {
+    name: 'csv',
+    version: '1',
+    extensions: ['.csv', '.tsv'],
+    cache: false,
+    async extract(file) {
+        const text = await file.readText();
+        const delimiter = detectDelimiter(text, file.extension);
+        const rows = parseCsv(text, delimiter);
+        const { description, sample } = sampleSheet(rows, delimiter);
+        return {
+            text: `[Extracted from ${description}]\n\n${sample}\n`,
+            metadata: { rows: rows.length, columns: countColumns(rows) },
+        };
+    },
+};
+
+// "BC12" -> 54 (zero-based column index)
+function columnIndex(reference) {
+    const letters = (reference.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function sheetCellValue(cell, sharedStrings) {
+    const type = cell.getAttribute('t');
+    if (type === 'inlineStr') return elements(cell, NAMESPACES.spreadsheet, 't').map(t => t.textContent).join('');
+    const valueElement = elements(cell, NAMESPACES.spreadsheet, 'v')[0];
+    const value = valueElement ? valueElement.textContent : '';
+    if (type === 's') return sharedStrings[Number(value)] ?? '';
+    if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+    return value;
+}
+
+async function readSheetRows(zip, partName, sharedStrings) {
+    const document = await readZipXml(zip, partName);
+    const rows = elements(document, NAMESPACES.spreadsheet, 'row').map((rowElement) => {
+        const row = [];
+        for (const cell of elements(rowElement, NAMESPACES.spreadsheet, 'c')) {
+            const reference = cell.getAttribute('r');
+            const index = reference ? columnIndex(reference) : row.length;
+            row[index] = sheetCellValue(cell, sharedStrings);
+        }
+        return Array.from(row, value => value ?? '');
+    });
+    return rows.filter(row => row.some(value => String(value).trim() !== ''));
+}
+
+const xlsxExtractor = {
+    name: 'xlsx',
+    version: '1',
+    extensions: ['.xlsx', '.xlsm'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    binary: true,
+    label: 'XLSX',
+    async extract(file) {
+        const zip = await loadZip(file);
+        const workbook = await readZipXml(zip, 'xl/workbook.xml');
+        const relationships = await readRelationships(zip, 'xl/workbook.xml');
+        const sharedStringsDocument = await readZipXml(zip, 'xl/sharedStrings.xml', { required: false });
+        const sharedStrings = sharedStringsDocument
+            ? elements(sharedStringsDocument, NAMESPACES.spreadsheet, 'si').map(item => elements(item, NAMESPACES.spreadsheet, 't')
+                .filter(t => t.parentNode.localName !== 'rPh') // Phonetic hints for East Asian text
+                .map(t => t.textContent).join(''))
+            : [];
+
+        const sheets = [];
+        for (const sheet of elements(workbook, NAMESPACES.spreadsheet, 'sheet')) {
+            const relationship = relationships.get(relationshipId(sheet));
+            if (!relationship || !zip.file(relationship.target)) continue; // Chart sheets and dialogs have no rows
+            sheets.push({ name: sheet.getAttribute('name'), rows: await readSheetRows(zip, relationship.target, sharedStrings) });
+        }
+        const blocks = sheets.map(({ name, rows }) => {
+            const { description, sample } = sampleSheet(rows, ',');
+            return `Sheet "${name}": ${description}${sample ? `\n${sample}` : ''}`;
+        });
+        return {
+            text: `[Extracted from ${plural(sheets.length, 'sheet')}: ${sheets.map(({ name }) => name).join(', ')}]\n\n${blocks.join('\n\n')}\n`,
+            metadata: { sheets: sheets.map(({ name, rows }) => ({ name, rows: rows.length, columns: countColumns(rows) })) },
+        };
+    },
+};
+
+// --- Slides ---
+
+// "title", "body", "sldNum", ... for placeholder shapes (a placeholder without a type is a body); null otherwise
+function placeholderType(shape) {
+    const placeholder = elements(shape, NAMESPACES.presentation, 'ph')[0];
+    return placeholder ? placeholder.getAttribute('type') || 'body' : null;
+}
+
+// Title and body paragraphs of a slide, tables included
+function slideText(document) {
+    const titleShapes = elements(document, NAMESPACES.presentation, 'sp').filter(shape => ['title', 'ctrTitle'].includes(placeholderType(shape)));
+    const title = titleShapes.flatMap(shape => elements(shape, NAMESPACES.drawing, 'p').map(drawingParagraphText)).filter(Boolean).join(' ');
+    const body = elements(document, NAMESPACES.drawing, 'p')
+        .filter(paragraph => !titleShapes.some(shape => isInside(paragraph, shape)))
+        .map(drawingParagraphText)
+        .filter(Boolean);
+    return { title, body };
+}
+
+// The notes page also holds the slide image and the slide number; only the body placeholder is the notes
+function notesText(document) {
+    return elements(document, NAMESPACES.presentation, 'sp').filter(shape => placeholderType(shape) === 'body')
+        .flatMap(shape => elements(shape, NAMESPACES.drawing, 'p').map(drawingParagraphText))
+        .filter(Boolean)
+        .join('\n');
+}
+
+const pptxExtractor = {
+    name: 'pptx',
+    version: '1',
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    binary: true,
+    label: 'PPTX',
+    async extract(file) {
+        const zip = await loadZip(file);
+        const presentation = await readZipXml(zip, 'ppt/presentation.xml');
+        const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+        const slides = [];
+        for (const slideId of elements(presentation, NAMESPACES.presentation, 'sldId')) {
+            const relationship = relationships.get(relationshipId(slideId));
+            if (!relationship || !zip.file(relationship.target)) continue;
+            const { title, body } = slideText(await readZipXml(zip, relationship.target));
+            const notesRelationship = [...(await readRelationships(zip, relationship.target)).values()].find(({ type }) => type.endsWith('/notesSlide'));
+            const notesDocument = notesRelationship ? await readZipXml(zip, notesRelationship.target, { required: false }) : null;
+            slides.push({ title, body, notes: notesDocument ? notesText(notesDocument) : '' });
+        }
+        const withNotes = slides.filter(({ notes }) => notes).length;
+        const blocks = slides.map(({ title, body, notes }, index) => {
+            let block = `--- Slide ${index + 1}${title ? `: ${title}` : ''} ---`;
+            if (body.length > 0) block += `\n${body.join('\n')}`;
+            if (notes) block += `\nSpeaker notes:\n${notes}`;
+            return block;
+        });
+        return {
+            text: `[Extracted from ${plural(slides.length, 'slide')}, ${withNotes} with speaker notes]\n\n${blocks.join('\n\n')}\n`,
+            metadata: { slides: slides.length, slidesWithNotes: withNotes },
+        };
+    },
+};
+
+// --- OpenDocument Text ---
+
+// Text of an ODF element: spans and links inline, <text:s text:c="3"/> spaces, tabs and line breaks;
+// annotations (comments) and footnote citations are left out
+function odfInlineText(node) {
+    let text = '';
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 3) {
+            text += child.nodeValue;
+        } else if (child.nodeType === 1) {
+            if (child.namespaceURI === NAMESPACES.odfOffice && child.localName === 'annotation') continue;
+            if (child.namespaceURI === NAMESPACES.odfText) {
+                if (child.localName === 's') { text += ' '.repeat(Number(child.getAttributeNS(NAMESPACES.odfText, 'c')) || 1); continue; }
+                if (child.localName === 'tab') { text += '\t'; continue; }
+                if (child.localName === 'line-break') { text += '\n'; continue; }
+                if (child.localName === 'note-citation') continue;
+            }
+            text += odfInlineText(child);
+        }
+    }
+    return text;
+}
+
+const odtExtractor = {
+    name: 'odt',
+    version: '1',
+    extensions: ['.odt'],
+    mimeTypes: ['application/vnd.oasis.opendocument.text'],
+    binary: true,
+    label: 'ODT',
+    async extract(file) {
+        const zip = await loadZip(file);
+        const content = await readZipXml(zip, 'content.xml');
+        const body = elements(content, NAMESPACES.odfOffice, 'text')[0];
+        if (!body) throw new Error('The document has no text body');
+        let headings = 0;
+        let paragraphs = 0;
+        const lines = [];
+        const walk = (node) => {
+            for (const child of Array.from(node.childNodes)) {
+                if (child.nodeType !== 1) continue;
+                if (child.namespaceURI === NAMESPACES.odfText && child.localName === 'h') {
+                    headings++;
+                    const level = Number(child.getAttributeNS(NAMESPACES.odfText, 'outline-level')) || 1;
+                    lines.push('', `${'#'.repeat(Math.min(level, 6))} ${odfInlineText(child).trim()}`, '');
+                } else if (child.namespaceURI === NAMESPACES.odfText && child.localName === 'p') {
+                    paragraphs++;
+                    const inList = child.parentNode && child.parentNode.localName === 'list-item';
+                    lines.push(`${inList ? '- ' : ''}${odfInlineText(child)}`);
+                } else if (child.namespaceURI === NAMESPACES.odfTable && child.localName === 'table-row') {
+                    lines.push(elements(child, NAMESPACES.odfTable, 'table-cell').map(cell => odfInlineText(cell).trim()).join(' | '));
+                } else {
+                    walk(child);
+                }
+            }
+        };
+        walk(body);
+        const meta = await readZipXml(zip, 'meta.xml', { required: false });
+        const titleElement = meta ? elements(meta, NAMESPACES.dublinCore, 'title')[0] : null;
+        const metadata = { headings, paragraphs };
+        if (titleElement && titleElement.textContent.trim()) metadata.title = titleElement.textContent.trim();
+        return {
+            text: `[Extracted from ${plural(headings, 'heading')} and ${plural(paragraphs, 'paragraph')}]\n\n${tidyText(lines.join('\n'))}\n`,
+            metadata,
+        };
+    },
+};
+
+// --- EPUB ---
+
+const epubExtractor = {
+    name: 'epub',
+    version: '1',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    binary: true,
+    label: 'EPUB',
+    async extract(file) {
+        const zip = await loadZip(file);
+        const container = await readZipXml(zip, 'META-INF/container.xml');
+        const rootFile = Array.from(container.getElementsByTagName('rootfile'))[0];
+        if (!rootFile) throw new Error('META-INF/container.xml names no package document');
+        const packagePath = rootFile.getAttribute('full-path');
+        const packageDocument = await readZipXml(zip, packagePath);
+        const manifest = new Map(Array.from(packageDocument.getElementsByTagName('item'))
+            .map(item => [item.getAttribute('id'), path.posix.join(path.posix.dirname(packagePath), decodeURIComponent(item.getAttribute('href') || ''))]));
+        const dublinCore = (name) => {
+            const element = elements(packageDocument, NAMESPACES.dublinCore, name)[0];
+            return element ? element.textContent.trim() : '';
+        };
+
+        const chapters = [];
+        for (const itemRef of Array.from(packageDocument.getElementsByTagName('itemref'))) {
+            const entry = zip.file(manifest.get(itemRef.getAttribute('idref')) || '');
+            if (!entry) continue;
+            const html = await entry.async('string');
+            const text = htmlToText(html);
+            if (!text) continue; // Cover pages and image-only chapters
+            const heading = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+            const title = heading ? htmlToText(heading[1]).replace(/^#+\s*/, '') : path.posix.basename(entry.name);
+            chapters.push({ title, text });
+        }
+        const metadata = { chapters: chapters.length };
+        if (dublinCore('title')) metadata.title = dublinCore('title');
+        if (dublinCore('creator')) metadata.author = dublinCore('creator');
+        const book = [metadata.title && `"${metadata.title}"`, metadata.author && `by ${metadata.author}`].filter(Boolean).join(' ');
+        const blocks = chapters.map(({ title, text }, index) => `--- Chapter ${index + 1}: ${title} ---\n${text}`);
+        return {
+            text: `[Extracted from ${plural(chapters.length, 'chapter')}${book ? ` of ${book}` : ''}]\n\n${blocks.join('\n\n')}\n`,
+            metadata,
+        };
+    },
+};
+
+// --- RTF ---
+
+// The text of an RTF document: control words for paragraphs, tabs and special characters are translated,
+// \'hh bytes decoded as Windows-1252, \uN characters kept (skipping their \ucN fallback characters), and
+// font tables, pictures, headers and other non-text groups dropped
+function rtfToText(rtf) {
+    const windows1252 = new TextDecoder('windows-1252');
+    const token = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+    const stack = [];
+    let group = { skip: false, unicodeSkip: 1 };
+    let pendingSkip = 0; // Fallback characters still to drop after a \uN
+    let output = '';
+    const emit = (text) => {
+        if (group.skip) return;
+        if (pendingSkip > 0) {
+            const dropped = Math.min(pendingSkip, text.length);
+            pendingSkip -= dropped;
+            text = text.slice(dropped);
+        }
+        output += text;
+    };
+
+    let match;
+    while ((match = token.exec(rtf)) !== null) {
+        const [, word, parameter, hex, symbol, brace, text] = match;
+        if (brace === '{') {
+            stack.push(group);
+            group = { ...group };
+            pendingSkip = 0;
+        } else if (brace === '}') {
+            group = stack.pop() || group;
+            pendingSkip = 0;
+        } else if (word) {
+            if (RTF_SKIPPED_DESTINATIONS.has(word)) group.skip = true;
+            else if (word === 'uc') group.unicodeSkip = Number(parameter) || 0;
+            else if (word === 'u') {
+                const code = Number(parameter);
+                emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+                pendingSkip = group.unicodeSkip;
+            } else if (RTF_SYMBOLS[word]) {
+                pendingSkip = 0;
+                emit(RTF_SYMBOLS[word]);
+            }
+        } else if (hex) {
+            if (pendingSkip > 0) pendingSkip--;
+            else emit(windows1252.decode(Buffer.from([parseInt(hex, 16)])));
+        } else if (symbol) {
+            if (symbol === '*') group.skip = true;
+            else if (symbol === '~') emit(' ');
+            else if (symbol === '_') emit('-');
+            else if (symbol === '\n' || symbol === '\r') emit('\n');
+            else if ('\\{}'.includes(symbol)) emit(symbol);
+        } else if (text) {
+            emit(text);
+        }
+    }
+    return tidyText(output);
+}
+
+const rtfExtractor = {
+    name: 'rtf',
+    version: '1',
+    extensions: ['.rtf'],
+    mimeTypes: ['application/rtf'],
+    binary: true, // RTF is 7-bit text, but long lines of markup look minified
+    async extract(file) {
+        const text = rtfToText((await file.readBuffer()).toString('latin1'));
+        const paragraphs = text.split(/\n\s*\n|\n/).filter(line => line.trim()).length;
+        return { text: `[Extracted from ${plural(paragraphs, 'paragraph')}]\n\n${text}\n`, metadata: { paragraphs } };
+    },
+};
+
+// --- Subtitles ---
+
+// "01:02:03,456" / "02:03.456" -> seconds
+function parseTimestamp(timestamp) {
+    const parts = timestamp.replace(',', '.').split(':').map(Number);
+    return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+    const whole = Math.floor(seconds);
+    return [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// Cues of an SRT or WebVTT file: { start, end, speaker, text } with styling tags removed and <v Speaker> turned into "Speaker: "
+function parseSubtitles(text) {
+    const cues = [];
+    for (const block of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+        const timing = lines[timingIndex].match(/((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/);
+        if (!timing) continue;
+        const body = lines.slice(timingIndex + 1).join('\n');
+        const voice = body.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+        const cueText = decodeEntities(body
+            .replace(/<v(?:\.[\w.-]+)?\s+([^>]+)>/g, '$1: ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')) // SSA override tags some SRT files carry
+            .trim();
+        if (cueText) cues.push({ start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), speaker: voice ? voice[1].trim() : null, text: cueText });
+    }
+    return cues;
+}
+
+// Running text with a timestamp at every pause or change of speaker; lines repeated by roll-up captions appear once
+const subtitleExtractor = {
+    name: 'subtitles',
+    version: '1',
+    extensions: ['.srt', '.vtt'],
+    cache: false,
+    async extract(file) {
+        const cues = parseSubtitles(await file.readText());
+        const paragraphs = [];
+        let previousLine = null;
+        let previousEnd = -Infinity;
+        let previousSpeaker = null;
+        for (const cue of cues) {
+            const lines = cue.text.split('\n').map(line => line.trim()).filter(line => line && line !== previousLine);
+            if (lines.length === 0) continue;
+            const speakerChanged = cue.speaker !== null && cue.speaker !== previousSpeaker;
+            if (paragraphs.length === 0 || speakerChanged || cue.start - previousEnd > SUBTITLE_PARAGRAPH_GAP_SECONDS) {
+                paragraphs.push({ start: cue.start, lines: [] });
+            }
+            if (cue.speaker !== null) previousSpeaker = cue.speaker;
+            paragraphs[paragraphs.length - 1].lines.push(...lines);
+            previousLine = lines[lines.length - 1];
+            previousEnd = cue.end;
+        }
+        const duration = cues.length > 0 ? Math.max(...cues.map(({ end }) => end)) : 0;
+        const blocks = paragraphs.map(({ start, lines }) => `[${formatTimestamp(start)}] ${lines.join(' ')}`);
+        return {
+            text: `[Extracted from ${plural(cues.length, 'cue')}, ${formatTimestamp(duration)} long]\n\n${blocks.join('\n\n')}\n`,
+            metadata: { cues: cues.length, durationSeconds: Math.round(duration) },
+        };
+    },
+};
+
+const FORMAT_EXTRACTORS = [notebookExtractor, csvExtractor, xlsxExtractor, pptxExtractor, odtExtractor, epubExtractor, rtfExtractor, subtitleExtractor];
+
+module.exports = {
+    FORMAT_EXTRACTORS
+};
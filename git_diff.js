@@ -0,0 +1,134 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+
+const execFilePromise = util.promisify(execFile);
+
+// --- Configuration ---
+// Diffs of generated files can be large; git output beyond this fails loudly instead of being cut off
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+const STATUS_NAMES = { A: 'added', M: 'modified', T: 'modified', R: 'renamed', C: 'added', D: 'deleted' };
+
+// --- Helper Functions ---
+
+async function runGit(args, cwd) {
+    const { stdout } = await execFilePromise('git', args, { cwd, maxBuffer: GIT_MAX_BUFFER });
+    return stdout;
+}
+
+// The contents of a file as staged in the index, as a Buffer; gitPath is relative to cwd, with forward slashes
+async function readStagedFile(gitPath, cwd) {
+    const { stdout } = await execFilePromise('git', ['show', `:./${gitPath}`], { cwd, maxBuffer: GIT_MAX_BUFFER, encoding: 'buffer' });
+    return stdout;
+}
+
+// git prints paths with forward slashes; the summary model uses the platform separator
+function fromGitPath(gitPath) {
+    return gitPath.split('/').join(path.sep);
+}
+
+// The arguments selecting what is compared: the index (--staged) and/or a ref, against the working tree by default
+function diffBaseArgs({ since, staged }) {
+    const args = ['diff'];
+    if (staged) args.push('--cached');
+    if (since) args.push(since);
+    return args;
+}
+
+// Parse `git diff --name-status -z` output. Renames and copies carry two paths (old, new).
+function parseNameStatus(output) {
+    const fields = output.split('\0').filter(Boolean);
+    const entries = [];
+    for (let i = 0; i < fields.length;) {
+        const letter = fields[i++][0];
+        if (letter === 'R' || letter === 'C') {
+            entries.push({ status: STATUS_NAMES[letter], previousPath: fields[i++], path: fields[i++] });
+        } else {
+            entries.push({ status: STATUS_NAMES[letter] || 'modified', path: fields[i++] });
+        }
+    }
+    return entries;
+}
+
+// Unified diff of an untracked file: `git diff --no-index` exits with 1 when the files differ, which is the point here
+async function diffUntrackedFile(gitPath, cwd) {
+    try {
+        return await runGit(['diff', '--no-index', '--', '/dev/null', gitPath], cwd);
+    } catch (error) {
+        if (error.code === 1 && typeof error.stdout === 'string') return error.stdout;
+        throw error;
+    }
+}
+
+// --- Change Collection ---
+// Collect the files that changed in targetDir (which may be a subdirectory of the repository).
+//   since: compare against this ref (branch, tag, commit); the working tree is compared unless staged is set
+//   staged: compare the index instead of the working tree (against HEAD when since is not given)
+// Returns { description, changes, deleted } where changes maps relative paths (platform separators) to
+// { status: 'added'|'modified'|'renamed', previousPath, diff, stagedPath } and deleted lists removed paths.
+// With staged, stagedPath is the git path to read the staged contents from (see readStagedFile), so the contents
+// match the diff even when the working tree has unstaged edits.
+async function collectGitChanges(targetDir, { since, staged = false } = {}) {
+    try {
+        await runGit(['rev-parse', '--is-inside-work-tree'], targetDir);
+    } catch (error) {
+        throw new Error(`${targetDir} is not inside a git repository, so --since/--staged cannot be used.`);
+    }
+    if (since) {
+        try {
+            await runGit(['rev-parse', '--verify', '--quiet', `${since}^{commit}`], targetDir);
+        } catch (error) {
+            throw new Error(`Unknown git ref "${since}". Pass a branch, tag or commit that exists in this repository.`);
+        }
+    }
+
+    const baseArgs = diffBaseArgs({ since, staged });
+    const entries = parseNameStatus(await runGit([...baseArgs, '--name-status', '-z', '-M', '--relative', '--', '.'], targetDir));
+    // Files git does not track yet are new files too, unless only the index is compared
+    const untracked = new Set(staged ? [] : (await runGit(['ls-files', '--others', '--exclude-standard', '-z', '--', '.'], targetDir)).split('\0').filter(Boolean));
+    untracked.forEach(gitPath => entries.push({ status: 'added', path: gitPath, untracked: true }));
+
+    const changes = new Map();
+    const deleted = [];
+    for (const entry of entries) {
+        if (entry.status === 'deleted') {
+            // Removed from the index (git rm --cached) but still on disk: listed once, as the untracked file it now is
+            if (untracked.has(entry.path)) continue;
+            deleted.push(fromGitPath(entry.path));
+            continue;
+        }
+        const diff = entry.untracked
+            ? await diffUntrackedFile(entry.path, targetDir)
+            : await runGit([...baseArgs, '-M', '--relative', '--', ...(entry.previousPath ? [entry.previousPath] : []), entry.path], targetDir);
+        changes.set(fromGitPath(entry.path), {
+            status: entry.status,
+            previousPath: entry.previousPath ? fromGitPath(entry.previousPath) : null,
+            diff,
+            stagedPath: staged ? entry.path : null,
+        });
+    }
+
+    const description = [since ? `since ${since}` : null, staged ? 'staged' : null].filter(Boolean).join(', ');
+    return { description, changes, deleted: deleted.sort() };
+}
+
+// The checked-out branch of the repository containing targetDir: its name, "detached at <commit>",
+// or null outside a repository
+async function getCurrentBranch(targetDir) {
+    try {
+        return (await runGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], targetDir)).trim();
+    } catch (error) {
+        // Not on a branch (or not a repository)
+    }
+    try {
+        return `detached at ${(await runGit(['rev-parse', '--short', 'HEAD'], targetDir)).trim()}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    collectGitChanges,
+    readStagedFile,
+    getCurrentBranch
+};
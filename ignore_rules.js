@@ -0,0 +1,135 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ignore = require('ignore');
+
+// --- Configuration ---
+// Per-directory ignore files, read with gitignore semantics (negation, anchoring, dir-only patterns)
+const IGNORE_FILE_NAMES = ['.gitignore', '.summarizeignore'];
+
+// --- Helper Functions ---
+
+// The `ignore` matcher expects POSIX-style relative paths
+function toPosixPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+// Merge config entries into a built-in name set.
+// Plain entries extend the set, entries prefixed with `!` remove a built-in entry.
+// With `replaceDefaults`, the built-in set is dropped entirely.
+function mergeNameSet(builtInSet, entries = [], replaceDefaults = false) {
+    const merged = new Set(replaceDefaults ? [] : builtInSet);
+    for (const entry of entries) {
+        if (entry.startsWith('!')) {
+            merged.delete(entry.slice(1));
+        } else {
+            merged.add(entry);
+        }
+    }
+    return merged;
+}
+
+async function readIgnoreFile(filePath) {
+    try {
+        return await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Warning: Could not read ignore file ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+// --- Rule Set Factory ---
+// Build the filter used by traverseDirectory. Options:
+//   ignoredDirs, ignoredFiles, nonTextExtensions: effective name sets (see mergeNameSet)
+//   include: glob patterns; when non-empty, only matching files are included in Section 2
+//   exclude: glob patterns removed from both the tree and the contents
+//   useIgnoreFiles: honor nested .gitignore/.summarizeignore files (default true)
+function createIgnoreRules(rootPath, options = {}) {
+    const {
+        ignoredDirs,
+        ignoredFiles,
+        nonTextExtensions,
+        include = [],
+        exclude = [],
+        useIgnoreFiles = true,
+    } = options;
+
+    // Directory path -> matcher for the ignore files found in that directory (or null)
+    const directoryMatchers = new Map();
+    const excludeMatcher = exclude.length > 0 ? ignore().add(exclude) : null;
+    const includeMatcher = include.length > 0 ? ignore().add(include) : null;
+
+    // Load the ignore files of a directory before its entries are checked
+    async function enterDirectory(dirPath) {
+        if (!useIgnoreFiles || directoryMatchers.has(dirPath)) return;
+        let matcher = null;
+        for (const fileName of IGNORE_FILE_NAMES) {
+            const text = await readIgnoreFile(path.join(dirPath, fileName));
+            if (text !== null) {
+                matcher = matcher || ignore();
+                matcher.add(text);
+            }
+        }
+        directoryMatchers.set(dirPath, matcher);
+    }
+
+    // Directories from the root down to (and including) the parent of fullPath
+    function ancestorDirectories(fullPath) {
+        const dirs = [];
+        let current = path.dirname(fullPath);
+        while (true) {
+            dirs.unshift(current);
+            if (current === rootPath) break;
+            const parent = path.dirname(current);
+            if (parent === current || !current.startsWith(rootPath)) break;
+            current = parent;
+        }
+        return dirs;
+    }
+
+    // Whether an entry is hidden entirely (from the tree and from the contents)
+    function isIgnored(fullPath, isDirectory) {
+        const name = path.basename(fullPath);
+        if (isDirectory && ignoredDirs.has(name)) return true;
+
+        const suffix = isDirectory ? '/' : '';
+        let ignored = false;
+        // Deeper ignore files take precedence, so walk from the root downwards
+        for (const dir of ancestorDirectories(fullPath)) {
+            const matcher = directoryMatchers.get(dir);
+            if (!matcher) continue;
+            const result = matcher.test(toPosixPath(path.relative(dir, fullPath)) + suffix);
+            if (result.ignored) ignored = true;
+            else if (result.unignored) ignored = false;
+        }
+
+        if (excludeMatcher) {
+            const relativePath = toPosixPath(path.relative(rootPath, fullPath)) + suffix;
+            const result = excludeMatcher.test(relativePath);
+            if (result.ignored) ignored = true;
+            else if (result.unignored) ignored = false;
+        }
+        return ignored;
+    }
+
+    // Whether a (non-ignored) file should have its contents included in Section 2
+    function isIncluded(fullPath) {
+        if (ignoredFiles.has(path.basename(fullPath))) return false;
+        if (!includeMatcher) return true;
+        return includeMatcher.ignores(toPosixPath(path.relative(rootPath, fullPath)));
+    }
+
+    return {
+        nonTextExtensions,
+        enterDirectory,
+        isIgnored,
+        isIncluded,
+    };
+}
+
+module.exports = {
+    IGNORE_FILE_NAMES,
+    mergeNameSet,
+    createIgnoreRules
+};
@@ -4,14 +4,37 @@ const path = require('path');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const dotenv = require('dotenv');
-const fs = require('fs').promises; // Need fs here for initial dir validation
+const fsSync = require('fs');
+const fs = fsSync.promises; // For writing --output
 
 // Import core summary generator
-const { generateProjectSummary } = require('./project_summary');
+const { buildSummaryModel, DEFAULT_CONCURRENCY } = require('./project_summary');
+const { renderSummary, getSummaryRenderer, markdownDependencyGraph, SUMMARY_FORMATS, DEFAULT_FORMAT } = require('./summary_formats');
+const { loadProjectConfig, toList, parseSize } = require('./config_loader');
 
 // Import new LLM and rendering modules
-const { processWithLLM } = require('./llm_processor');
-const { renderAndServe } = require('./web_renderer');
+const { processWithLLM, askFollowUp, readPromptTemplate, buildPrompt, DEFAULT_REQUEST_TIMEOUT_MS, DEFAULT_MAX_RETRIES } = require('./llm_processor');
+const { processWithMapReduce, planMapPrompts, DEFAULT_MAP_CONCURRENCY } = require('./map_reduce');
+const { PROVIDERS, DEFAULT_PROVIDER, resolveProviderSettings, getModelPricing } = require('./llm_providers');
+const { LLMAuthError, LLMQuotaError, LLMContextLengthError, LLMNetworkError, LLMCancelledError, describeLLMError } = require('./llm_errors');
+const { countTokens, getDefaultMaxTokens } = require('./token_budget');
+const { renderAndServe, startStreamingReport, exportReport, exportCombinedReport, combineAnalyses } = require('./web_renderer');
+const { REDACT_MODES, DEFAULT_REDACT_MODE } = require('./secret_scanner');
+const { createCache, getCacheStats, clearCache, getDefaultCacheDir } = require('./cache');
+const { formatBytes } = require('./progress');
+const { loadTemplate, resolveTemplate, listTemplates, getTemplateDirs, parseTemplateVars, expandTemplate, fillFileTree } = require('./prompt_templates');
+const { runAnalyses, formatAnalysisResults, DEFAULT_TEMPLATE_CONCURRENCY } = require('./multi_analysis');
+const { startFilePicker } = require('./file_picker');
+const { loadExtractors } = require('./extractors');
+const { DETAIL_LEVELS, DEFAULT_DETAIL } = require('./code_skeleton');
+const { openSource } = require('./source_snapshot');
+const { startMcpServer } = require('./mcp_server');
+const { watchProject, forgetChangedFiles, DEFAULT_WATCH_DEBOUNCE_MS } = require('./project_watcher');
+const { detectWorkspace } = require('./workspaces');
+const { mapWithConcurrency } = require('./worker_pool');
+
+const DEFAULT_PROMPT_TEMPLATE = 'prompt_template.txt';
+const DEFAULT_TEMPERATURE = 1;
 
 // Load environment variables from .env file
 dotenv.config();
@@ -27,42 +50,552 @@ async function loadClipboardy() {
     }
 }
 
+async function copySummary(summaryString) {
+    if (!clipboardy) {
+        console.log('\n⚠️ Clipboard functionality not available.');
+        return;
+    }
+    try {
+        await clipboardy.write(summaryString);
+        console.log('\n✅ Summary copied to clipboard!');
+    } catch (error) {
+        console.error('\n❌ Failed to copy summary to clipboard:', error.message);
+    }
+}
+
+// Scan the project and write the summary out file by file as it is read, to outputPath or to the console.
+// Resolves to { summaryString, summaryModel }: summaryString is only kept when keepString is set (for the clipboard),
+// and summaryModel holds no files.
+async function writeSummaryIncrementally(targetDir, summaryOptions, { format, outputPath, keepString }) {
+    const renderer = getSummaryRenderer(format);
+    const output = outputPath ? fsSync.createWriteStream(outputPath, 'utf8') : process.stdout;
+    const written = outputPath && new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+    });
+    if (written) written.catch(() => {}); // Reported by the await below, once reading is done
+    const chunks = [];
+    const write = (chunk) => {
+        if (keepString) chunks.push(chunk);
+        output.write(chunk);
+    };
+
+    if (!outputPath) output.write('\n');
+    let summary;
+    try {
+        summary = await buildSummaryModel(targetDir, {
+            ...summaryOptions,
+            onHeader: (header) => write(renderer.header(header)),
+            onFile: (file, index) => write(renderer.file(file, index)),
+        });
+        write(renderer.footer(summary));
+    } finally {
+        if (outputPath) output.end();
+        else output.write('\n');
+    }
+    if (written) await written;
+    return { summaryString: keepString ? chunks.join('') : null, summaryModel: summary };
+}
+
+// --show-graph: serve the dependency graph (adjacency list, cycles, Mermaid flowchart) as a page of its own
+async function serveDependencyGraph(summaryModel, { open }) {
+    if (!summaryModel.dependencyGraph) {
+        console.log('\nNo JavaScript/TypeScript or Python files were read, so there is no dependency graph to show.');
+        return;
+    }
+    const markdown = `# ${summaryModel.projectName}: Dependency Graph\n${markdownDependencyGraph(summaryModel.dependencyGraph)}`;
+    try {
+        await renderAndServe(markdown, summaryModel.projectName, { title: `${summaryModel.projectName} Dependency Graph`, label: 'Dependency graph', open });
+    } catch (error) {
+        console.error("\nAn error occurred while starting the graph server:", error.message);
+        process.exit(1);
+    }
+    console.log('Press Ctrl+C to stop the server.');
+}
+
+// --- Watch Mode ---
+
+// Project-relative paths of the files --watch writes itself (--output, --report), so writing them is not a change
+function ownOutputPaths(targetDir, argv) {
+    return [argv.output, argv.report]
+        .filter(Boolean)
+        .map(filePath => path.relative(targetDir, path.resolve(filePath)))
+        .filter(relativePath => relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+function describeChanges(changedPaths) {
+    const shown = changedPaths.slice(0, 3).join(', ');
+    return changedPaths.length > 3 ? `${shown} and ${changedPaths.length - 3} more` : shown;
+}
+
+// --watch: rescan the project whenever it changes, reading only the touched files again (see project_watcher.js).
+// onUpdate(summaryModel, summaryString, changedPaths) gets every rescan whose summary differs from the last one.
+function watchSummary(targetDir, summaryOptions, { format, tree, summaryString, debounceMs, ignoredPaths, onUpdate }) {
+    let lastSummary = summaryString;
+    const watcher = watchProject(targetDir, tree, {
+        debounceMs,
+        ignore: relativePath => ignoredPaths.includes(relativePath),
+        onChange: async (changedPaths) => {
+            forgetChangedFiles(summaryOptions.fileRecords, changedPaths);
+            const summaryModel = await buildSummaryModel(targetDir, summaryOptions);
+            watcher.update(summaryModel.tree);
+            if (summaryOptions.redact === 'fail' && summaryModel.secretFindings.length > 0) {
+                console.error(`\nPotential secrets found in ${summaryModel.secretFindings.length} file(s) (see the report above). The summary is not updated because of --redact=fail.`);
+                return;
+            }
+            const updated = renderSummary(summaryModel, format);
+            if (updated === lastSummary) return;
+            lastSummary = updated;
+            await onUpdate(summaryModel, updated, changedPaths);
+        },
+    });
+    console.log(`\nWatching ${targetDir} for changes. Press Ctrl+C to stop.`);
+}
+
+// --- LLM Errors ---
+
+// The console message of a failed LLM run: the kind of failure, what happened and what to do (see llm_errors.js)
+function reportLLMError(error) {
+    const kind = error instanceof LLMAuthError ? 'Authentication failed'
+        : error instanceof LLMQuotaError ? (error.retryable ? 'Rate limit reached' : 'Quota exceeded')
+        : error instanceof LLMContextLengthError ? 'Prompt too long'
+        : error instanceof LLMNetworkError ? (error.timedOut ? 'Request timed out' : 'Network error')
+        : 'An error occurred during LLM processing';
+    console.error(`\n${kind}: ${error.message}`);
+    if (error.hint) console.error(error.hint);
+}
+
+// --- Dry Run ---
+
+function formatCost(usd) {
+    return usd > 0 && usd < 1 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+// The prompts --llm would send for a scanned project, [{ title, analysis, prompt, partial }]: one per template, or in
+// --chunked mode the map prompt of every chunk and the reduce template (partial: the partial analyses take the place
+// of {{SUMMARY}} at run time). Templates of the same model share their map calls (see map_reduce.js), listed once.
+async function planRequests(summaryModel, analyses, { argv, chunked, prefix = '' }) {
+    const requests = [];
+    const mapPrompts = new Set();
+    for (const analysis of analyses) {
+        const { template, format, temperature, llmSettings } = analysis;
+        const promptTemplate = fillFileTree(analysis.promptTemplate, summaryModel.tree);
+        if (!chunked) {
+            const prompt = buildPrompt(promptTemplate, renderSummary(summaryModel, format), template.path);
+            requests.push({ title: `${prefix}template "${template.name}"`, analysis, prompt });
+            continue;
+        }
+        const mapTemplate = await readPromptTemplate(argv.mapPrompt);
+        const { chunks } = planMapPrompts(summaryModel, { mapTemplate, mapPromptPath: argv.mapPrompt, chunkTokens: argv.chunkTokens, model: llmSettings.model });
+        for (const { label, prompt } of chunks) {
+            const key = JSON.stringify([llmSettings.provider, llmSettings.model, temperature, prompt]);
+            if (mapPrompts.has(key)) continue;
+            mapPrompts.add(key);
+            requests.push({ title: `${prefix}map ${label}`, analysis, prompt });
+        }
+        const reduceTemplate = argv.reducePrompt ? await readPromptTemplate(argv.reducePrompt) : promptTemplate;
+        requests.push({ title: `${prefix}reduce, template "${template.name}"`, analysis, prompt: reduceTemplate, partial: true });
+    }
+    return requests;
+}
+
+// --dry-run: print every planned request in full, then its token count and estimated cost. The prompts are priced
+// as counted; the answers, whose length is unknown, per 1,000 completion tokens. pricing: the .summarizerc entries.
+function printDryRun(requests, { pricing }) {
+    requests.forEach(({ title, analysis, prompt }, index) => {
+        console.log(`\n--- Dry run ${index + 1} of ${requests.length}: ${title} (${analysis.llmSettings.model}) ---`);
+        console.log(prompt);
+        console.log(`--- End of prompt ${index + 1} ---`);
+    });
+
+    let totalTokens = 0;
+    let totalCost = 0;
+    const unpriced = new Set();
+    const rows = requests.map(({ title, analysis: { llmSettings: { provider, model } }, prompt, partial }) => {
+        const tokens = countTokens(prompt, model);
+        const price = getModelPricing(provider, model, pricing);
+        totalTokens += tokens;
+        let cost;
+        if (!price) {
+            unpriced.add(model);
+            cost = 'unknown price';
+        } else if (price.local) {
+            cost = 'no cost (local model)';
+        } else {
+            totalCost += tokens / 1e6 * price.input;
+            cost = `${formatCost(tokens / 1e6 * price.input)} + ${formatCost(price.output / 1000)} per 1,000 completion tokens`;
+        }
+        return { title: partial ? `${title} *` : title, model, tokens: tokens.toLocaleString('en-US'), cost };
+    });
+    const titleWidth = Math.max(...rows.map(row => row.title.length));
+    const modelWidth = Math.max(...rows.map(row => row.model.length));
+    const tokensWidth = Math.max(...rows.map(row => row.tokens.length));
+    console.log(`\n--- Dry run: ${requests.length} request(s), nothing sent ---`);
+    rows.forEach(({ title, model, tokens, cost }) => {
+        console.log(`  ${title.padEnd(titleWidth)}  ${model.padEnd(modelWidth)}  ${tokens.padStart(tokensWidth)} tokens  ${cost}`);
+    });
+    if (rows.some(row => row.title.endsWith(' *'))) {
+        console.log('  * Without the partial analyses, which only exist once the map calls have run.');
+    }
+    console.log(`\nTotal: ${totalTokens.toLocaleString('en-US')} prompt tokens, estimated ${formatCost(totalCost)} plus the completion tokens.`);
+    if (unpriced.size > 0) {
+        console.log(`No price is known for ${[...unpriced].join(', ')}; add it to "pricing" in .summarizerc (USD per million input and output tokens).`);
+    }
+}
+
+// --- Workspaces ---
+
+// summary.md -> summary-<package>.md: the --output or --report file of one package with --per-package
+function packageOutputPath(filePath, pkg) {
+    const slug = pkg.name.replace(/^@/, '').replace(/[^A-Za-z0-9._-]+/g, '-');
+    const extension = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - extension.length)}-${slug}${extension}`;
+}
+
+// --per-package: scan every package of the workspace on its own (without the packages it depends on, which the
+// package index names) and print or write one summary per package, or with --llm send each to the template,
+// into one report page with a tab per package. Packages are analysed up to --template-concurrency at a time.
+// With --dry-run the prompts of every package are printed instead (pricing: see printDryRun).
+async function summarizePerPackage(targetDir, workspace, summaryOptions, { argv, format, analyses, chunked, cache, pricing }) {
+    const projectName = path.basename(targetDir);
+    const scans = [];
+    for (const pkg of workspace.packages) {
+        console.log(`\nScanning package ${pkg.name} (${pkg.path || '.'})...`);
+        const summaryModel = await buildSummaryModel(targetDir, { ...summaryOptions, package: pkg.path, packageDependencies: false });
+        if (summaryOptions.redact === 'fail' && summaryModel.secretFindings.length > 0) {
+            throw new Error(`Potential secrets found in ${summaryModel.secretFindings.length} file(s) of package ${pkg.name} (see the report above). Aborting because of --redact=fail.`);
+        }
+        scans.push({ pkg, summaryModel, summaryString: renderSummary(summaryModel, format) });
+    }
+
+    if (!argv.llm) {
+        for (const { pkg, summaryString } of scans) {
+            if (argv.output) {
+                const outputPath = packageOutputPath(argv.output, pkg);
+                await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+                await fs.writeFile(outputPath, summaryString, 'utf8');
+                console.log(`Summary of ${pkg.name} written to ${outputPath}`);
+            } else {
+                console.log('\n' + summaryString);
+            }
+        }
+        if (argv.copy !== false) await copySummary(scans.map(scan => scan.summaryString).join('\n'));
+        return;
+    }
+    if (argv.dryRun) {
+        const requests = [];
+        for (const { pkg, summaryModel } of scans) {
+            requests.push(...await planRequests(summaryModel, analyses, { argv, chunked, prefix: `${pkg.name}: ` }));
+        }
+        printDryRun(requests, { pricing });
+        return;
+    }
+
+    const [analysis] = analyses;
+    const abortController = new AbortController();
+    const cancel = (reason) => {
+        if (abortController.signal.aborted) return;
+        console.log(`\n${reason} Cancelling the LLM requests...`);
+        abortController.abort();
+    };
+    const onSigint = () => cancel('Interrupted.');
+    const report = argv.serve
+        ? await startStreamingReport(projectName, {
+            analyses: scans.map(({ pkg }, index) => ({ id: index, title: pkg.name, model: analysis.llmSettings.model })),
+            onFollowUp: followUpHandler(analyses, cache),
+            onAbandoned: () => cancel('Browser tab closed.'),
+            open: argv.open,
+        })
+        : null;
+
+    console.log(`\nRunning template "${analysis.template.name}" on ${scans.length} packages...`);
+    process.once('SIGINT', onSigint);
+    let results;
+    try {
+        const runs = await mapWithConcurrency(scans, chunked ? 1 : argv.templateConcurrency, async ({ pkg, summaryModel }, index) => {
+            const [result] = await runAnalyses(summaryModel, [{ ...analysis, id: index }], {
+                report,
+                chunkOptions: chunked
+                    ? { mapPromptPath: argv.mapPrompt, chunkTokens: argv.chunkTokens, mapConcurrency: argv.mapConcurrency, partialsDir: argv.partialsDir }
+                    : null,
+                signal: abortController.signal,
+                cache,
+            });
+            return { ...result, name: pkg.name, title: pkg.name };
+        });
+        results = runs.map(({ value }) => value);
+    } finally {
+        process.removeListener('SIGINT', onSigint);
+    }
+    if (abortController.signal.aborted) {
+        console.log("LLM requests cancelled.");
+        process.exit(130);
+    }
+
+    const failed = results.filter(result => result.error);
+    console.log(`\n${results.length - failed.length} of ${results.length} packages analysed:\n${formatAnalysisResults(results)}`);
+    if (argv.report) {
+        for (const [index, result] of results.entries()) {
+            if (result.error) continue;
+            const reportPath = packageOutputPath(argv.report, scans[index].pkg);
+            await exportReport(result.text, reportPath, { title: `${result.name} LLM Analysis` });
+            console.log(`LLM report of ${result.name} saved to ${reportPath}`);
+        }
+    }
+    if (report) {
+        console.log(`\nLLM responses rendered at ${report.url}. Ask follow-up questions there; press Ctrl+C to stop the server.`);
+    } else if (!argv.report) {
+        console.log('\n' + combineAnalyses(results));
+    }
+    if (argv.copy === true) await copySummary(scans.map(scan => scan.summaryString).join('\n'));
+    if (failed.length > 0) process.exitCode = 1;
+}
+
+// Load the prompt template(s) for --llm: several named --templates, a named --template or the --prompt file.
+// Front-matter settings apply unless the same setting is given on the command line. Returns one analysis per
+// template, { id, template, format, temperature, llmSettings, promptTemplate }, its placeholders filled in except
+// {{SUMMARY}} and {{FILE_TREE}}, which follow once the project is scanned (see fillFileTree).
+async function prepareAnalyses(argv, templateNames, { targetDir, projectName, redact }) {
+    const templates = templateNames.length > 0
+        ? await Promise.all(templateNames.map(name => resolveTemplate(name, targetDir)))
+        : [argv.template ? await resolveTemplate(argv.template, targetDir) : await loadTemplate(argv.prompt ?? DEFAULT_PROMPT_TEMPLATE)];
+    if (argv.template || argv.templates) {
+        templates.forEach(template => console.log(`Using ${template.source} template "${template.name}": ${template.path}`));
+    }
+    const vars = parseTemplateVars(argv.var);
+    const analyses = [];
+    for (const template of templates) {
+        const { settings } = template;
+        analyses.push({
+            id: analyses.length,
+            template,
+            format: argv.format ?? settings.format ?? DEFAULT_FORMAT,
+            temperature: argv.temperature ?? settings.temperature ?? DEFAULT_TEMPERATURE,
+            llmSettings: {
+                ...resolveProviderSettings({ provider: argv.provider, model: argv.model ?? settings.model, baseUrl: argv.baseUrl, requireApiKey: !argv.dryRun }),
+                timeoutMs: argv.requestTimeout * 1000,
+                maxRetries: argv.maxRetries,
+            },
+            promptTemplate: await expandTemplate(template, { projectName, targetDir, vars, redact }),
+        });
+    }
+    return analyses;
+}
+
+// Follow-up questions asked in a report page go to the model and temperature of the analysis they continue
+// (the only one, or the tab's template with --templates)
+function followUpHandler(analyses, cache) {
+    return (id, messages, handlers) => {
+        const analysis = analyses.find(candidate => String(candidate.id) === id) || analyses[0];
+        return askFollowUp(messages, { ...analysis.llmSettings, temperature: analysis.temperature, cache, ...handlers });
+    };
+}
+
+// Start a report page for a selection made in the file picker and run the analyses into it in the background.
+// Resolves to the page URL. The analyses are loaded on first use, so the picker works without an API key.
+async function sendSelectionToLLM(selectionModel, { argv, analyses, loadAnalyses, cache }) {
+    if (analyses.length === 0) analyses.push(...await loadAnalyses());
+    const report = await startStreamingReport(selectionModel.projectName, {
+        analyses: analyses.map(({ id, template: { name }, llmSettings: { model } }) => ({ id, title: name, model })),
+        onFollowUp: followUpHandler(analyses, cache),
+        open: argv.open,
+    });
+    runAnalyses(selectionModel, analyses, {
+        report,
+        concurrency: argv.templateConcurrency,
+        chunkOptions: argv.chunked
+            ? { mapPromptPath: argv.mapPrompt, chunkTokens: argv.chunkTokens, mapConcurrency: argv.mapConcurrency, partialsDir: argv.partialsDir }
+            : null,
+        cache,
+    })
+        .then(results => console.log(`\nAnalysis of the selection finished:\n${formatAnalysisResults(results)}`))
+        .catch(error => console.error('\nAn error occurred during LLM processing:', error.message));
+    return report.url;
+}
+
+// `summarize templates list [directory]`
+async function runTemplatesCommand(targetDir) {
+    console.log('Template directories (later ones override earlier ones):');
+    for (const { source, dir } of getTemplateDirs(targetDir)) {
+        console.log(`  ${source.padEnd(8)} ${dir}`);
+    }
+    const templates = await listTemplates(targetDir);
+    if (templates.length === 0) {
+        console.log('\nNo templates found.');
+        return;
+    }
+    const nameWidth = Math.max(...templates.map(template => template.name.length));
+    console.log('');
+    for (const template of templates) {
+        const overrides = template.overrides.length > 0 ? ` (overrides ${template.overrides.join(', ')})` : '';
+        console.log(`  ${template.name.padEnd(nameWidth)}  ${template.source.padEnd(8)}  ${template.description}${overrides}`);
+    }
+    console.log('\nUse one with --llm --template <name>, or several with --llm --templates <name>,<name>.');
+}
+
+// `summarize cache stats|clear`
+async function runCacheCommand(action, cacheDir) {
+    if (action === 'clear') {
+        const stats = await clearCache(cacheDir);
+        console.log(`Cleared ${stats.entries} cached entr${stats.entries === 1 ? 'y' : 'ies'} (${formatBytes(stats.bytes)}) from ${cacheDir}`);
+        return;
+    }
+    const stats = await getCacheStats(cacheDir);
+    console.log(`Cache directory: ${cacheDir}`);
+    for (const [namespace, { entries, bytes }] of Object.entries(stats.namespaces)) {
+        console.log(`  ${namespace.padEnd(8)} ${String(entries).padStart(6)} entries  ${formatBytes(bytes).padStart(10)}`);
+    }
+    console.log(`  ${'total'.padEnd(8)} ${String(stats.entries).padStart(6)} entries  ${formatBytes(stats.bytes).padStart(10)}`);
+}
 
 async function main() {
     await loadClipboardy(); // Load clipboardy before parsing args if possible
 
     const argv = await yargs(hideBin(process.argv))
         .usage('Usage: $0 <directory_path> [options]')
-        .command('$0 <directory>', 'Summarize the codebase in the specified directory.', (yargs) => {
+        .command('$0 <directory>', 'Summarize the codebase in the specified directory, archive or git repository.', (yargs) => {
             yargs.positional('directory', {
-                describe: 'Path to the project root directory',
+                describe: 'Path to the project root directory, a .zip/.tar.gz archive, or a file:// or git:// repository URL',
+                type: 'string'
+            });
+        })
+        .command('cache <action>', 'Show or clear the content cache (document extractions, transcripts, LLM responses).', (yargs) => {
+            yargs.positional('action', {
+                describe: '"stats" shows the size of the cache, "clear" empties it',
+                type: 'string',
+                choices: ['stats', 'clear']
+            });
+        })
+        .command('templates <action> [directory]', 'List the named prompt templates (built-in, user-level and project-level).', (yargs) => {
+            yargs.positional('action', {
+                describe: '"list" shows every template with its source and description',
+                type: 'string',
+                choices: ['list']
+            }).positional('directory', {
+                describe: 'Project whose .summarize/templates are included. Defaults to the current directory.',
                 type: 'string',
                 normalize: true
             });
         })
+        .command('mcp [directory]', 'Serve the summarizer to MCP clients (editors, agents) over stdio: summary tools and the templates as prompts.', (yargs) => {
+            yargs.positional('directory', {
+                describe: 'Project used when a tool call gives no path. Defaults to the current directory.',
+                type: 'string'
+            });
+        })
         .option('llm', {
             alias: 'L',
             type: 'boolean',
             default: false,
             description: 'Pass the summary output to an LLM for analysis and open in browser.'
         })
+        .option('watch', {
+            alias: 'w',
+            type: 'boolean',
+            default: false,
+            description: 'Keep running and update the summary when the project changes, reading only the changed files again: refresh --output and the clipboard, or with --llm offer a re-analysis in the report page.'
+        })
+        .option('watch-debounce', {
+            type: 'number',
+            default: DEFAULT_WATCH_DEBOUNCE_MS,
+            description: 'With --watch, milliseconds without further changes before the summary is updated.'
+        })
+        .option('ui', {
+            type: 'boolean',
+            default: false,
+            description: 'Open a file picker in the browser: toggle files and directories with live token and byte counts, then copy the summary, save the selection as .summarizerc or send it to the LLM.'
+        })
         .option('prompt', {
             alias: 'p',
             type: 'string',
-            default: 'prompt_template.txt',
-            description: 'Path to the prompt template file for LLM processing.'
+            description: `Path to the prompt template file for LLM processing. Defaults to ${DEFAULT_PROMPT_TEMPLATE}.`
+        })
+        .option('template', {
+            alias: 'T',
+            type: 'string',
+            description: 'Name of a prompt template (e.g. security-audit) to use instead of --prompt. See "summarize templates list".'
+        })
+        .option('templates', {
+            type: 'string',
+            description: 'Comma-separated template names (e.g. overview,security-audit,code-review): scan once, send the summary to each template and show every answer in its own tab of one report page.'
+        })
+        .option('template-concurrency', {
+            type: 'number',
+            default: DEFAULT_TEMPLATE_CONCURRENCY,
+            description: 'With --templates, how many templates are sent to the LLM at the same time.'
+        })
+        .option('var', {
+            type: 'array',
+            string: true,
+            description: 'Value for a {{key}} placeholder of the prompt template, as key=value. Can be repeated.'
+        })
+        .option('provider', {
+            type: 'string',
+            choices: Object.keys(PROVIDERS),
+            default: DEFAULT_PROVIDER,
+            description: 'LLM provider to use for --llm. "fake" answers from a local stub server (offline testing).'
+        })
+        .option('base-url', {
+            type: 'string',
+            description: 'Base URL of the LLM API (required for --provider openai-compatible, optional override for the others).'
         })
         .option('model', {
             alias: 'm',
             type: 'string',
-            default: 'o4-mini', // Or 'o4-mini', 'gpt-4.1-mini' or 'gpt-4o' or another preferred model
-            description: 'OpenAI model name to use for LLM processing.'
+            // No explicit default here; each provider has its own (o4-mini for openai)
+            description: 'Model name to use for LLM processing. Defaults to the provider\'s default model.'
         })
         .option('temperature', {
             alias: 't',
             type: 'number',
-            default: 1,
-            description: 'Temperature setting for the LLM (0.0 to 2.0).'
+            description: `Temperature setting for the LLM (0.0 to 2.0). Defaults to the template's front-matter, or ${DEFAULT_TEMPERATURE}.`
+        })
+        .option('max-tokens', {
+            type: 'number',
+            description: 'Token budget for the summary. Files are truncated or omitted to fit. With --llm, defaults to the context window of --model (minus room for the answer) and includes the prompt template.'
+        })
+        .option('chunked', {
+            type: 'boolean',
+            default: false,
+            description: 'With --llm, analyse large codebases in chunks (map) and merge the partial analyses (reduce).'
+        })
+        .option('map-prompt', {
+            type: 'string',
+            default: 'map_prompt_template.txt',
+            description: 'Path to the prompt template run on each chunk in --chunked mode.'
+        })
+        .option('reduce-prompt', {
+            type: 'string',
+            description: 'Path to the prompt template that merges the partial analyses in --chunked mode. Defaults to the --template or --prompt template.'
+        })
+        .option('chunk-tokens', {
+            type: 'number',
+            description: 'Maximum tokens per map prompt in --chunked mode. Defaults to the context window of --model.'
+        })
+        .option('map-concurrency', {
+            type: 'number',
+            default: DEFAULT_MAP_CONCURRENCY,
+            description: 'Maximum number of map calls in flight in --chunked mode.'
+        })
+        .option('partials-dir', {
+            type: 'string',
+            normalize: true,
+            description: 'Directory where --chunked mode keeps partial analyses so a failed run can be retried. Defaults to a folder in the OS temp directory.'
+        })
+        .option('request-timeout', {
+            type: 'number',
+            default: DEFAULT_REQUEST_TIMEOUT_MS / 1000,
+            description: 'Seconds an LLM request may go without response data before it is aborted (and retried). 0 disables the timeout.'
+        })
+        .option('max-retries', {
+            type: 'number',
+            default: DEFAULT_MAX_RETRIES,
+            description: 'How often a failed LLM request is sent again on rate limits, server errors, network errors and timeouts, with exponential backoff (honoring Retry-After).'
+        })
+        .option('dry-run', {
+            type: 'boolean',
+            default: false,
+            description: 'With --llm, print the final prompt(s), their token count and the estimated cost for --model instead of calling the API.'
         })
         .option('copy', {
              alias: 'c',
@@ -76,91 +609,708 @@ async function main() {
             default: false,
             description: 'Output only the folder structure and nothing else.'
         })
+        .option('format', {
+            alias: 'f',
+            type: 'string',
+            choices: SUMMARY_FORMATS,
+            description: `Output format of the summary: the classic text layout, Markdown with fenced code blocks, JSON, or XML with <file path="..."> tags. Defaults to the template's front-matter, or ${DEFAULT_FORMAT}.`
+        })
+        .option('output', {
+            alias: 'o',
+            type: 'string',
+            normalize: true,
+            description: 'Write the summary (in --format) to this file instead of printing it to the console.'
+        })
+        .option('report', {
+            alias: 'r',
+            type: 'string',
+            normalize: true,
+            description: 'With --llm, save the LLM response to this file: a self-contained page for .html, Markdown otherwise.'
+        })
+        .option('open', {
+            type: 'boolean',
+            default: true,
+            description: 'With --llm, open the report page in the browser. Use --no-open on headless machines; the URL is still printed.'
+        })
+        .option('serve', {
+            type: 'boolean',
+            default: true,
+            description: 'With --llm, serve the report page while the response streams in. Use --no-serve in CI: the response goes to --report, or to the console.'
+        })
+        .option('since', {
+            type: 'string',
+            description: 'Diff mode: only include files changed since this git ref (branch, tag or commit), with their unified diffs. The full tree is still shown, with changed entries marked.'
+        })
+        .option('staged', {
+            type: 'boolean',
+            default: false,
+            description: 'Diff mode: only include files with staged changes (against HEAD, or against --since).'
+        })
+        .option('dependency-graph', {
+            type: 'boolean',
+            description: 'Add "Section 3: Dependency Graph", the resolved imports of the JS/TS and Python files with a Mermaid flowchart. Defaults to true; use --no-dependency-graph to leave it out.'
+        })
+        .option('show-graph', {
+            type: 'boolean',
+            default: false,
+            description: 'Open the dependency graph as a rendered page in the browser (without --llm). Press Ctrl+C to stop the server.'
+        })
+        .option('workspaces', {
+            type: 'boolean',
+            description: 'Detect workspace manifests (package.json workspaces, pnpm-workspace.yaml, Cargo.toml [workspace], go.work, uv) and add a package index after the folder structure. Defaults to true; use --no-workspaces to leave it out.'
+        })
+        .option('package', {
+            type: 'string',
+            description: 'Summarize only this workspace package (name or path) and the sibling packages it depends on.'
+        })
+        .option('per-package', {
+            type: 'boolean',
+            default: false,
+            description: 'One summary per workspace package, written to --output with the package name appended (summary-<package>.txt); with --llm one report per package, shown as tabs of one page.'
+        })
+        .option('ref', {
+            type: 'string',
+            description: 'Summarize this commit, tag or branch of the git repository (a local path or clone URL) instead of the working tree. The working tree is left untouched.'
+        })
+        .option('detail', {
+            type: 'string',
+            choices: DETAIL_LEVELS,
+            description: 'How much of each JavaScript/TypeScript and Python file to include: everything (default), a skeleton of imports, exports, signatures, types and docstrings with bodies elided, or an outline of symbol names. Other files are always included in full.'
+        })
+        .option('diff-content', {
+            type: 'string',
+            choices: ['both', 'diff', 'full'],
+            default: 'both',
+            description: 'In diff mode, show the full contents and the diff of each changed file, only the diff, or only the contents.'
+        })
+        .option('redact', {
+            type: 'string',
+            choices: REDACT_MODES,
+            description: 'Secret scan of file contents: "mask" replaces detected credentials with placeholders (default), "fail" aborts before any output or LLM call when one is found, "off" disables the scan.'
+        })
+        .option('cache', {
+            type: 'boolean',
+            default: true,
+            description: 'Reuse extracted PDF/DOCX text, YouTube transcripts and identical LLM responses from earlier runs. Use --no-cache to recompute everything.'
+        })
+        .option('cache-dir', {
+            type: 'string',
+            normalize: true,
+            description: 'Directory of the content cache. Defaults to ~/.cache/summarize (or $XDG_CACHE_HOME/summarize).'
+        })
+        .option('max-file-size', {
+            type: 'string',
+            description: 'Skip the contents of files larger than this (e.g. 500KB, 2MB). Skipped files are marked in the tree and listed after the contents.'
+        })
+        .option('max-total-size', {
+            type: 'string',
+            description: 'Stop including file contents once the files read add up to this size (e.g. 20MB); the remaining files are skipped and listed.'
+        })
+        .option('concurrency', {
+            type: 'number',
+            default: DEFAULT_CONCURRENCY,
+            description: 'Maximum number of files read and extracted (PDF, DOCX, transcripts) in parallel. The output order does not depend on it.'
+        })
+        .option('include', {
+            alias: 'i',
+            type: 'array',
+            string: true,
+            description: 'Glob pattern(s) of files whose contents to include (gitignore syntax). Extends "include" in .summarizerc.'
+        })
+        .option('exclude', {
+            alias: 'x',
+            type: 'array',
+            string: true,
+            description: 'Glob pattern(s) to exclude from the tree and contents (gitignore syntax). Extends "exclude" in .summarizerc.'
+        })
+        .option('gitignore', {
+            type: 'boolean',
+            description: 'Honor .gitignore and .summarizeignore files found in the project. Defaults to true; use --no-gitignore to disable.'
+        })
+        .option('extractor', {
+            type: 'array',
+            string: true,
+            description: 'Extra content extractor module(s): an npm package or a JS file. Extends "extractors" in .summarizerc.'
+        })
         .demandCommand(1, 'You must provide the directory path.')
         .help('h').alias('h', 'help')
         .epilog('Generated by summarize-code-base')
         .argv;
 
-    const targetDir = path.resolve(argv.directory);
+    const cacheDir = path.resolve(argv.cacheDir || getDefaultCacheDir());
+    if (argv._[0] === 'cache') {
+        try {
+            await runCacheCommand(argv.action, cacheDir);
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+    if (argv._[0] === 'templates') {
+        try {
+            await runTemplatesCommand(path.resolve(argv.directory || '.'));
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+    const cache = createCache({ dir: cacheDir, enabled: argv.cache });
+    const cliExtractors = toList(argv.extractor).map(spec => (spec.startsWith('.') ? path.resolve(spec) : spec));
+    if (argv._[0] === 'mcp') {
+        try {
+            await startMcpServer({ defaultDir: path.resolve(argv.directory || '.'), cache, extractors: cliExtractors });
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    // 1. Resolve the input: a directory, or a temporary snapshot of an archive or a git ref (see source_snapshot.js)
+    let source;
+    try {
+        source = await openSource(argv.directory, { ref: argv.ref });
+    } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+    const targetDir = source.dir;
     const projectName = path.basename(targetDir);
 
     // --- Print Start Message ---
     console.log(`Project Code Summarizer for '${projectName}' starts...`);
+    if (source.snapshot) {
+        console.log(`Reading a snapshot of ${source.description}.`);
+        if (argv.since || argv.staged) {
+            console.error('\nError: --since and --staged compare against a working tree and cannot be used with an archive, --ref or a repository URL.');
+            process.exit(1);
+        }
+    }
+    if (argv.dryRun) {
+        const conflict = argv.watch ? '--watch' : argv.ui ? '--ui' : argv.showGraph ? '--show-graph' : null;
+        if (conflict) {
+            console.error(`\nError: --dry-run cannot be combined with ${conflict}.`);
+            process.exit(1);
+        }
+        if (!argv.llm) console.warn('Warning: --dry-run only applies with --llm.');
+    }
+    if (argv.watch) {
+        const conflict = source.snapshot ? 'an archive, --ref or a repository URL, which do not change'
+            : argv.ui ? '--ui' : argv.showGraph ? '--show-graph'
+            : argv.llm && !argv.serve ? '--llm --no-serve; re-analyses are started from the report page' : null;
+        if (conflict) {
+            console.error(`\nError: --watch cannot be combined with ${conflict}.`);
+            process.exit(1);
+        }
+    }
+
+    // 2. Load the project-level .summarizerc (if any) and merge it with the CLI flags
+    let config;
+    try {
+        const { config: loadedConfig, configPath } = await loadProjectConfig(targetDir);
+        config = loadedConfig;
+        if (configPath) console.log(`Using config file: ${path.relative(process.cwd(), configPath) || configPath}`);
+    } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+
+    const pricing = config.pricing ?? {};
+    if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+        console.error('\nError: "pricing" in .summarizerc must map model names to { "input": ..., "output": ... } (USD per million tokens).');
+        process.exit(1);
+    }
+
+    const redact = argv.redact ?? config.redact ?? DEFAULT_REDACT_MODE;
+    if (!REDACT_MODES.includes(redact)) {
+        console.error(`\nError: Invalid "redact" value "${redact}" in .summarizerc. Use one of: ${REDACT_MODES.join(', ')}.`);
+        process.exit(1);
+    }
+
+    const detail = argv.detail ?? config.detail ?? DEFAULT_DETAIL;
+    if (!DETAIL_LEVELS.includes(detail)) {
+        console.error(`\nError: Invalid "detail" value "${detail}" in .summarizerc. Use one of: ${DETAIL_LEVELS.join(', ')}.`);
+        process.exit(1);
+    }
 
-    // 1. Validate directory
+    // Extractor modules from .summarizerc are relative to the project, those given with --extractor to the working directory.
+    // A snapshot (archive, --ref, clone URL) is not trusted to run code: only --extractor modules are loaded for it,
+    // and packages are looked up from the working directory rather than from the snapshot.
+    let extractors;
     try {
-        const stats = await fs.stat(targetDir);
-        if (!stats.isDirectory()) {
-            console.error(`\nError: Provided path is not a directory: ${targetDir}`);
+        const configExtractors = toList(config.extractors);
+        if (source.snapshot && configExtractors.length > 0) {
+            console.warn(`Warning: Ignoring the extractors listed in the .summarizerc of the snapshot (${configExtractors.join(', ')}); pass trusted ones with --extractor.`);
+        }
+        extractors = source.snapshot
+            ? await loadExtractors(cliExtractors, { baseDir: process.cwd() })
+            : await loadExtractors([...configExtractors, ...cliExtractors], { baseDir: targetDir });
+    } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+
+    // 3. Load the prompt template(s) and resolve the LLM provider settings up front, so a missing key fails fast
+    const templateNames = [...new Set(toList(argv.templates).flatMap(names => toList(names.split(','))))];
+    if ([argv.template, argv.prompt, argv.templates].filter(value => value !== undefined).length > 1) {
+        console.error('\nError: Use only one of --template, --templates and --prompt.');
+        process.exit(1);
+    }
+    if (templateNames.length > 0 && argv.reducePrompt) {
+        console.error('\nError: --reduce-prompt cannot be combined with --templates; each template is its own reduce prompt.');
+        process.exit(1);
+    }
+    let analyses = [];
+    if (argv.llm) {
+        try {
+            analyses = await prepareAnalyses(argv, templateNames, { targetDir, projectName, redact });
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
             process.exit(1);
         }
+    } else if (argv.template || argv.templates || argv.var) {
+        console.warn(`Warning: --template, --templates and --var only apply with --llm${argv.ui ? ' (in --ui mode, once the selection is sent)' : ''}.`);
+    }
+    const multiple = analyses.length > 1;
+    // The single-template run, or the first of several, also decides the format of --output and --copy.
+    // Without --llm only the model matters, for counting tokens.
+    const [firstAnalysis] = analyses;
+    const template = firstAnalysis ? firstAnalysis.template : null;
+    const format = firstAnalysis ? firstAnalysis.format : argv.format ?? DEFAULT_FORMAT;
+    const temperature = firstAnalysis ? firstAnalysis.temperature : argv.temperature ?? DEFAULT_TEMPERATURE;
+    const llmSettings = firstAnalysis ? firstAnalysis.llmSettings : { provider: argv.provider, model: argv.model || PROVIDERS[argv.provider].defaultModel };
+    const model = llmSettings.model;
+
+    // 4. Work out the token budget. With --llm the prompt template shares the budget with the summary;
+    //    with several templates the summary must fit next to each of them.
+    //    In --chunked mode each chunk gets its own budget instead (see map_reduce.js).
+    const chunked = argv.llm && argv.chunked;
+    const promptTemplate = firstAnalysis ? firstAnalysis.promptTemplate : null;
+    let maxTokens = argv.maxTokens ?? config.maxTokens ?? null;
+    if (argv.llm && !chunked) {
+        const budgets = analyses.map(({ llmSettings: settings, promptTemplate: text }) => {
+            return Math.max(0, (maxTokens ?? getDefaultMaxTokens(settings.model)) - countTokens(text, settings.model));
+        });
+        maxTokens = Math.min(...budgets);
+    }
+
+    // 5. Scan the project and generate the summary string
+    let sizeLimits;
+    try {
+        sizeLimits = {
+            maxFileSize: parseSize(argv.maxFileSize ?? config.maxFileSize),
+            maxTotalSize: parseSize(argv.maxTotalSize ?? config.maxTotalSize),
+        };
     } catch (error) {
-        if (error.code === 'ENOENT') console.error(`\nError: Directory not found: ${targetDir}`);
-        else console.error(`\nError accessing directory: ${error.message}`);
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+    const summaryOptions = {
+        folderStructureOnly: argv.folderStructureOnly,
+        maxTokens,
+        model,
+        tokenReport: argv.llm,
+        include: [...toList(config.include), ...toList(argv.include)],
+        exclude: [...toList(config.exclude), ...toList(argv.exclude)],
+        useIgnoreFiles: argv.gitignore ?? config.gitignore ?? true,
+        ignoredDirs: toList(config.ignoredDirs),
+        ignoredFiles: toList(config.ignoredFiles),
+        nonTextExtensions: toList(config.nonTextExtensions),
+        replaceDefaults: config.replaceDefaults === true,
+        since: argv.since,
+        staged: argv.staged,
+        diffContent: argv.diffContent,
+        redact,
+        cache,
+        ...sizeLimits,
+        concurrency: argv.concurrency,
+        extractors,
+        detail,
+        dependencyGraph: argv.showGraph || (argv.dependencyGraph ?? config.dependencyGraph ?? true),
+        workspaces: argv.workspaces ?? config.workspaces ?? true,
+        package: argv.package,
+        fileRecords: argv.watch ? new Map() : undefined,
+    };
+    // In watch mode the summary and report files inside the project are left out, or every update would trigger the next
+    const ownPaths = argv.watch ? ownOutputPaths(targetDir, argv) : [];
+    summaryOptions.exclude.push(...ownPaths.map(relativePath => '/' + relativePath.split(path.sep).join('/')));
+
+    if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+        console.error('\nError: --concurrency must be a positive whole number.');
         process.exit(1);
     }
+    if (!Number.isInteger(argv.templateConcurrency) || argv.templateConcurrency < 1) {
+        console.error('\nError: --template-concurrency must be a positive whole number.');
+        process.exit(1);
+    }
+    if (!Number.isInteger(argv.watchDebounce) || argv.watchDebounce < 0) {
+        console.error('\nError: --watch-debounce must be a whole number of milliseconds.');
+        process.exit(1);
+    }
+    if (!Number.isFinite(argv.requestTimeout) || argv.requestTimeout < 0) {
+        console.error('\nError: --request-timeout must be a number of seconds (0 disables the timeout).');
+        process.exit(1);
+    }
+    if (!Number.isInteger(argv.maxRetries) || argv.maxRetries < 0) {
+        console.error('\nError: --max-retries must be a whole number (0 disables retries).');
+        process.exit(1);
+    }
+
+    if (argv.perPackage) {
+        const conflict = argv.package !== undefined ? '--package' : argv.watch ? '--watch' : argv.ui ? '--ui'
+            : argv.showGraph ? '--show-graph' : multiple ? '--templates; run one template per package' : null;
+        if (conflict) {
+            console.error(`\nError: --per-package cannot be combined with ${conflict}.`);
+            process.exit(1);
+        }
+        try {
+            const workspace = detectWorkspace(targetDir);
+            if (!workspace) throw new Error('--per-package needs a workspace manifest (package.json workspaces, pnpm-workspace.yaml, Cargo.toml [workspace], go.work or pyproject.toml [tool.uv.workspace]).');
+            await summarizePerPackage(targetDir, workspace, summaryOptions, { argv, format, analyses, chunked, cache, pricing });
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`\nProject Code Summarizer for '${projectName}' ends.`);
+        return;
+    }
 
-    // 2. Generate the project summary string
-    const summaryString = await generateProjectSummary(targetDir, {
-        folderStructureOnly: argv.folderStructureOnly
+    // The latest scan; --watch replaces it on every change, and re-analyses use it
+    let latest = null;
+    let liveReport = null; // The report page of --llm, which is told about changes
+    const copyUpdates = argv.llm ? argv.copy === true : argv.copy !== false;
+    const startWatching = () => watchSummary(targetDir, summaryOptions, {
+        format,
+        tree: latest.summaryModel.tree,
+        summaryString: latest.summaryString,
+        debounceMs: argv.watchDebounce,
+        ignoredPaths: ownPaths,
+        onUpdate: async (summaryModel, summaryString, changedPaths) => {
+            latest = { summaryModel, summaryString };
+            const changes = describeChanges(changedPaths);
+            if (argv.output) {
+                await fs.writeFile(argv.output, summaryString, 'utf8');
+                console.log(`\nSummary updated after changes to ${changes}; written to ${argv.output}`);
+            } else {
+                console.log(`\nSummary updated after changes to ${changes}.`);
+            }
+            if (copyUpdates) await copySummary(summaryString);
+            if (liveReport) {
+                liveReport.summaryChanged(`The summary changed (${changes}).`);
+                console.log(`Re-analyze it from the report page at ${liveReport.url}.`);
+            } else if (!argv.output && !copyUpdates) {
+                console.log('\n' + summaryString);
+            }
+        },
     });
 
-    // --- Process based on flags ---
-    if (argv.llm) {
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (!apiKey) {
-            console.error("\nError: OPENAI_API_KEY is not set.");
-            console.error("Please create a .env file in the project root with OPENAI_API_KEY=YOUR_KEY");
-            console.error("You can get your key from https://platform.openai.com/api-keys");
+    // Without --llm, a token budget or --redact=fail nothing needs the whole summary before it is written,
+    // so it goes out file by file as the files are read (always in the same order)
+    if (!argv.ui && !argv.llm && !maxTokens && summaryOptions.redact !== 'fail') {
+        let written;
+        try {
+            if (argv.output) await fs.mkdir(path.dirname(path.resolve(argv.output)), { recursive: true });
+            written = await writeSummaryIncrementally(targetDir, summaryOptions, {
+                format,
+                outputPath: argv.output,
+                keepString: argv.copy !== false || argv.watch,
+            });
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
             process.exit(1);
         }
+        if (argv.output) console.log(`\nSummary written to ${argv.output}`);
+        // Without --llm, copy unless --no-copy is explicitly given. Defaults to true.
+        if (argv.copy !== false) await copySummary(written.summaryString);
+        if (argv.showGraph) await serveDependencyGraph(written.summaryModel, argv);
+        if (argv.watch) {
+            latest = { summaryModel: written.summaryModel, summaryString: written.summaryString };
+            startWatching();
+            return;
+        }
+        console.log(`\nProject Code Summarizer for '${projectName}' ends.`);
+        return;
+    }
+
+    let summaryModel;
+    try {
+        // The file picker shows every file in full; the selection decides what goes into the summary
+        summaryModel = await buildSummaryModel(targetDir, argv.ui ? { ...summaryOptions, maxTokens: null, tokenReport: false } : summaryOptions);
+    } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+    // --redact=fail: nothing is printed, copied, saved or sent once a potential secret is found
+    if (summaryOptions.redact === 'fail' && summaryModel.secretFindings.length > 0) {
+        console.error(`\nError: Potential secrets found in ${summaryModel.secretFindings.length} file(s) (see the report above). Aborting because of --redact=fail.`);
+        console.error('Remove the secrets, exclude the files (--exclude or .summarizeignore), or rerun with --redact=mask.');
+        process.exit(1);
+    }
 
+    if (argv.ui) {
         try {
-            const llmResponse = await processWithLLM(summaryString, {
-                promptTemplatePath: argv.prompt,
-                model: argv.model,
-                temperature: argv.temperature,
-                apiKey: apiKey, // Pass the key from environment
+            await startFilePicker(summaryModel, {
+                targetDir,
+                model,
+                tokenBudget: argv.llm && !chunked ? maxTokens : null,
+                format,
+                baseInclude: summaryOptions.include,
+                baseExclude: summaryOptions.exclude,
+                onCopy: async (text) => {
+                    if (!clipboardy) throw new Error('Clipboard functionality not available.');
+                    await clipboardy.write(text);
+                },
+                onSendToLLM: (selectionModel) => sendSelectionToLLM(selectionModel, {
+                    argv,
+                    analyses,
+                    loadAnalyses: () => prepareAnalyses(argv, templateNames, { targetDir, projectName, redact }),
+                    cache,
+                }),
+                open: argv.open,
             });
+        } catch (error) {
+            console.error("\nAn error occurred while starting the file picker:", error.message);
+            process.exit(1);
+        }
+        console.log('Toggle files and directories, then copy the summary, save the selection or send it to the LLM. Press Ctrl+C to stop.');
+        return;
+    }
 
-            if (llmResponse) {
-                await renderAndServe(llmResponse, projectName);
-            } else {
-                 console.log("\nLLM processing completed, but no response was received or rendered.");
-            }
+    const summaryString = renderSummary(summaryModel, format);
+    latest = { summaryModel, summaryString };
 
+    if (argv.output) {
+        try {
+            await fs.mkdir(path.dirname(path.resolve(argv.output)), { recursive: true });
+            await fs.writeFile(argv.output, summaryString, 'utf8');
+            console.log(`\nSummary written to ${argv.output}`);
         } catch (error) {
-            console.error("\nAn error occurred during LLM processing or rendering:", error.message);
+            console.error(`\nError: Could not write the summary to ${argv.output}: ${error.message}`);
             process.exit(1);
         }
+    }
 
-    } else {
-        // Default behavior: Print to console and copy to clipboard
-        console.log('\n' + summaryString); // Print the summary
-
-        // Handle clipboard copying
-        // Determine if the summary should be copied to the clipboard
-        let shouldCopy;
-        if (argv.llm) {
-            // With --llm, copy only if --copy is explicitly true. Defaults to false.
-            shouldCopy = argv.copy === true;
-        } else {
-            // Without --llm, copy unless --no-copy is explicitly given. Defaults to true.
-            shouldCopy = argv.copy !== false; // True if argv.copy is true or undefined
+    // --- Process based on flags ---
+    if (argv.llm && argv.dryRun) {
+        // The prompts are assembled exactly as they would be sent, but nothing is
+        try {
+            printDryRun(await planRequests(summaryModel, analyses, { argv, chunked }), { pricing });
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+        if (argv.copy === true) await copySummary(summaryString);
+
+    } else if (argv.llm && multiple) {
+        // One report page with a tab per template; the templates run side by side (up to --template-concurrency)
+        let abortController = new AbortController();
+        const cancel = (reason) => {
+            if (abortController.signal.aborted) return;
+            console.log(`\n${reason} Cancelling the LLM requests...`);
+            abortController.abort();
+        };
+        const onSigint = () => cancel('Interrupted.');
+
+        let report = null;
+        if (argv.serve) {
+            try {
+                report = await startStreamingReport(projectName, {
+                    analyses: analyses.map(({ id, template: { name }, llmSettings: { model: analysisModel } }) => ({ id, title: name, model: analysisModel })),
+                    onFollowUp: followUpHandler(analyses, cache),
+                    onAbandoned: () => cancel('Browser tab closed.'),
+                    onReanalyze: argv.watch ? () => reanalyze() : undefined,
+                    open: argv.open,
+                });
+            } catch (error) {
+                console.error("\nAn error occurred while starting the report server:", error.message);
+                process.exit(1);
+            }
+        }
+        liveReport = report;
+
+        // The templates run on the latest scan; in --watch mode again for each re-analysis asked for in the page
+        const analyze = (signal) => runAnalyses(latest.summaryModel, analyses, {
+            report,
+            concurrency: argv.templateConcurrency,
+            chunkOptions: chunked
+                ? { mapPromptPath: argv.mapPrompt, chunkTokens: argv.chunkTokens, mapConcurrency: argv.mapConcurrency, partialsDir: argv.partialsDir }
+                : null,
+            signal,
+            cache,
+        });
+        const saveReport = (combined) => exportCombinedReport(combined, argv.report, { title: projectName + ' LLM Analysis' });
+        const reanalyze = () => {
+            abortController = new AbortController();
+            console.log(`\nRe-running ${analyses.length} templates on the updated summary...`);
+            analyze(abortController.signal)
+                .then(async (rerun) => {
+                    console.log(`\nRe-analysis finished:\n${formatAnalysisResults(rerun)}`);
+                    if (argv.report) {
+                        await saveReport(rerun.map(result => ({ ...result, title: result.name })));
+                        console.log(`LLM report saved to ${argv.report}`);
+                    }
+                })
+                .catch(error => console.error('\nAn error occurred during the re-analysis:', error.message));
+        };
+
+        console.log(`\nRunning ${analyses.length} templates: ${analyses.map(analysis => analysis.template.name).join(', ')}`);
+        process.once('SIGINT', onSigint);
+        let results;
+        try {
+            results = await analyze(abortController.signal);
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
+        if (abortController.signal.aborted) {
+            console.log("LLM requests cancelled.");
+            process.exit(130);
+        }
+
+        const failed = results.filter(result => result.error);
+        console.log(`\n${results.length - failed.length} of ${results.length} templates succeeded:\n${formatAnalysisResults(results)}`);
+        const combined = results.map(result => ({ ...result, title: result.name }));
+        if (argv.report) {
+            try {
+                await saveReport(combined);
+                console.log(`\nLLM report saved to ${argv.report}`);
+            } catch (error) {
+                console.error(`\nError: Could not save the LLM report to ${argv.report}: ${error.message}`);
+                process.exit(1);
+            }
+        }
+        if (report) {
+            console.log(`\nLLM responses rendered at ${report.url}. Ask follow-up questions there; press Ctrl+C to stop the server.`);
+        } else if (!argv.report) {
+            console.log('\n' + combineAnalyses(combined));
         }
+        if (argv.copy === true) await copySummary(summaryString);
+        // The answers that came back are kept; the exit code still tells scripts that some did not
+        if (failed.length > 0) process.exitCode = 1;
 
-        if (shouldCopy && clipboardy) {
+    } else if (argv.llm) {
+        // Start the report page first and stream the answer into it.
+        // Closing the tab or pressing Ctrl+C cancels the upstream request.
+        let abortController = new AbortController();
+        const cancel = (reason) => {
+            if (abortController.signal.aborted) return;
+            console.log(`\n${reason} Cancelling the LLM request...`);
+            abortController.abort();
+        };
+        const onSigint = () => cancel('Interrupted.');
+
+        // With --no-serve there is no page; the response is still streamed so usage is reported
+        let report = { url: null, append() {}, complete() {}, fail() {}, setPrompt() {} };
+        if (argv.serve) {
             try {
-                await clipboardy.write(summaryString);
-                console.log('\n✅ Summary copied to clipboard!');
+                report = await startStreamingReport(projectName, {
+                    model,
+                    onFollowUp: followUpHandler(analyses, cache),
+                    onAbandoned: () => cancel('Browser tab closed.'),
+                    onReanalyze: argv.watch ? () => reanalyze() : undefined,
+                    open: argv.open,
+                });
             } catch (error) {
-                console.error('\n❌ Failed to copy summary to clipboard:', error.message);
+                console.error("\nAn error occurred while starting the report server:", error.message);
+                process.exit(1);
             }
-        } else if (shouldCopy && !clipboardy) {
-            console.log('\n⚠️ Clipboard functionality not available.')
+            liveReport = report;
         }
+
+        // The answer for the latest scan; in --watch mode again for each re-analysis asked for in the page
+        const analyze = (signal) => {
+            const llmOptions = {
+                ...llmSettings,
+                temperature,
+                onDelta: (delta) => report.append(delta),
+                onUsage: (usage) => report.complete(usage),
+                onPrompt: (prompt) => report.setPrompt(prompt),
+                signal,
+                cache,
+            };
+            if (chunked) {
+                return processWithMapReduce(latest.summaryModel, {
+                    mapPromptPath: argv.mapPrompt,
+                    reducePromptPath: argv.reducePrompt || template.path,
+                    reducePromptTemplate: argv.reducePrompt ? undefined : fillFileTree(promptTemplate, latest.summaryModel.tree),
+                    ...llmOptions,
+                    chunkTokens: argv.chunkTokens,
+                    concurrency: argv.mapConcurrency,
+                    partialsDir: argv.partialsDir,
+                });
+            }
+            return processWithLLM(latest.summaryString, {
+                promptTemplatePath: template.path,
+                promptTemplate: fillFileTree(promptTemplate, latest.summaryModel.tree),
+                ...llmOptions, // Includes the API key from the environment
+            });
+        };
+        const saveReport = (text) => exportReport(text, argv.report, { title: projectName + ' LLM Analysis' });
+        const reanalyze = () => {
+            abortController = new AbortController();
+            console.log('\nRe-analyzing the updated summary...');
+            analyze(abortController.signal)
+                .then(async (text) => {
+                    console.log('Re-analysis finished.');
+                    if (argv.report) {
+                        await saveReport(text);
+                        console.log(`LLM report saved to ${argv.report}`);
+                    }
+                })
+                .catch((error) => {
+                    report.fail(describeLLMError(error));
+                    reportLLMError(error);
+                });
+        };
+
+        process.once('SIGINT', onSigint);
+        let responseText;
+        try {
+            responseText = await analyze(abortController.signal);
+        } catch (error) {
+            report.fail(describeLLMError(error));
+            if (abortController.signal.aborted || error instanceof LLMCancelledError) {
+                console.log("LLM request cancelled.");
+                process.exit(130);
+            }
+            reportLLMError(error);
+            process.exit(1);
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
+
+        if (argv.report) {
+            try {
+                await saveReport(responseText);
+                console.log(`\nLLM report saved to ${argv.report}`);
+            } catch (error) {
+                console.error(`\nError: Could not save the LLM report to ${argv.report}: ${error.message}`);
+                process.exit(1);
+            }
+        }
+        if (report.url) {
+            console.log(`\nLLM response rendered at ${report.url}. Ask follow-up questions there; press Ctrl+C to stop the server.`);
+        } else if (!argv.report) {
+            console.log('\n' + responseText);
+        }
+
+        // Copy the raw summary only if --copy is explicitly given
+        if (argv.copy === true) await copySummary(summaryString);
+
+    } else {
+        // Default behavior: Print to console (unless written to --output) and copy to clipboard
+        if (!argv.output) console.log('\n' + summaryString); // Print the summary
+
+        // Without --llm, copy unless --no-copy is explicitly given. Defaults to true.
+        if (argv.copy !== false) await copySummary(summaryString);
+        if (argv.showGraph) await serveDependencyGraph(summaryModel, argv);
     }
 
+    if (argv.watch) {
+        startWatching();
+        return;
+    }
     console.log(`\nProject Code Summarizer for '${projectName}' ends.`); // Final message
 }
 
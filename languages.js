@@ -0,0 +1,41 @@
+const path = require('path');
+
+// --- Configuration ---
+// Language tags (as used for Markdown code fences) by file extension
+const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript', '.cjs': 'javascript', '.mjs': 'javascript', '.jsx': 'jsx',
+    '.ts': 'typescript', '.cts': 'typescript', '.mts': 'typescript', '.tsx': 'tsx',
+    '.py': 'python', '.pyi': 'python',
+    '.rb': 'ruby', '.php': 'php', '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.scala': 'scala',
+    '.go': 'go', '.rs': 'rust', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+    '.swift': 'swift', '.m': 'objectivec', '.dart': 'dart', '.lua': 'lua', '.r': 'r', '.jl': 'julia',
+    '.sh': 'bash', '.bash': 'bash', '.zsh': 'bash', '.ps1': 'powershell', '.bat': 'batch',
+    '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss', '.sass': 'sass', '.less': 'less',
+    '.vue': 'vue', '.svelte': 'svelte',
+    '.json': 'json', '.jsonc': 'jsonc', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini',
+    '.xml': 'xml', '.sql': 'sql', '.graphql': 'graphql', '.gql': 'graphql', '.proto': 'protobuf',
+    '.md': 'markdown', '.markdown': 'markdown', '.rst': 'rst', '.tex': 'latex',
+    '.csv': 'csv', '.tsv': 'tsv', '.txt': 'text',
+    '.tf': 'hcl', '.hcl': 'hcl', '.gradle': 'groovy', '.groovy': 'groovy',
+    '.pdf': 'text', '.docx': 'text', '.xlsx': 'text', '.xlsm': 'text', '.pptx': 'text', '.odt': 'text', '.epub': 'text',
+    '.rtf': 'text', '.srt': 'text', '.vtt': 'text',
+};
+const LANGUAGE_BY_FILE_NAME = {
+    'Dockerfile': 'dockerfile',
+    'Makefile': 'makefile',
+    'Gemfile': 'ruby',
+    'Rakefile': 'ruby',
+    'Jenkinsfile': 'groovy',
+};
+
+// Best-effort language of a file from its name; '' when unknown
+function detectLanguage(filePath) {
+    const name = path.basename(filePath);
+    if (LANGUAGE_BY_FILE_NAME[name]) return LANGUAGE_BY_FILE_NAME[name];
+    return LANGUAGE_BY_EXTENSION[path.extname(name).toLowerCase()] || '';
+}
+
+module.exports = {
+    LANGUAGE_BY_EXTENSION,
+    detectLanguage
+};
@@ -0,0 +1,154 @@
+// --- LLM Errors ---
+// Every failed LLM request ends in one of these, so callers can tell what went wrong and what to do about it.
+// message says what happened, hint what the user can do; both are shown by describeLLMError.
+// retryable marks failures worth sending again (rate limits, server errors, network trouble, timeouts);
+// retryAfterMs is the wait the server asked for (Retry-After), or null.
+
+class LLMError extends Error {
+    constructor(message, { provider = null, status = null, hint = null, retryable = false, retryAfterMs = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.provider = provider;
+        this.status = status;
+        this.hint = hint;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// The API key is missing, wrong or lacks access to the model (HTTP 401/403)
+class LLMAuthError extends LLMError {}
+
+// Rate limited (retryable) or out of quota/credit (HTTP 429)
+class LLMQuotaError extends LLMError {}
+
+// The prompt does not fit the model's context window
+class LLMContextLengthError extends LLMError {}
+
+// The server could not be reached, the connection dropped, or no response came in time (timedOut)
+class LLMNetworkError extends LLMError {
+    constructor(message, { timedOut = false, ...options } = {}) {
+        super(message, { retryable: true, ...options });
+        this.timedOut = timedOut;
+    }
+}
+
+// The request was cancelled (Ctrl+C, closed report tab)
+class LLMCancelledError extends LLMError {}
+
+// --- Helper Functions ---
+
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens|request too large|string_above_max_length|max_tokens.*exceed/i;
+const QUOTA_PATTERN = /insufficient_quota|quota|billing|credit balance/i;
+
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// The wait asked for by a Retry-After (seconds or an HTTP date) or retry-after-ms header, in ms; null without one
+function retryAfterMs(headers) {
+    const milliseconds = Number(readHeader(headers, 'retry-after-ms'));
+    if (milliseconds > 0) return milliseconds;
+    const value = readHeader(headers, 'retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The error code of a connection failure, which fetch wraps in one or two causes
+function networkCode(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.code && NETWORK_ERROR_CODES.has(current.code)) return current.code;
+    }
+    return null;
+}
+
+// --- Classification ---
+
+// Turn whatever a provider SDK threw into an LLMError. provider is the provider definition (see llm_providers.js).
+// cancelled tells that the caller aborted the request, timedOut that it was aborted for taking longer than timeoutMs.
+function classifyLLMError(error, { provider, cancelled = false, timedOut = false, timeoutMs = null }) {
+    if (error instanceof LLMError) return error;
+    const base = { provider: provider.name, cause: error };
+    if (cancelled) {
+        return new LLMCancelledError(`Request to ${provider.label} was cancelled.`, base);
+    }
+    if (timedOut) {
+        return new LLMNetworkError(`${provider.label} sent no response for ${Math.round(timeoutMs / 1000)}s.`, {
+            ...base,
+            timedOut: true,
+            hint: 'Raise --request-timeout for slow models or very large prompts.',
+        });
+    }
+
+    const status = typeof error.status === 'number' ? error.status : null;
+    const detail = error.error?.error?.message || error.error?.message || error.message || String(error);
+    const code = error.code || error.error?.code || error.error?.error?.type || error.type || '';
+    const withStatus = { ...base, status, retryAfterMs: retryAfterMs(error.headers) };
+
+    if (status === 401 || status === 403) {
+        const keyHelp = provider.apiKeyEnv ? `Check ${provider.apiKeyEnv} in your .env file${status === 403 ? ' and that the key has access to this model' : ''}.` : 'Check the credentials of the endpoint.';
+        return new LLMAuthError(`${provider.label} rejected the request (HTTP ${status}): ${detail}`, { ...withStatus, hint: keyHelp });
+    }
+    if ((status === 400 || status === 413 || status === null) && CONTEXT_LENGTH_PATTERN.test(`${code} ${detail}`)) {
+        return new LLMContextLengthError(`The prompt is too long for the model: ${detail}`, {
+            ...withStatus,
+            hint: 'Lower --max-tokens, condense the code with --detail skeleton, narrow the scan with --exclude or --package, or use --chunked.',
+        });
+    }
+    if (status === 429) {
+        if (QUOTA_PATTERN.test(`${code} ${detail}`)) {
+            return new LLMQuotaError(`${provider.label} quota exceeded: ${detail}`, {
+                ...withStatus,
+                hint: 'Check the plan and billing of your account, or switch --provider/--model.',
+            });
+        }
+        return new LLMQuotaError(`${provider.label} rate limit reached: ${detail}`, {
+            ...withStatus,
+            retryable: true,
+            hint: 'Wait a moment, lower --template-concurrency or --map-concurrency, or raise --max-retries.',
+        });
+    }
+    if (status === 408 || status === 409 || (status !== null && status >= 500)) {
+        return new LLMError(`${provider.label} server error (HTTP ${status}): ${detail}`, {
+            ...withStatus,
+            retryable: true,
+            hint: 'The service may be overloaded; try again later or raise --max-retries.',
+        });
+    }
+    if (status !== null) {
+        return new LLMError(`${provider.label} returned HTTP ${status}: ${detail}`, withStatus);
+    }
+
+    const connectionCode = networkCode(error);
+    if (connectionCode || /^APIConnection/.test(error.name || '') || /fetch failed|socket hang up|terminated|network/i.test(detail)) {
+        return new LLMNetworkError(`Could not reach ${provider.label}${connectionCode ? ` (${connectionCode})` : ''}: ${detail}`, {
+            ...base,
+            hint: connectionCode === 'ENOTFOUND' || connectionCode === 'ECONNREFUSED'
+                ? 'Check your connection and --base-url (for Ollama, that the server is running).'
+                : 'Check your connection; the request is retried automatically up to --max-retries times.',
+        });
+    }
+    return new LLMError(`${provider.label} request failed: ${detail}`, base);
+}
+
+// The message of an error with its hint, for the console and the report page
+function describeLLMError(error) {
+    return error.hint ? `${error.message} ${error.hint}` : error.message;
+}
+
+module.exports = {
+    LLMError,
+    LLMAuthError,
+    LLMQuotaError,
+    LLMContextLengthError,
+    LLMNetworkError,
+    LLMCancelledError,
+    classifyLLMError,
+    describeLLMError,
+    retryAfterMs
+};
@@ -1,70 +1,268 @@
 const fs = require('fs').promises;
-const path = require('path');
-const OpenAI = require('openai'); // Import OpenAI client
+const { setTimeout: delay } = require('timers/promises');
+const { getProvider, DEFAULT_PROVIDER } = require('./llm_providers');
+const { classifyLLMError } = require('./llm_errors');
+const { countTokens } = require('./token_budget');
+const { hashContent } = require('./cache');
+const { parseFrontMatter } = require('./prompt_templates');
 
 // Placeholder tag in the prompt template
 const SUMMARY_PLACEHOLDER = '{{SUMMARY}}';
+// How often the streaming progress line is refreshed
+const PROGRESS_INTERVAL_MS = 250;
+// Returned instead of an empty answer (and never cached)
+const EMPTY_RESPONSE = "Received an empty response from the AI.";
+// A request is aborted when no response data came in for this long (--request-timeout)
+const DEFAULT_REQUEST_TIMEOUT_MS = 600000;
+// Retryable failures (rate limits, server and network errors, timeouts) are sent again this many times (--max-retries)
+const DEFAULT_MAX_RETRIES = 3;
+// Exponential backoff between retries: 1s, 2s, 4s, ... up to 30s, each with up to 50% jitter
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+// A server asking for a longer wait than this (Retry-After) is not retried
+const MAX_RETRY_AFTER_MS = 120000;
 
-async function processWithLLM(summary, options) {
-    const { promptTemplatePath, model, temperature, apiKey } = options;
-
-    if (!apiKey) {
-        throw new Error("OpenAI API key is not provided. Please set OPENAI_API_KEY in your .env file.");
-    }
-
-    // 1. Read Prompt Template
-    let promptTemplate;
+// The text of a prompt template file, without its front-matter (see prompt_templates.js)
+async function readPromptTemplate(promptTemplatePath) {
+    let text;
     try {
-        promptTemplate = await fs.readFile(promptTemplatePath, 'utf8');
+        text = await fs.readFile(promptTemplatePath, 'utf8');
     } catch (error) {
         throw new Error(`Error reading prompt template file "${promptTemplatePath}": ${error.message}`);
     }
+    return parseFrontMatter(text, promptTemplatePath).body;
+}
 
-    // 2. Inject Summary
+// The text of a prompt (a string or a conversation, see llm_providers.js), for counting its tokens
+function promptText(prompt) {
+    return Array.isArray(prompt) ? prompt.map(message => message.content).join('\n') : prompt;
+}
+
+// Inject the summary into a template, appending it when the placeholder is missing
+function buildPrompt(promptTemplate, summary, promptTemplatePath) {
     if (!promptTemplate.includes(SUMMARY_PLACEHOLDER)) {
         console.warn(`Warning: Prompt template "${promptTemplatePath}" does not contain the placeholder "${SUMMARY_PLACEHOLDER}". Summary will be appended.`);
         promptTemplate = promptTemplate + `\n\nProject Summary:\n---\n${SUMMARY_PLACEHOLDER}\n---`;
     }
-    const finalPrompt = promptTemplate.replace(SUMMARY_PLACEHOLDER, summary);
+    // Function replacement so `$&`-style patterns inside the summary are left alone
+    return promptTemplate.replace(SUMMARY_PLACEHOLDER, () => summary);
+}
 
-    // 3. Call OpenAI API
-    const openai = new OpenAI({
-        apiKey: apiKey,
-    });
+// --- Retries ---
 
-    console.log(`\nSending prompt to OpenAI (Model: ${model}, Temperature: ${temperature})...`);
+function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(ceiling * (0.5 + Math.random() / 2));
+}
 
-    try {
-        const completion = await openai.chat.completions.create({
-            messages: [{ role: "user", content: finalPrompt }],
-            model: model,
-            temperature: temperature,
-            // Add other model parameters from options if needed
-            // max_tokens: 1000,
-        });
-
-        const llmResponse = completion.choices[0]?.message?.content;
-
-        if (!llmResponse) {
-            console.warn("OpenAI returned an empty response.");
-            return "Received an empty response from the AI.";
+// Make one provider call, send(attemptSignal, keepAlive), resiliently:
+//   - the call is aborted once no response data came in for timeoutMs (0 disables); keepAlive() restarts the clock
+//   - retryable failures (see llm_errors.js) are sent again up to maxRetries times, after the wait the server asked
+//     for (Retry-After) or an exponential backoff, unless canRetry() says otherwise (part of a stream already shown)
+//   - aborting signal cancels the call, or the wait before the next attempt
+// Resolves to what send resolved to; throws an LLMError (see classifyLLMError).
+async function withRetries(send, { provider, label, signal, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, canRetry = () => true }) {
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        let timedOut = false;
+        let timer = null;
+        const keepAlive = () => {
+            clearTimeout(timer);
+            if (timeoutMs > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeoutMs);
+            }
+        };
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', cancel);
         }
+        keepAlive();
 
-        console.log("Received response from OpenAI.");
-        return llmResponse;
+        let failure;
+        try {
+            const result = await send(controller.signal, keepAlive);
+            // Some SDK streams end quietly instead of throwing when aborted
+            if (!controller.signal.aborted) return result;
+            failure = new Error('Request aborted.');
+        } catch (error) {
+            failure = error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
 
-    } catch (error) {
-        console.error("Error calling OpenAI API:");
-        if (error.response) {
-            console.error(`Status: ${error.response.status}`);
-            console.error('Data:', error.response.data);
-        } else {
-            console.error('Message:', error.message);
+        const error = classifyLLMError(failure, { provider, cancelled: Boolean(signal && signal.aborted), timedOut, timeoutMs });
+        if (!error.retryable || attempt >= maxRetries || !canRetry()) throw error;
+        if (error.retryAfterMs !== null && error.retryAfterMs > MAX_RETRY_AFTER_MS) {
+            error.message += ` ${provider.label} asked to wait ${Math.ceil(error.retryAfterMs / 1000)}s before retrying.`;
+            throw error;
+        }
+        const wait = error.retryAfterMs ?? backoffDelay(attempt);
+        console.warn(`${error.message}\nRetrying ${label || 'prompt'} in ${(wait / 1000).toFixed(1)}s (retry ${attempt + 1} of ${maxRetries})...`);
+        try {
+            await delay(wait, undefined, { signal });
+        } catch {
+            throw classifyLLMError(failure, { provider, cancelled: true });
         }
-        throw new Error("Failed to get response from OpenAI API.");
     }
 }
 
+// --- Requests ---
+// Both take the connection settings (provider, default 'openai'; model, temperature, apiKey, baseUrl), label (for log
+// messages), timeoutMs and maxRetries (see withRetries), and throw an LLMError (see llm_errors.js) when they fail.
+
+// Send a single prompt to the selected provider and return the text of the answer.
+// Aborting options.signal cancels the request.
+async function requestCompletion(prompt, options) {
+    const { model, temperature, apiKey, baseUrl, label, signal, timeoutMs, maxRetries } = options;
+    const provider = getProvider(options.provider);
+
+    if (provider.requiresApiKey && !apiKey) {
+        throw new Error(`${provider.label} API key is not provided. Please set ${provider.apiKeyEnv} in your .env file.`);
+    }
+
+    console.log(`\nSending ${label || 'prompt'} to ${provider.label} (Model: ${model}, Temperature: ${temperature})...`);
+
+    const llmResponse = await withRetries(
+        (attemptSignal) => provider.complete(prompt, { model, temperature, apiKey, baseUrl }, { signal: attemptSignal }),
+        { provider, label, signal, timeoutMs, maxRetries },
+    );
+    if (!llmResponse) {
+        console.warn(`${provider.label} returned an empty response.`);
+        return EMPTY_RESPONSE;
+    }
+
+    console.log(`Received response from ${provider.label}${label ? ` for ${label}` : ''}.`);
+    return llmResponse;
+}
+
+// Stream a single prompt from the selected provider. Deltas are passed to onDelta as they arrive,
+// progress is shown on the console and a final token-usage line is printed.
+// Aborting `signal` cancels the upstream request. A failure is only retried before the first delta arrived.
+// Returns { text, usage }.
+async function streamCompletion(prompt, options, { onDelta, signal } = {}) {
+    const { model, temperature, apiKey, baseUrl, label, timeoutMs, maxRetries } = options;
+    const provider = getProvider(options.provider);
+
+    if (provider.requiresApiKey && !apiKey) {
+        throw new Error(`${provider.label} API key is not provided. Please set ${provider.apiKeyEnv} in your .env file.`);
+    }
+
+    console.log(`\nStreaming ${label || 'prompt'} from ${provider.label} (Model: ${model}, Temperature: ${temperature})...`);
+
+    let receivedChars = 0;
+    let lastProgressAt = 0;
+    const showProgress = process.stdout.isTTY;
+    const handleDelta = (delta) => {
+        receivedChars += delta.length;
+        if (showProgress && Date.now() - lastProgressAt > PROGRESS_INTERVAL_MS) {
+            lastProgressAt = Date.now();
+            process.stdout.write(`\rReceiving response... ${receivedChars.toLocaleString('en-US')} characters`);
+        }
+        if (onDelta) onDelta(delta);
+    };
+
+    let result;
+    try {
+        result = await withRetries((attemptSignal, keepAlive) => provider.stream(prompt, { model, temperature, apiKey, baseUrl }, {
+            onDelta: (delta) => {
+                keepAlive();
+                handleDelta(delta);
+            },
+            signal: attemptSignal,
+        }), { provider, label, signal, timeoutMs, maxRetries, canRetry: () => receivedChars === 0 });
+    } finally {
+        if (showProgress && receivedChars > 0) process.stdout.write('\n');
+    }
+
+    // Fall back to a local estimate when the API does not report usage
+    const usage = result.usage && result.usage.completionTokens !== null
+        ? { ...result.usage, estimated: false }
+        : { promptTokens: countTokens(promptText(prompt), model), completionTokens: countTokens(result.text, model), estimated: true };
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+
+    if (!result.text) {
+        console.warn(`${provider.label} returned an empty response.`);
+        result.text = EMPTY_RESPONSE;
+    }
+    console.log(`Received response from ${provider.label}${label ? ` for ${label}` : ''}.`);
+    console.log(`Token usage${usage.estimated ? ' (estimated)' : ''}: ${usage.promptTokens.toLocaleString('en-US')} prompt + ${usage.completionTokens.toLocaleString('en-US')} completion = ${usage.totalTokens.toLocaleString('en-US')} total`);
+    return { text: result.text, usage };
+}
+
+// Send a prompt, going through the LLM response cache (see cache.js) when one is given.
+// Responses are keyed by provider, endpoint (baseUrl), model, temperature and the hash of the prompt, so two
+// servers offering the same model name (Ollama, openai-compatible) never answer for each other.
+// When onDelta is given the answer is streamed (see streamCompletion); onUsage then receives the token usage.
+// A cached answer is passed to onDelta in one piece and its usage is flagged as cached.
+// onPrompt receives the final prompt before it is sent, e.g. to continue the conversation later (see askFollowUp).
+async function completePrompt(prompt, options) {
+    const { onDelta, onUsage, onPrompt, signal, cache, ...llmOptions } = options;
+    const key = [llmOptions.provider || DEFAULT_PROVIDER, llmOptions.baseUrl || null, llmOptions.model, llmOptions.temperature, hashContent(Array.isArray(prompt) ? JSON.stringify(prompt) : prompt)];
+    if (onPrompt) onPrompt(prompt);
+
+    const cached = cache ? await cache.get('llm', key) : undefined;
+    if (cached !== undefined) {
+        console.log(`\nUsing cached response for ${llmOptions.label || 'prompt'} (Model: ${llmOptions.model}, Temperature: ${llmOptions.temperature}). Pass --no-cache to send it again.`);
+        if (onDelta) onDelta(cached.text);
+        if (onUsage) onUsage(cached.usage ? { ...cached.usage, cached: true } : null);
+        return cached.text;
+    }
+
+    let text;
+    let usage = null;
+    if (onDelta) {
+        ({ text, usage } = await streamCompletion(prompt, llmOptions, { onDelta, signal }));
+        if (onUsage) onUsage(usage);
+    } else {
+        text = await requestCompletion(prompt, llmOptions);
+    }
+    if (cache && text !== EMPTY_RESPONSE) await cache.set('llm', key, { text, usage });
+    return text;
+}
+
+// Options: promptTemplatePath (or promptTemplate, the template text when it was already read and expanded,
+// promptTemplatePath then only naming it in warnings) plus the completePrompt options.
+async function processWithLLM(summary, options) {
+    const { promptTemplatePath, promptTemplate: templateText, ...completionOptions } = options;
+
+    // 1. Read Prompt Template
+    const promptTemplate = templateText ?? await readPromptTemplate(promptTemplatePath);
+
+    // 2. Inject Summary
+    const finalPrompt = buildPrompt(promptTemplate, summary, promptTemplatePath);
+
+    // 3. Call the LLM provider (or reuse a cached answer)
+    return completePrompt(finalPrompt, completionOptions);
+}
+
+// Continue a conversation: `messages` is the answered prompt, the answers and the follow-up questions, ending with
+// the new question (see llm_providers.js). The reply is streamed to onDelta. Returns { text, usage }.
+async function askFollowUp(messages, { onDelta, signal, ...options }) {
+    let usage = null;
+    const text = await completePrompt(messages, {
+        ...options,
+        label: 'follow-up question',
+        onDelta,
+        onUsage: (reported) => { usage = reported; },
+        signal,
+    });
+    return { text, usage };
+}
+
 module.exports = {
-    processWithLLM
+    SUMMARY_PLACEHOLDER,
+    DEFAULT_REQUEST_TIMEOUT_MS,
+    DEFAULT_MAX_RETRIES,
+    processWithLLM,
+    readPromptTemplate,
+    buildPrompt,
+    requestCompletion,
+    streamCompletion,
+    completePrompt,
+    askFollowUp
 };
\ No newline at end of file
@@ -0,0 +1,255 @@
+const OpenAI = require('openai');
+const AnthropicModule = require('@anthropic-ai/sdk');
+const Anthropic = AnthropicModule.default || AnthropicModule;
+const { startFakeLLMServer } = require('./fake_llm_server');
+
+// --- Configuration ---
+const DEFAULT_PROVIDER = 'openai';
+// Anthropic requires an explicit output limit
+const ANTHROPIC_MAX_OUTPUT_TOKENS = 16000;
+// List prices in USD per million input/output tokens, for the --dry-run cost estimate. A model matches the
+// longest key it starts with (dated snapshots like gpt-4o-2024-08-06 included); .summarizerc `pricing` adds to it.
+const MODEL_PRICING = {
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'gpt-5-nano': { input: 0.05, output: 0.4 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'o1': { input: 15, output: 60 },
+    'o3': { input: 2, output: 8 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+};
+
+// --- Provider Implementations ---
+// Each provider declares its defaults and the env vars it reads, and implements
+//   complete(prompt, { model, temperature, apiKey, baseUrl }, { signal }) -> Markdown string
+//   stream(prompt, { model, temperature, apiKey, baseUrl }, { onDelta, signal }) -> { text, usage }
+// where usage is { promptTokens, completionTokens } or null when the API does not report it.
+// Aborting signal cancels the request. The SDKs do not retry on their own; llm_processor.js does (see withRetries).
+// local providers run on this machine and cost nothing.
+// A prompt is a string, or a conversation: [{ role: 'user' | 'assistant', content }] starting and ending with 'user'.
+
+function toMessages(prompt) {
+    return Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+}
+
+function createOpenAIClient({ apiKey, baseUrl }) {
+    return new OpenAI({
+        apiKey: apiKey,
+        baseURL: baseUrl, // undefined keeps the client default (or OPENAI_BASE_URL)
+        maxRetries: 0,
+    });
+}
+
+async function completeWithOpenAIClient(prompt, { model, temperature, apiKey, baseUrl }, { signal } = {}) {
+    const openai = createOpenAIClient({ apiKey, baseUrl });
+    const completion = await openai.chat.completions.create({
+        messages: toMessages(prompt),
+        model: model,
+        temperature: temperature,
+    }, { signal });
+    return completion.choices[0]?.message?.content;
+}
+
+// includeUsage asks for a final usage chunk; not every OpenAI-compatible server understands it
+async function streamWithOpenAIClient(prompt, { model, temperature, apiKey, baseUrl, includeUsage = false }, { onDelta, signal } = {}) {
+    const openai = createOpenAIClient({ apiKey, baseUrl });
+    const stream = await openai.chat.completions.create({
+        messages: toMessages(prompt),
+        model: model,
+        temperature: temperature,
+        stream: true,
+        ...(includeUsage ? { stream_options: { include_usage: true } } : {}),
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            if (onDelta) onDelta(delta);
+        }
+        if (chunk.usage) {
+            usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+        }
+    }
+    return { text, usage };
+}
+
+// Anthropic accepts temperatures from 0 to 1 (OpenAI: 0 to 2)
+function clampAnthropicTemperature(temperature) {
+    if (temperature > 1) {
+        console.warn(`Warning: Anthropic supports temperatures up to 1; using 1 instead of ${temperature}.`);
+        return 1;
+    }
+    return temperature;
+}
+
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaultModel: 'o4-mini',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        baseUrlEnv: 'OPENAI_BASE_URL',
+        requiresApiKey: true,
+        keyHelp: 'You can get your key from https://platform.openai.com/api-keys',
+        complete: completeWithOpenAIClient,
+        stream: (prompt, options, handlers) => streamWithOpenAIClient(prompt, { ...options, includeUsage: true }, handlers),
+    },
+    anthropic: {
+        label: 'Anthropic',
+        defaultModel: 'claude-sonnet-4-5',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        baseUrlEnv: 'ANTHROPIC_BASE_URL',
+        requiresApiKey: true,
+        keyHelp: 'You can get your key from https://console.anthropic.com/settings/keys',
+        async complete(prompt, { model, temperature, apiKey, baseUrl }, { signal } = {}) {
+            const anthropic = new Anthropic({ apiKey: apiKey, baseURL: baseUrl, maxRetries: 0 });
+            const message = await anthropic.messages.create({
+                model: model,
+                max_tokens: ANTHROPIC_MAX_OUTPUT_TOKENS,
+                temperature: clampAnthropicTemperature(temperature),
+                messages: toMessages(prompt),
+            }, { signal });
+            return message.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+        async stream(prompt, { model, temperature, apiKey, baseUrl }, { onDelta, signal } = {}) {
+            const anthropic = new Anthropic({ apiKey: apiKey, baseURL: baseUrl, maxRetries: 0 });
+            const stream = await anthropic.messages.create({
+                model: model,
+                max_tokens: ANTHROPIC_MAX_OUTPUT_TOKENS,
+                temperature: clampAnthropicTemperature(temperature),
+                messages: toMessages(prompt),
+                stream: true,
+            }, { signal });
+
+            let text = '';
+            const usage = { promptTokens: null, completionTokens: null };
+            for await (const event of stream) {
+                if (event.type === 'message_start') {
+                    usage.promptTokens = event.message.usage?.input_tokens ?? null;
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    text += event.delta.text;
+                    if (onDelta) onDelta(event.delta.text);
+                } else if (event.type === 'message_delta') {
+                    usage.completionTokens = event.usage?.output_tokens ?? null;
+                }
+            }
+            return { text, usage: usage.promptTokens === null ? null : usage };
+        },
+    },
+    ollama: {
+        label: 'Ollama',
+        defaultModel: 'llama3.1',
+        apiKeyEnv: 'OLLAMA_API_KEY',
+        baseUrlEnv: 'OLLAMA_BASE_URL',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        requiresApiKey: false,
+        local: true,
+        // Ollama serves an OpenAI-compatible API; the key is ignored but the client insists on one
+        complete: (prompt, options, handlers) => completeWithOpenAIClient(prompt, { ...options, apiKey: options.apiKey || 'ollama' }, handlers),
+        stream: (prompt, options, handlers) => streamWithOpenAIClient(prompt, { ...options, apiKey: options.apiKey || 'ollama', includeUsage: true }, handlers),
+    },
+    'openai-compatible': {
+        label: 'OpenAI-compatible endpoint',
+        defaultModel: null, // Must be given with --model
+        apiKeyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+        baseUrlEnv: 'OPENAI_COMPATIBLE_BASE_URL',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        complete: (prompt, options, handlers) => completeWithOpenAIClient(prompt, { ...options, apiKey: options.apiKey || 'not-needed' }, handlers),
+        stream: (prompt, options, handlers) => streamWithOpenAIClient(prompt, { ...options, apiKey: options.apiKey || 'not-needed' }, handlers),
+    },
+    fake: {
+        label: 'Fake LLM (local stub)',
+        defaultModel: 'fake-model',
+        apiKeyEnv: null,
+        requiresApiKey: false,
+        local: true,
+        async complete(prompt, options, handlers) {
+            const server = await getFakeServer();
+            return completeWithOpenAIClient(prompt, { ...options, apiKey: 'fake', baseUrl: server.baseUrl }, handlers);
+        },
+        async stream(prompt, options, handlers) {
+            const server = await getFakeServer();
+            return streamWithOpenAIClient(prompt, { ...options, apiKey: 'fake', baseUrl: server.baseUrl, includeUsage: true }, handlers);
+        },
+    },
+};
+
+// The fake stub server is started once per process, on first use
+let fakeServerPromise = null;
+function getFakeServer() {
+    if (!fakeServerPromise) fakeServerPromise = startFakeLLMServer();
+    return fakeServerPromise;
+}
+
+// --- Lookup ---
+
+function getProvider(name = DEFAULT_PROVIDER) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return { name, ...provider };
+}
+
+// Resolve the connection settings of a provider from CLI values and env vars.
+// Returns { provider, model, apiKey, baseUrl } or throws with an actionable message.
+// requireApiKey: false lets a missing key pass (--dry-run sends nothing).
+function resolveProviderSettings({ provider: name, model, baseUrl, requireApiKey = true }, env = process.env) {
+    const provider = getProvider(name);
+    const resolved = {
+        provider: provider.name,
+        model: model || provider.defaultModel,
+        apiKey: provider.apiKeyEnv ? env[provider.apiKeyEnv] : undefined,
+        baseUrl: baseUrl || (provider.baseUrlEnv && env[provider.baseUrlEnv]) || provider.defaultBaseUrl,
+    };
+
+    if (!resolved.model) {
+        throw new Error(`The ${provider.label} provider has no default model. Please pass one with --model.`);
+    }
+    if (provider.requiresBaseUrl && !resolved.baseUrl) {
+        throw new Error(`The ${provider.label} provider needs a base URL. Pass --base-url or set ${provider.baseUrlEnv}.`);
+    }
+    if (provider.requiresApiKey && requireApiKey && !resolved.apiKey) {
+        throw new Error(`${provider.apiKeyEnv} is not set.\nPlease create a .env file in the project root with ${provider.apiKeyEnv}=YOUR_KEY\n${provider.keyHelp}`);
+    }
+    return resolved;
+}
+
+// --- Pricing ---
+
+// { input, output } in USD per million tokens for a model, from MODEL_PRICING and the extra `pricing` entries;
+// { input: 0, output: 0, local: true } for an unlisted model of a local provider, null when unknown.
+function getModelPricing(providerName, model, pricing = {}) {
+    const prices = { ...MODEL_PRICING, ...pricing };
+    const key = Object.keys(prices)
+        .filter(name => model === name || model.startsWith(name + '-'))
+        .sort((a, b) => b.length - a.length)[0];
+    if (key) return { input: Number(prices[key].input) || 0, output: Number(prices[key].output) || 0 };
+    return getProvider(providerName).local ? { input: 0, output: 0, local: true } : null;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    PROVIDERS,
+    getProvider,
+    resolveProviderSettings,
+    getModelPricing
+};
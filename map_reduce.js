@@ -0,0 +1,187 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const { readPromptTemplate, buildPrompt, requestCompletion, completePrompt } = require('./llm_processor');
+const { formatFolderStructure, formatFileBlock, formatDependencyGraph, formatPackageIndex } = require('./summary_formats');
+const { countTokens, getDefaultMaxTokens, truncateToExcerpt } = require('./token_budget');
+const { mapWithConcurrency } = require('./worker_pool');
+
+// --- Configuration ---
+const DEFAULT_MAP_CONCURRENCY = 3;
+// Tokens kept free in every map prompt for the chunk header and rounding
+const CHUNK_TOKEN_MARGIN = 500;
+const REDUCE_NOTE = 'Note: the codebase was analysed in chunks. Section 2 below contains the partial analysis of each chunk instead of the raw file contents.\n\n';
+
+// --- Helper Functions ---
+
+function topLevelDirectory(relativePath) {
+    const parts = relativePath.split(path.sep);
+    return parts.length > 1 ? parts[0] : '';
+}
+
+// Pack files (in traversal order) into chunks of at most maxChunkTokens.
+// A new chunk is also started when the top-level directory changes and the current chunk is at least half full,
+// so directories tend to stay together. Files larger than a whole chunk are cut to a head/tail excerpt.
+function chunkFiles(files, { maxChunkTokens, model }) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const file of files) {
+        let blockTokens = countTokens(formatFileBlock(file), model);
+        if (blockTokens > maxChunkTokens) {
+            const contentTokens = countTokens(file.content, model);
+            const excerptTokens = Math.max(1, maxChunkTokens - (blockTokens - contentTokens));
+            file = { ...file, content: truncateToExcerpt(file.content, contentTokens, excerptTokens, model) };
+            blockTokens = countTokens(formatFileBlock(file), model);
+        }
+
+        const previous = current[current.length - 1];
+        const crossesDirectory = previous && topLevelDirectory(previous.relativePath) !== topLevelDirectory(file.relativePath);
+        if (current.length > 0 && (currentTokens + blockTokens > maxChunkTokens || (crossesDirectory && currentTokens >= maxChunkTokens / 2))) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(file);
+        currentTokens += blockTokens;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+function getDefaultPartialsDir(projectName) {
+    return path.join(os.tmpdir(), 'summarize-map-reduce', projectName);
+}
+
+// Partial analyses are content-addressed, so a rerun with the same chunk, map prompt, endpoint and model reuses them
+function partialFileName(prompt, { provider, baseUrl, model, temperature }) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify([provider, baseUrl || null, model, temperature, prompt])).digest('hex');
+    return `map-${hash.slice(0, 16)}.md`;
+}
+
+async function readPartial(partialPath) {
+    try {
+        return await fsPromises.readFile(partialPath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+// The map prompt of every chunk: the whole folder tree (and package index) with the chunk's own files, in mapTemplate.
+// Throws when the template and tree alone exceed the chunk budget.
+// Returns { folderStructure, maxChunkTokens, chunks: [{ label, files, prompt }] }; --dry-run prints the prompts.
+function planMapPrompts(summaryModel, { mapTemplate, mapPromptPath, chunkTokens, model }) {
+    const folderStructure = formatFolderStructure(summaryModel.tree) + (summaryModel.workspace ? formatPackageIndex(summaryModel.workspace) : '');
+    const promptBudget = chunkTokens || getDefaultMaxTokens(model);
+    const maxChunkTokens = promptBudget - countTokens(mapTemplate + folderStructure, model) - CHUNK_TOKEN_MARGIN;
+    if (maxChunkTokens <= 0) {
+        throw new Error(`The map prompt and folder structure alone exceed the chunk budget of ${promptBudget} tokens. Increase --chunk-tokens or narrow the scan with --exclude.`);
+    }
+    const fileChunks = chunkFiles(summaryModel.files, { maxChunkTokens, model });
+    if (fileChunks.length === 0) {
+        throw new Error('No file contents to analyse in chunked mode.');
+    }
+    const chunks = fileChunks.map((files, index) => {
+        const label = `chunk ${index + 1}/${fileChunks.length}`;
+        const chunkSummary = folderStructure
+            + `\n--- Section 2: File Contents (${label}, ${files.length} files) ---\n`
+            + files.map(formatFileBlock).join('');
+        return { label, files, prompt: buildPrompt(mapTemplate, chunkSummary, mapPromptPath) };
+    });
+    return { folderStructure, maxChunkTokens, chunks };
+}
+
+// --- Map-Reduce Processing ---
+// summaryModel: result of buildSummaryModel. Options:
+//   mapPromptPath, reducePromptPath: prompt templates (both use {{SUMMARY}})
+//   reducePromptTemplate: the reduce template text, when it was already read and expanded (see processWithLLM)
+//   provider, model, temperature, apiKey, baseUrl, timeoutMs, maxRetries: passed to the LLM (see requestCompletion)
+//   chunkTokens: max tokens per map prompt (defaults from the model's context window)
+//   concurrency: max map calls in flight
+//   partialsDir: where partial analyses are kept between runs
+//   onDelta, onUsage: when onDelta is given, the reduce step is streamed (see streamCompletion)
+//   signal: aborting it cancels the map calls and the reduce step
+//   onPrompt: receives the reduce prompt (see completePrompt)
+//   cache: LLM response cache for the reduce step (see completePrompt); map results are kept in partialsDir
+async function processWithMapReduce(summaryModel, options) {
+    const {
+        mapPromptPath,
+        reducePromptPath,
+        reducePromptTemplate,
+        chunkTokens,
+        concurrency = DEFAULT_MAP_CONCURRENCY,
+        partialsDir = getDefaultPartialsDir(summaryModel.projectName),
+        onDelta,
+        onUsage,
+        onPrompt,
+        signal,
+        cache,
+        ...llmOptions
+    } = options;
+    const { model } = llmOptions;
+
+    const mapTemplate = await readPromptTemplate(mapPromptPath);
+    const reduceTemplate = reducePromptTemplate ?? await readPromptTemplate(reducePromptPath);
+
+    // 1. Split the files into chunks that fit a map prompt alongside the folder tree
+    const { folderStructure, maxChunkTokens, chunks } = planMapPrompts(summaryModel, { mapTemplate, mapPromptPath, chunkTokens, model });
+    console.log(`\nSplit ${summaryModel.files.length} files into ${chunks.length} chunk(s) of up to ${maxChunkTokens.toLocaleString('en-US')} tokens.`);
+    await fsPromises.mkdir(partialsDir, { recursive: true });
+
+    // 2. Map: analyse every chunk, reusing partial analyses saved by an earlier run
+    const mapResults = await mapWithConcurrency(chunks, concurrency, async ({ label, prompt }) => {
+        const partialPath = path.join(partialsDir, partialFileName(prompt, llmOptions));
+
+        const saved = await readPartial(partialPath);
+        if (saved !== null) {
+            console.log(`Reusing saved partial analysis for ${label} (${partialPath}).`);
+            return saved;
+        }
+        const partial = await requestCompletion(prompt, { ...llmOptions, label, signal });
+        await fsPromises.writeFile(partialPath, partial, 'utf8');
+        return partial;
+    });
+
+    // Failures keep their class (see llm_errors.js), so the caller can still tell why
+    const failed = mapResults.filter(result => result.error);
+    if (failed.length > 0) {
+        const { error } = failed[0];
+        if (signal && signal.aborted) throw error;
+        error.message = `${failed.length} of ${chunks.length} map call(s) failed (${error.message}). Successful partial analyses are kept in ${partialsDir}; rerun the same command to retry only the failed chunks.`;
+        throw error;
+    }
+
+    // 3. Reduce: merge the partial analyses into the final report
+    let reduceSummary = REDUCE_NOTE + folderStructure + `\n--- Section 2: Partial Analyses (${chunks.length} chunks) ---\n`;
+    mapResults.forEach((result, index) => {
+        const paths = chunks[index].files.map(file => file.relativePath).join(', ');
+        reduceSummary += `\n--- Partial Analysis ${index + 1} of ${chunks.length} (files: ${paths}) ---\n`;
+        reduceSummary += result.value.endsWith('\n') ? result.value : result.value + '\n';
+        reduceSummary += `--- End of Partial Analysis ${index + 1} ---\n`;
+    });
+    // The chunks only see their own files; the whole import graph goes to the reduce step
+    if (summaryModel.dependencyGraph) reduceSummary += formatDependencyGraph(summaryModel.dependencyGraph);
+    const reducePrompt = buildPrompt(reduceTemplate, reduceSummary, reducePromptPath);
+    const reduceTokens = countTokens(reducePrompt, model);
+    if (reduceTokens > getDefaultMaxTokens(model)) {
+        console.warn(`Warning: The reduce prompt is ${reduceTokens.toLocaleString('en-US')} tokens, which may exceed the context window of ${model}.`);
+    }
+
+    try {
+        return await completePrompt(reducePrompt, { ...llmOptions, label: 'reduce prompt', onDelta, onUsage, onPrompt, signal, cache });
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        error.message += ` The ${chunks.length} partial analyses are kept in ${partialsDir}; rerun the same command to retry the reduce step without redoing the map calls.`;
+        throw error;
+    }
+}
+
+module.exports = {
+    DEFAULT_MAP_CONCURRENCY,
+    chunkFiles,
+    planMapPrompts,
+    processWithMapReduce
+};
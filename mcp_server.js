@@ -0,0 +1,273 @@
+const path = require('path');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { buildSummaryModel, readProjectFile } = require('./project_summary');
+const { renderSummary, formatFolderStructure, SUMMARY_FORMATS, DEFAULT_FORMAT } = require('./summary_formats');
+const { loadProjectConfig, toList, parseSize } = require('./config_loader');
+const { loadExtractors } = require('./extractors');
+const { DETAIL_LEVELS, DEFAULT_DETAIL } = require('./code_skeleton');
+const { openSource } = require('./source_snapshot');
+const { REDACT_MODES, DEFAULT_REDACT_MODE } = require('./secret_scanner');
+const { listTemplates, resolveTemplate, parseTemplateVars, templateVariables, expandTemplate, fillFileTree } = require('./prompt_templates');
+const { processWithLLM, buildPrompt } = require('./llm_processor');
+const { PROVIDERS, DEFAULT_PROVIDER, resolveProviderSettings } = require('./llm_providers');
+const { countTokens, getDefaultMaxTokens } = require('./token_budget');
+const { version } = require('./package.json');
+
+// --- Configuration ---
+const SERVER_NAME = 'summarize-code-base';
+const DEFAULT_TEMPERATURE = 1;
+
+// Input fields shared by the tools that scan a project
+const projectInput = {
+    path: z.string().optional().describe('Project directory, .zip/.tar.gz archive or file:// / git:// repository URL. Defaults to the directory the server was started for.'),
+    ref: z.string().optional().describe('Commit, tag or branch to read instead of the working tree (git repositories and URLs only)'),
+    include: z.array(z.string()).optional().describe('Extra gitignore-style patterns to include, on top of "include" in .summarizerc'),
+    exclude: z.array(z.string()).optional().describe('Extra gitignore-style patterns to exclude, on top of "exclude" in .summarizerc'),
+};
+const detailInput = z.enum(DETAIL_LEVELS).optional().describe('How much of each parsable source file is kept: full, skeleton (signatures) or outline (symbol names)');
+
+// --- Helper Functions ---
+
+function textResult(...texts) {
+    return { content: texts.map(text => ({ type: 'text', text })) };
+}
+
+function errorResult(error) {
+    return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+}
+
+// Whether dir is defaultDir or a directory below it
+function isInside(defaultDir, dir) {
+    const relativePath = path.relative(defaultDir, dir);
+    return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+// Open a project as the CLI does (see main in index.js): resolve the input, load .summarizerc and its extractors.
+// Any path a client passes is opened, so the extractors of .summarizerc (which run code) are only loaded for
+// defaultDir and the directories below it, never for snapshots; the server's own extractors (from its startup
+// options, looked up from defaultDir) are loaded for every project.
+// The snapshot of an archive or ref is removed once `use` settles.
+async function withProject({ path: input, ref }, { defaultDir, cache, extractors: serverExtractors }, use) {
+    const source = await openSource(input ? path.resolve(defaultDir, input) : defaultDir, { ref });
+    try {
+        const targetDir = source.dir;
+        const { config } = await loadProjectConfig(targetDir);
+        const redact = config.redact ?? DEFAULT_REDACT_MODE;
+        if (!REDACT_MODES.includes(redact)) {
+            throw new Error(`Invalid "redact" value "${redact}" in .summarizerc. Use one of: ${REDACT_MODES.join(', ')}.`);
+        }
+        if (config.detail !== undefined && !DETAIL_LEVELS.includes(config.detail)) {
+            throw new Error(`Invalid "detail" value "${config.detail}" in .summarizerc. Use one of: ${DETAIL_LEVELS.join(', ')}.`);
+        }
+        const trusted = !source.snapshot && isInside(defaultDir, targetDir);
+        const configExtractors = toList(config.extractors);
+        if (!trusted && configExtractors.length > 0) {
+            console.warn(`Warning: Ignoring the extractors in the .summarizerc of ${input || defaultDir}: only directories inside ${defaultDir} may load extractors.`);
+        }
+        const extractors = trusted
+            ? await loadExtractors([...configExtractors, ...serverExtractors], { baseDir: targetDir })
+            : await loadExtractors(serverExtractors, { baseDir: defaultDir });
+        return await use({ targetDir, projectName: path.basename(targetDir), config, redact, extractors, cache });
+    } finally {
+        source.cleanup();
+    }
+}
+
+// buildSummaryModel options from .summarizerc plus the include/exclude/detail of a tool call
+function summaryOptions(project, args) {
+    const { config } = project;
+    return {
+        include: [...toList(config.include), ...toList(args.include)],
+        exclude: [...toList(config.exclude), ...toList(args.exclude)],
+        useIgnoreFiles: config.gitignore ?? true,
+        ignoredDirs: toList(config.ignoredDirs),
+        ignoredFiles: toList(config.ignoredFiles),
+        nonTextExtensions: toList(config.nonTextExtensions),
+        replaceDefaults: config.replaceDefaults === true,
+        maxFileSize: parseSize(config.maxFileSize),
+        maxTotalSize: parseSize(config.maxTotalSize),
+        redact: project.redact,
+        cache: project.cache,
+        extractors: project.extractors,
+        detail: args.detail ?? config.detail ?? DEFAULT_DETAIL,
+        dependencyGraph: config.dependencyGraph ?? true,
+        workspaces: config.workspaces ?? true,
+        package: args.package,
+    };
+}
+
+// A project file given relative to the project (or absolute), which it may not leave
+function resolveProjectFile(targetDir, file) {
+    const filePath = path.resolve(targetDir, file);
+    const relativePath = path.relative(targetDir, filePath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        throw new Error(`"${file}" is not a file inside the project ${targetDir}.`);
+    }
+    return filePath;
+}
+
+// A named template with its {{key}} placeholders filled in from vars and {{FILE_TREE}} from the scanned project,
+// its summary rendered in the template's format and fitted to the model's context window next to the template.
+// Resolves to { format, prompt (the template without {{SUMMARY}} filled in), summary }.
+async function prepareTemplate(project, template, args, { model }) {
+    const vars = parseTemplateVars(Object.entries(args.vars || {}).map(([key, value]) => `${key}=${value}`));
+    const promptTemplate = await expandTemplate(template, { projectName: project.projectName, targetDir: project.targetDir, vars, redact: project.redact });
+    const format = args.format ?? template.settings.format ?? DEFAULT_FORMAT;
+    const maxTokens = Math.max(0, (args.maxTokens ?? project.config.maxTokens ?? getDefaultMaxTokens(model)) - countTokens(promptTemplate, model));
+    const summaryModel = await buildSummaryModel(project.targetDir, { ...summaryOptions(project, args), maxTokens, model });
+    return { format, prompt: fillFileTree(promptTemplate, summaryModel.tree), summary: renderSummary(summaryModel, format) };
+}
+
+// --- Tools ---
+
+function registerTools(server, context) {
+    server.registerTool('get_folder_structure', {
+        description: 'List the folder structure of a project (Section 1 of the summary), honouring .gitignore and .summarizerc.',
+        inputSchema: projectInput,
+    }, async (args) => {
+        try {
+            return await withProject(args, context, async (project) => {
+                const summaryModel = await buildSummaryModel(project.targetDir, { ...summaryOptions(project, args), folderStructureOnly: true });
+                return textResult(formatFolderStructure(summaryModel.tree));
+            });
+        } catch (error) {
+            return errorResult(error);
+        }
+    });
+
+    server.registerTool('summarize_project', {
+        description: 'Summarize a project: its folder structure, the package index of a monorepo, the extracted contents of its files and its dependency graph.',
+        inputSchema: {
+            ...projectInput,
+            detail: detailInput,
+            package: z.string().optional().describe('Workspace package (name or path) to summarize, together with the sibling packages it depends on'),
+            format: z.enum(SUMMARY_FORMATS).optional().describe(`Summary format (default ${DEFAULT_FORMAT})`),
+            maxTokens: z.number().int().positive().optional().describe('Token budget; lower priority files are truncated or left out to fit'),
+        },
+    }, async (args) => {
+        try {
+            return await withProject(args, context, async (project) => {
+                const maxTokens = args.maxTokens ?? project.config.maxTokens ?? null;
+                const model = PROVIDERS[DEFAULT_PROVIDER].defaultModel;
+                const summaryModel = await buildSummaryModel(project.targetDir, { ...summaryOptions(project, args), maxTokens, model });
+                return textResult(renderSummary(summaryModel, args.format ?? DEFAULT_FORMAT));
+            });
+        } catch (error) {
+            return errorResult(error);
+        }
+    });
+
+    server.registerTool('read_file_extracted', {
+        description: 'Read one project file as the summary does: documents (PDF, DOCX, notebooks, slides, ...) as extracted text, YouTube links as transcripts, source files optionally condensed. Secrets are masked.',
+        inputSchema: {
+            file: z.string().describe('File to read, relative to the project'),
+            path: projectInput.path,
+            ref: projectInput.ref,
+            detail: detailInput,
+        },
+    }, async (args) => {
+        try {
+            return await withProject(args, context, async (project) => {
+                const filePath = resolveProjectFile(project.targetDir, args.file);
+                // Refused like the scan would leave it out: .env, gitignored and excluded files are not handed out
+                const file = await readProjectFile(filePath, project.targetDir, summaryOptions(project, args));
+                if (file.reason) throw new Error(`${file.relativePath} is not read by the summarizer (${file.reason}).`);
+                if (file.error) throw new Error(`Could not read ${file.relativePath}: ${file.error}`);
+                const { content, ...details } = file;
+                return textResult(content, JSON.stringify(details, null, 2));
+            });
+        } catch (error) {
+            return errorResult(error);
+        }
+    });
+
+    server.registerTool('run_template', {
+        description: 'Summarize a project and send it to an LLM with a named prompt template (see the prompts of this server). Needs the API key of the provider in the environment, except for the "fake" provider.',
+        inputSchema: {
+            template: z.string().describe('Name of the prompt template, e.g. security-audit'),
+            ...projectInput,
+            detail: detailInput,
+            format: z.enum(SUMMARY_FORMATS).optional().describe('Summary format; defaults to the template\'s front-matter, then text'),
+            vars: z.record(z.string()).optional().describe('Values for the template\'s {{key}} placeholders'),
+            provider: z.enum(Object.keys(PROVIDERS)).optional().describe(`LLM provider (default ${DEFAULT_PROVIDER})`),
+            model: z.string().optional().describe('Model; defaults to the template\'s front-matter, then the provider default'),
+            temperature: z.number().min(0).optional().describe('Sampling temperature; defaults to the template\'s front-matter, then 1'),
+            maxTokens: z.number().int().positive().optional().describe('Token budget for the prompt; defaults to the model\'s context window'),
+        },
+    }, async (args) => {
+        try {
+            return await withProject(args, context, async (project) => {
+                const template = await resolveTemplate(args.template, project.targetDir);
+                const { settings } = template;
+                const llmSettings = resolveProviderSettings({ provider: args.provider ?? DEFAULT_PROVIDER, model: args.model ?? settings.model });
+                const { prompt, summary } = await prepareTemplate(project, template, args, { model: llmSettings.model });
+                const text = await processWithLLM(summary, {
+                    promptTemplatePath: template.path,
+                    promptTemplate: prompt,
+                    ...llmSettings,
+                    temperature: args.temperature ?? settings.temperature ?? DEFAULT_TEMPERATURE,
+                    label: `template "${template.name}"`,
+                    cache: project.cache,
+                });
+                return textResult(text);
+            });
+        } catch (error) {
+            return errorResult(error);
+        }
+    });
+}
+
+// --- Prompts ---
+// Every named template visible from the default project becomes a prompt of the same name. Getting it returns the
+// template filled in with the project summary, for the client's own model to answer.
+
+async function registerPrompts(server, context) {
+    for (const { name, description } of await listTemplates(context.defaultDir)) {
+        const template = await resolveTemplate(name, context.defaultDir);
+        const argsSchema = {
+            path: z.string().optional().describe('Project directory, archive or repository URL. Defaults to the directory the server was started for.'),
+            detail: z.enum(DETAIL_LEVELS).optional().describe('full, skeleton or outline'),
+        };
+        const variables = templateVariables(template).filter(variable => !(variable in argsSchema));
+        for (const variable of variables) {
+            argsSchema[variable] = z.string().optional().describe(`Value for {{${variable}}}`);
+        }
+        server.registerPrompt(name, { description: description || `The ${name} template`, argsSchema }, async (args) => {
+            const vars = Object.fromEntries(variables.filter(variable => args[variable] !== undefined).map(variable => [variable, args[variable]]));
+            const model = template.settings.model || PROVIDERS[DEFAULT_PROVIDER].defaultModel;
+            const { prompt, summary } = await withProject(args, context, project => prepareTemplate(project, template, { ...args, vars }, { model }));
+            return {
+                description: description || undefined,
+                messages: [{ role: 'user', content: { type: 'text', text: buildPrompt(prompt, summary, template.path) } }],
+            };
+        });
+    }
+}
+
+// --- Server ---
+// Serve the summarizer over the Model Context Protocol on stdin/stdout until stdin closes.
+// defaultDir is the project used when a call gives no path; relative paths are resolved against it.
+// cache is the content cache shared by all calls (see cache.js).
+// extractors: extractor modules (see loadExtractors) used for every project, also those a .summarizerc may not add to.
+async function startMcpServer({ defaultDir, cache, extractors = [] }) {
+    // stdout carries the protocol, so the summarizer's console output (progress, warnings) goes to stderr
+    for (const method of ['log', 'info', 'warn']) {
+        console[method] = (...args) => console.error(...args);
+    }
+    const context = { defaultDir, cache, extractors };
+    const server = new McpServer({ name: SERVER_NAME, version });
+    registerTools(server, context);
+    await registerPrompts(server, context);
+
+    const transport = new StdioServerTransport();
+    // Helpers such as the fake LLM server keep the event loop alive, so exit once the client goes away
+    process.stdin.once('end', () => process.exit(0));
+    await server.connect(transport);
+    console.error(`summarize MCP server ${version} serving ${defaultDir} on stdio`);
+}
+
+module.exports = {
+    startMcpServer
+};
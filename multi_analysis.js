@@ -0,0 +1,106 @@
+const { processWithLLM } = require('./llm_processor');
+const { processWithMapReduce } = require('./map_reduce');
+const { renderSummary } = require('./summary_formats');
+const { fillFileTree } = require('./prompt_templates');
+const { describeLLMError } = require('./llm_errors');
+const { mapWithConcurrency } = require('./worker_pool');
+
+// --- Configuration ---
+// How many templates of a --templates run are sent to the LLM at the same time
+const DEFAULT_TEMPLATE_CONCURRENCY = 2;
+
+// --- Helper Functions ---
+
+function formatDuration(durationMs) {
+    return `${(durationMs / 1000).toFixed(1)}s`;
+}
+
+// The summary is rendered once per format, however many templates ask for it
+function createSummaryRenderer(summaryModel) {
+    const rendered = new Map();
+    return (format) => {
+        if (!rendered.has(format)) rendered.set(format, renderSummary(summaryModel, format));
+        return rendered.get(format);
+    };
+}
+
+// --- Running Several Templates ---
+// Send one scanned project to several prompt templates. Each analysis is
+// { id, template, promptTemplate (expanded, see expandTemplate), format, temperature, llmSettings }.
+// At most `concurrency` run at once; a failing analysis does not stop the others.
+// `report` (see startStreamingReport with analyses) gets one tab per analysis, keyed by its id.
+// In chunked mode (chunkOptions: { mapPromptPath, chunkTokens, mapConcurrency, partialsDir }) they run one at a time,
+// so templates using the same model reuse the map results saved by the first one (see map_reduce.js).
+// Resolves to [{ id, name, model, format, durationMs, usage, text, error }] in the order of analyses.
+async function runAnalyses(summaryModel, analyses, { report = null, concurrency = DEFAULT_TEMPLATE_CONCURRENCY, chunkOptions = null, signal, cache }) {
+    const summaryFor = createSummaryRenderer(summaryModel);
+    const limit = chunkOptions ? 1 : concurrency;
+
+    const results = await mapWithConcurrency(analyses, limit, async (analysis) => {
+        const { id, template, format, temperature, llmSettings } = analysis;
+        const tab = report ? report.analysis(id) : null;
+        const startedAt = Date.now();
+        const result = { id, name: template.name, model: llmSettings.model, format, durationMs: null, usage: null, text: '', error: null };
+        if (tab) tab.start();
+        const llmOptions = {
+            ...llmSettings,
+            temperature,
+            label: `template "${template.name}"`,
+            onDelta: (delta) => {
+                result.text += delta;
+                if (tab) tab.append(delta);
+            },
+            onUsage: (usage) => { result.usage = usage; },
+            onPrompt: (prompt) => { if (tab) tab.setPrompt(prompt); },
+            signal,
+            cache,
+        };
+        const promptTemplate = fillFileTree(analysis.promptTemplate, summaryModel.tree);
+        try {
+            result.text = chunkOptions
+                ? await processWithMapReduce(summaryModel, {
+                    mapPromptPath: chunkOptions.mapPromptPath,
+                    reducePromptPath: template.path,
+                    reducePromptTemplate: promptTemplate,
+                    ...llmOptions,
+                    chunkTokens: chunkOptions.chunkTokens,
+                    concurrency: chunkOptions.mapConcurrency,
+                    partialsDir: chunkOptions.partialsDir,
+                })
+                : await processWithLLM(summaryFor(format), {
+                    promptTemplatePath: template.path,
+                    promptTemplate,
+                    ...llmOptions,
+                });
+            result.durationMs = Date.now() - startedAt;
+            if (tab) tab.complete(result.usage);
+        } catch (error) {
+            result.durationMs = Date.now() - startedAt;
+            result.error = describeLLMError(error);
+            if (tab) tab.fail(result.error);
+        }
+        return result;
+    });
+    return results.map(({ value }) => value);
+}
+
+// One line per analysis for the console: name, model, duration, token usage or error
+function formatAnalysisResults(results) {
+    const nameWidth = Math.max(...results.map(result => result.name.length));
+    return results.map(({ name, model, durationMs, usage, error }) => {
+        let line = `  ${error ? '✗' : '✓'} ${name.padEnd(nameWidth)}  ${model}  ${formatDuration(durationMs)}`;
+        if (error) return `${line}  failed: ${error}`;
+        if (usage) {
+            line += `  ${usage.promptTokens.toLocaleString('en-US')} prompt + ${usage.completionTokens.toLocaleString('en-US')} completion tokens`;
+            if (usage.estimated) line += ' (estimated)';
+            if (usage.cached) line += ' (cached)';
+        }
+        return line;
+    }).join('\n');
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE_CONCURRENCY,
+    runAnalyses,
+    formatAnalysisResults
+};
@@ -0,0 +1,102 @@
+// --- Configuration ---
+const BAR_WIDTH = 24;
+const RENDER_INTERVAL_MS = 100;
+// Without a terminal, a plain log line is printed every tenth of the way, but only for trees this large
+const PLAIN_LOG_STEPS = 10;
+const PLAIN_LOG_MIN_FILES = 200;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// --- Progress Indicator ---
+// Tracks files read, bytes and the slow extractors (PDF, DOCX, transcripts) currently running.
+// Written to stderr, so a summary printed to stdout stays clean. On a terminal this is a single redrawn line;
+// otherwise it falls back to occasional plain log lines.
+// Output written directly to the stream while the bar is shown must go through interrupt(), which clears and redraws it.
+// Returns { extracting(relativePath, kind, message), fileDone(relativePath, bytes), interrupt(callback), finish() }.
+function createProgress({ total, label = 'Reading files', stream = process.stderr, interactive = Boolean(stream.isTTY) }) {
+    const slow = new Map(); // relativePath -> kind
+    const startedAt = Date.now();
+    let done = 0;
+    let bytes = 0;
+    let drawn = false;
+    let lastDrawAt = 0;
+    let nextPlainStep = 1;
+
+    // While the bar is shown, console output from anywhere (extractor warnings, errors) is printed above it
+    const consoleMethods = ['log', 'info', 'warn', 'error'];
+    const originalConsole = {};
+    if (interactive) {
+        for (const method of consoleMethods) {
+            originalConsole[method] = console[method];
+            console[method] = (...args) => interrupt(() => originalConsole[method](...args));
+        }
+    }
+
+    function clear() {
+        if (drawn) stream.write('\r\x1b[2K');
+        drawn = false;
+    }
+
+    function draw(force = false) {
+        if (!interactive || (!force && Date.now() - lastDrawAt < RENDER_INTERVAL_MS)) return;
+        lastDrawAt = Date.now();
+        const ratio = total > 0 ? done / total : 1;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        let line = `${label} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${done}/${total} files, ${formatBytes(bytes)}`;
+        if (slow.size > 0) {
+            const [relativePath, kind] = slow.entries().next().value;
+            line += ` | ${kind}: ${relativePath}${slow.size > 1 ? ` (+${slow.size - 1} more)` : ''}`;
+        }
+        const width = stream.columns || 80;
+        if (line.length > width - 1) line = line.slice(0, width - 2) + '…';
+        stream.write(`\r\x1b[2K${line}`);
+        drawn = true;
+    }
+
+    function interrupt(callback) {
+        const wasDrawn = drawn;
+        clear();
+        try {
+            return callback();
+        } finally {
+            if (wasDrawn) draw(true);
+        }
+    }
+
+    return {
+        // A slow extractor started; on a terminal it is shown in the bar, otherwise `message` is logged
+        extracting(relativePath, kind, message) {
+            slow.set(relativePath, kind);
+            if (interactive) draw(true);
+            else if (message) stream.write(`${message}\n`);
+        },
+        fileDone(relativePath, fileBytes = 0) {
+            slow.delete(relativePath);
+            done++;
+            bytes += fileBytes || 0;
+            if (interactive) {
+                draw(done === total);
+            } else if (total >= PLAIN_LOG_MIN_FILES && done >= Math.ceil((total * nextPlainStep) / PLAIN_LOG_STEPS)) {
+                stream.write(`${label}: ${done}/${total} files (${formatBytes(bytes)})\n`);
+                nextPlainStep++;
+            }
+        },
+        interrupt,
+        finish() {
+            clear();
+            Object.assign(console, originalConsole);
+            if (interactive || total >= PLAIN_LOG_MIN_FILES) {
+                stream.write(`${label}: ${done} files (${formatBytes(bytes)}) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s\n`);
+            }
+        },
+    };
+}
+
+module.exports = {
+    formatBytes,
+    createProgress
+};
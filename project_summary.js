@@ -5,9 +5,20 @@ const fs = require('fs'); // Re-added standard fs for readdir
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
-const mammoth = require('mammoth');
-const pdfParse = require('pdf-parse'); // Added pdf-parse
-const { YoutubeTranscript } = require('youtube-transcript-plus'); // Added for YouTube transcripts
+const { createIgnoreRules, mergeNameSet } = require('./ignore_rules');
+const { countTokens, fitToBudget, printTokenReport } = require('./token_budget');
+const { renderSummary, getSummaryRenderer, formatFileBlock, omittedHeading, omittedEntry } = require('./summary_formats');
+const { detectLanguage } = require('./languages');
+const { collectGitChanges, readStagedFile } = require('./git_diff');
+const { createRedactor, printSecretReport } = require('./secret_scanner');
+const { createCache } = require('./cache');
+const { mapWithConcurrency } = require('./worker_pool');
+const { createProgress, formatBytes } = require('./progress');
+const { sniffFile } = require('./content_sniffer');
+const { createExtractorRegistry, createExtractorFile, runExtractor } = require('./extractors');
+const { DEFAULT_DETAIL, createSkeletonizer } = require('./code_skeleton');
+const { createDependencyGraphBuilder } = require('./dependency_graph');
+const { detectWorkspace, selectPackages, createPackageScope, measurePackages, javaScriptPackageEntries } = require('./workspaces');
 // Removed libreoffice-convert require
 // Removed textract import as it's not used for .doc anymore
 // Removed yargs and hideBin - moved to index.js
@@ -36,7 +47,7 @@ const IGNORED_DIRS = new Set([
 ]);
 const IGNORED_FILES = new Set([
     'package-lock.json', // Node.js
-    '.env.local', '.env.development', '.env.production', // More specific environment variable files
+    '.env', '.env.local', '.env.development', '.env.production', // Environment variable files (usually hold secrets)
     'poetry.lock', 'Pipfile.lock', // Python
     'yarn.lock', 'pnpm-lock.yaml', // Node.js
     'composer.lock', // PHP
@@ -71,87 +82,48 @@ const NON_TEXT_EXTENSIONS = new Set([
     '.war'
 ]);
 
-// --- Helper Functions ---
-
-// Extract text from PDF files using pdf-parse (or PDF buffer)
-// Extract text from PDF files using pdf-parse
-async function extractPdfText(pdfPath) { // Changed back to pdfPath as buffer source is removed
-    console.log(`Attempting to extract text from PDF ${pdfPath} using pdf-parse...`);
-    try {
-        const dataBuffer = await fsPromises.readFile(pdfPath); // Read directly from path
-        const data = await pdfParse(dataBuffer);
-        // data.text contains the extracted text
-        // data.numpages contains the number of pages
-        // data.info contains metadata (Author, Title, etc.)
-        if (!data.text || data.text.trim() === '') {
-             console.warn(`pdf-parse extracted no text from ${path.basename(pdfPath)}. The PDF might be image-based or empty.`);
-             return `--- No text extracted from PDF ${path.basename(pdfPath)} by pdf-parse. The PDF may be empty or contain only images. ---`;
-        }
-        // Add page separators for better readability, similar to the old script
-        // pdf-parse doesn't provide per-page text easily, so we return the whole block.
-        // We can add a note about the number of pages.
-        return `[Extracted from ${data.numpages} page(s)]\n\n${data.text}`;
-    } catch (error) {
-        console.error(`Error extracting text from PDF ${path.basename(pdfPath)} using pdf-parse: ${error.message}`);
-        // Check for specific error types if needed, e.g., password protection
-        if (error.message.includes('Password') || error.message.includes('encrypted')) {
-             return `--- Error: PDF ${path.basename(pdfPath)} is likely password-protected or encrypted. ---`;
-        }
-        return `--- Error extracting text from PDF ${path.basename(pdfPath)} using pdf-parse. ---`;
-    }
-}
+// Files read (and extracted) in parallel; PDF/DOCX extraction and transcript fetches dominate on document-heavy trees
+const DEFAULT_CONCURRENCY = 8;
 
+// --- Helper Functions ---
 
-function isTextFile(filePath) {
+// Files go to the contents section unless their extension is listed as non-text; an extension claimed by an
+// extractor (see extractors.js) is read all the same
+function isTextFile(filePath, nonTextExtensions = NON_TEXT_EXTENSIONS, extractors = null) {
     const ext = path.extname(filePath).toLowerCase();
-    // Removed .doc from the check, only process .pdf and .docx
-    if (ext === '.pdf' || ext === '.docx') {
+    if (extractors && extractors.claimsExtension(filePath)) {
         return true;
     }
-    return ext === '' || !NON_TEXT_EXTENSIONS.has(ext);
-}
-
-// Removed the textract-based extractDocText function
-// Removed antiword-based extractDocTextDirectly function
-
-
-async function extractDocxText(filePath) {
-    try {
-        console.log(`Attempting to extract text from DOCX ${filePath} using mammoth...`);
-        const result = await mammoth.extractRawText({ path: filePath });
-        return result.value || `--- No text extracted from DOCX ${path.basename(filePath)}. ---`;
-    } catch (error) {
-        console.error(`Error extracting text from DOCX ${filePath}: ${error.message}`);
-        return `--- Error extracting text from DOCX ${path.basename(filePath)}. ---`;
-    }
+    return ext === '' || !nonTextExtensions.has(ext);
 }
 
-async function traverseDirectory(dirPath, rootPath, textFiles, structurePrefix = '') {
-    let structureOutput = '';
+// Walk the project and return its (filtered) entries as a node tree:
+//   { name, type: 'directory', children: [...] } or { name, type: 'file' }
+// Files whose contents belong in Section 2 are pushed onto textFiles.
+// inScope(relativePath, isDirectory), when given, further limits the entries walked (see createPackageScope).
+async function traverseDirectory(dirPath, rootPath, textFiles, rules, extractors, inScope = null) {
+    const nodes = [];
     try {
         // Correctly use fsPromises.readdir here
         const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
-        // Filter out ignored directories at the entry level
-        const filteredEntries = entries.filter(entry => !IGNORED_DIRS.has(entry.name));
+        // Load this directory's .gitignore/.summarizeignore before filtering its entries
+        await rules.enterDirectory(dirPath);
+        // Filter out ignored directories and ignore-pattern matches at the entry level
+        const filteredEntries = entries.filter(entry => !rules.isIgnored(path.join(dirPath, entry.name), entry.isDirectory())
+            && (!inScope || inScope(path.relative(rootPath, path.join(dirPath, entry.name)), entry.isDirectory())));
 
-        for (let i = 0; i < filteredEntries.length; i++) {
-            const entry = filteredEntries[i];
+        for (const entry of filteredEntries) {
             const fullPath = path.join(dirPath, entry.name);
-            const isLast = i === filteredEntries.length - 1;
-            const connector = isLast ? '└── ' : '├── ';
-            const linePrefix = structurePrefix + connector;
-            const nextStructurePrefix = structurePrefix + (isLast ? '    ' : '│   '); // Use consistent spacing
-
-            // Always show the entry in the structure unless it's an ignored dir
-             structureOutput += `${linePrefix}${entry.name}\n`;
 
             if (entry.isDirectory()) {
                 // Recursively traverse if it's a directory (already filtered)
-                structureOutput += await traverseDirectory(fullPath, rootPath, textFiles, nextStructurePrefix);
-            } else if (entry.isFile()) {
+                nodes.push({ name: entry.name, type: 'directory', children: await traverseDirectory(fullPath, rootPath, textFiles, rules, extractors, inScope) });
+            } else {
+                // Always show the entry in the structure unless it's ignored
+                nodes.push({ name: entry.name, type: 'file' });
                 // Check if the file should be included in the contents section
-                if (!IGNORED_FILES.has(entry.name)) {
-                    if (isTextFile(fullPath)) {
+                if (entry.isFile() && rules.isIncluded(fullPath)) {
+                    if (isTextFile(fullPath, rules.nonTextExtensions, extractors)) {
                         textFiles.push(fullPath);
                     }
                 }
@@ -163,152 +135,367 @@ async function traverseDirectory(dirPath, rootPath, textFiles, structurePrefix =
         const dirNameToDisplay = relativeDir || path.basename(rootPath) || 'root directory';
         console.error(`Error reading directory '${dirNameToDisplay}': ${error.message}`);
     }
-    return structureOutput;
+    return nodes;
 }
 
 
-async function readFileContent(filePath, targetDir) {
+// Read one accepted file (see screenFiles) with its extractor (see runExtractor in extractors.js).
+// Returns { content, extraction, language, metadata, warnings, error }: extraction names the extractor used, error is null on success.
+// cache (see cache.js) holds document extractions and YouTube transcripts between runs.
+// progress (see progress.js) is told about slow extractions as they start.
+async function readFileContent({ filePath, size, encoding = 'utf-8', mimeType = null, extractor, readContents }, targetDir, cache = createCache({ enabled: false }), progress = createProgress({ total: 0, interactive: false })) {
     try {
-        const ext = path.extname(filePath).toLowerCase();
-        if (ext === '.pdf') {
-            // Use the updated extractPdfText function
-            return await extractPdfText(filePath);
-        } else if (ext === '.docx') {
-            return await extractDocxText(filePath);
+        const file = createExtractorFile(filePath, { targetDir, size, encoding, mimeType, readContents });
+        return await runExtractor(extractor, file, { cache, progress });
+    } catch (error) {
+        const relativePath = path.relative(targetDir, filePath);
+        console.error(`\n--- Error reading file: ${relativePath} ---`);
+        console.error(error.message);
+        return { content: `--- Error reading file: ${relativePath}. Content omitted. ---`, extraction: extractor.name, language: null, metadata: {}, warnings: [], error: error.message };
+    }
+}
+
+// Build the traversal rules from the built-in lists plus .summarizerc / CLI overrides
+function buildIgnoreRules(targetDir, options = {}) {
+    const {
+        include = [],
+        exclude = [],
+        useIgnoreFiles = true,
+        ignoredDirs = [],
+        ignoredFiles = [],
+        nonTextExtensions = [],
+        replaceDefaults = false,
+    } = options;
+    return createIgnoreRules(targetDir, {
+        ignoredDirs: mergeNameSet(IGNORED_DIRS, ignoredDirs, replaceDefaults),
+        ignoredFiles: mergeNameSet(IGNORED_FILES, ignoredFiles, replaceDefaults),
+        nonTextExtensions: mergeNameSet(NON_TEXT_EXTENSIONS, nonTextExtensions.map(ext => ext.toLowerCase()), replaceDefaults),
+        include,
+        exclude,
+        useIgnoreFiles,
+    });
+}
+
+// Mark the tree entries that changed (see collectGitChanges) with their change status
+function markChangedEntries(nodes, relativeDir, changes) {
+    for (const node of nodes) {
+        const relativePath = path.join(relativeDir, node.name);
+        if (node.children) {
+            markChangedEntries(node.children, relativePath, changes);
+        } else if (changes.has(relativePath)) {
+            const { status, previousPath } = changes.get(relativePath);
+            node.change = status;
+            if (previousPath) node.previousPath = previousPath;
         }
-        // Removed the .doc handling block entirely
+    }
+}
 
-        // Default: Read as plain text, with YouTube transcript processing for .txt files
-        let content = await fsPromises.readFile(filePath, 'utf8');
+// Mark the tree entries whose contents were skipped (see screenFiles) with the reason
+function markSkippedEntries(nodes, relativeDir, reasons) {
+    for (const node of nodes) {
+        const relativePath = path.join(relativeDir, node.name);
+        if (node.children) {
+            markSkippedEntries(node.children, relativePath, reasons);
+        } else if (reasons.has(relativePath)) {
+            node.skipped = reasons.get(relativePath);
+        }
+    }
+}
 
-        if (ext === '.txt') {
-            // Updated regex to make protocol and www. optional
-            const youtubeUrlRegex = /((?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11}))/g;
-            let match;
-            const promises = [];
-            const replacements = {}; // Store replacements to avoid modifying string during iteration
+// Decide which files of Section 2 are read and by which extractor (see extractors.js), before anything is written.
+// Binary extractors claiming a file's extension (PDF, DOCX, ...) take it as it is; other files are sniffed (see
+// content_sniffer.js) and matched by extension, MIME type or detect(). Binary, minified and generated files are
+// skipped unless a binary extractor recognises them, and so are files over maxFileSize and, in traversal order,
+// every file once the files read so far reach maxTotalSize.
+// Returns { accepted: [{ filePath, size, encoding, mimeType, extractor }], skipped: [{ relativePath, size, reason }] }
+async function screenFiles(filePaths, targetDir, { maxFileSize = null, maxTotalSize = null, concurrency, extractors }) {
+    const sniffed = await mapWithConcurrency(filePaths, concurrency, async (filePath) => {
+        const { size } = await fsPromises.stat(filePath);
+        const byExtension = extractors.resolve(filePath);
+        if (byExtension) return { size, extractor: byExtension };
+        const { skipped, encoding, mimeType, sample } = await sniffFile(filePath);
+        const extractor = extractors.resolve(filePath, { skipped, mimeType, sample });
+        if (!extractor) return { size, skipped: skipped || 'no extractor' };
+        return extractor.binary ? { size, mimeType, extractor } : { size, encoding, mimeType, extractor };
+    });
 
-            // Find all matches and initiate transcript fetching
-            while ((match = youtubeUrlRegex.exec(content)) !== null) {
-                const url = match[0];
-                const videoId = match[2];
-                if (videoId) {
-                    promises.push(
-                        (async () => {
-                            try {
-                                console.log(`Fetching transcript for YouTube video: ${videoId}`);
-                                const transcript = await YoutubeTranscript.fetchTranscript(videoId);
-                                
-                                // Check if transcript is valid and has content
-                                if (transcript && Array.isArray(transcript) && transcript.length > 0) {
-                                    // Extract text from transcript items
-                                    const transcriptText = transcript
-                                        .map(item => {
-                                            // Handle different possible property names
-                                            return item.text || item.content || item.snippet || '';
-                                        })
-                                        .filter(text => text.trim() !== '') // Remove empty entries
-                                        .join(' ');
-                                    
-                                    if (transcriptText.trim()) {
-                                        replacements[url] = `${url}\n--- YouTube Transcript Start ---\n${transcriptText}\n--- YouTube Transcript End ---`;
-                                        console.log(`Successfully fetched and processed transcript for ${videoId} (${transcriptText.length} characters)`);
-                                    } else {
-                                        console.warn(`Transcript for ${videoId} was empty or contained no text`);
-                                        replacements[url] = `${url}\n--- YouTube Transcript Not Available (Empty transcript returned) ---`;
-                                    }
-                                } else {
-                                    console.warn(`No transcript available for video ${videoId} (empty response)`);
-                                    replacements[url] = `${url}\n--- YouTube Transcript Not Available (No transcript found) ---`;
-                                }
-                            } catch (fetchError) {
-                                console.warn(`Could not fetch transcript for ${url}: ${fetchError.message}`);
-                                // Provide more specific error messages
-                                let errorMsg = 'Not Available';
-                                if (fetchError.message.includes('disabled')) {
-                                    errorMsg = 'Not Available (Transcripts disabled for this video)';
-                                } else if (fetchError.message.includes('private')) {
-                                    errorMsg = 'Not Available (Private video)';
-                                } else if (fetchError.message.includes('not found')) {
-                                    errorMsg = 'Not Available (Video not found)';
-                                } else {
-                                    errorMsg = `Not Available (${fetchError.message})`;
-                                }
-                                replacements[url] = `${url}\n--- YouTube Transcript ${errorMsg} ---`;
-                            }
-                        })()
-                    );
-                }
-            }
+    const accepted = [];
+    const skipped = [];
+    let totalSize = 0;
+    let totalReached = false;
+    sniffed.forEach(({ value, error }, index) => {
+        const filePath = filePaths[index];
+        if (error) {
+            // Unreadable files are still listed; readFileContent reports the error in place of their contents
+            accepted.push({ filePath, size: null, encoding: 'utf-8', mimeType: null, extractor: extractors.get('text') });
+            return;
+        }
+        let reason = value.skipped;
+        if (!reason && maxFileSize && value.size > maxFileSize) {
+            reason = `too large, ${formatBytes(value.size)}`;
+        }
+        if (!reason && maxTotalSize && (totalReached || totalSize + value.size > maxTotalSize)) {
+            totalReached = true;
+            reason = 'total size limit reached';
+        }
+        if (reason) {
+            skipped.push({ relativePath: path.relative(targetDir, filePath), size: value.size, reason });
+        } else {
+            totalSize += value.size;
+            accepted.push({ filePath, size: value.size, encoding: value.encoding || 'utf-8', mimeType: value.mimeType || null, extractor: value.extractor });
+        }
+    });
+    return { accepted, skipped };
+}
 
-            // Wait for all transcript fetches to complete
-            await Promise.all(promises);
+// Read one file of Section 2 (an accepted entry of screenFiles) into its summary record (see buildSummaryModel).
+// A record of the same size in fileRecords is taken from there instead; files read are added to it.
+// A staged change (see collectGitChanges) is read from the index rather than the working tree.
+async function readSummaryFile(entry, targetDir, { change, diffContent, cache, progress, skeletonizer, graphBuilder, fileRecords }) {
+    const { filePath, size, encoding } = entry;
+    const relativePath = path.relative(targetDir, filePath);
+    const reused = fileRecords && !change ? fileRecords.get(relativePath) : null;
+    if (reused && reused.file.size === size) {
+        if (graphBuilder && reused.imports) graphBuilder.addImports(relativePath, reused.imports);
+        return { ...reused.file };
+    }
 
-            // Apply replacements to the content
-            // Iterate over original match positions to ensure correct insertion order
-            // Reset regex index for replacement pass
-            youtubeUrlRegex.lastIndex = 0;
-            let updatedContent = '';
-            let lastIndex = 0;
-            while ((match = youtubeUrlRegex.exec(content)) !== null) {
-                const url = match[0];
-                updatedContent += content.substring(lastIndex, match.index); // Add text before the match
-                updatedContent += replacements[url] || url; // Add the replacement or original URL if fetch failed silently
-                lastIndex = match.index + url.length; // Update last index
-            }
-            updatedContent += content.substring(lastIndex); // Add any remaining text after the last match
-            content = updatedContent; // Assign the modified content back
+    let file;
+    if (change && diffContent === 'diff') {
+        file = { relativePath, size, language: 'diff', extraction: 'git-diff', content: change.diff, error: null };
+    } else {
+        const source = change && change.stagedPath ? { ...entry, readContents: () => readStagedFile(change.stagedPath, targetDir) } : entry;
+        const { content, extraction, language, metadata, warnings, error } = await readFileContent(source, targetDir, cache, progress);
+        file = { relativePath, size, language: language || detectLanguage(filePath), extraction, content, error };
+        if (encoding !== 'utf-8' && !entry.extractor.binary) file.encoding = encoding; // Transcoded to UTF-8
+        // Imports are collected from the full contents, before they are condensed
+        const imports = graphBuilder && !error ? await graphBuilder.addFile(file) : null;
+        if (skeletonizer && !error) {
+            const condensed = await skeletonizer.condense(file);
+            if (condensed) Object.assign(file, condensed);
         }
+        if (Object.keys(metadata).length > 0) file.metadata = metadata;
+        if (warnings.length > 0) file.warnings = warnings;
+        if (change && diffContent === 'both') file.diff = change.diff;
+        // Kept before redaction, which rewrites the record (see redactFile)
+        if (fileRecords && !change && !error) fileRecords.set(relativePath, { file: { ...file }, imports });
+    }
+    if (change) {
+        file.change = change.status;
+        if (change.previousPath) file.previousPath = change.previousPath;
+    }
+    return file;
+}
 
-        return content; // Return original or modified content
-    } catch (error) {
-        const relativePath = path.relative(targetDir, filePath);
-        console.error(`\n--- Error reading file: ${relativePath} ---`);
-        console.error(error.message);
-        return `--- Error reading file: ${relativePath}. Content omitted. ---`;
+// Mask (or only find) the secrets in a file record's content and diff; findings go to file.secrets
+function redactFile(file, redactor, mask) {
+    const scanned = redactor.redact(file.content, { mask });
+    file.content = scanned.text;
+    file.secrets = scanned.findings;
+    if (file.diff) {
+        const scannedDiff = redactor.redact(file.diff, { mask });
+        file.diff = scannedDiff.text;
+        file.secrets.push(...scannedDiff.findings.map(finding => ({ ...finding, source: 'diff' })));
     }
 }
 
-// --- Core Summary Generation Function ---
-async function generateProjectSummary(targetDir, options = {}) {
-    const { folderStructureOnly = false } = options;
-    // Removed checkPdfToolsAvailability call
+// Scan the project and build the structured summary model that the renderers in summary_formats.js consume:
+//   { projectName, tree, files: [{ relativePath, size, language, extraction, content, error }], fileCount, omitted, skipped, folderStructureOnly, detail, gitChanges }
+// extraction names the extractor that read the file; files also carry the metadata and warnings it returned, if any.
+// where tree is a node tree ({ name, type, children }) rooted at the project directory.
+// skipped lists { relativePath, size, reason } for the files whose contents were left out (see screenFiles);
+// their tree entries carry the reason as skipped. Files transcoded from another encoding carry encoding.
+// In diff mode (since/staged), files only holds the changed files, which also carry change, previousPath and diff,
+// changed tree entries carry change, and gitChanges is { description, deleted } (null otherwise).
+// dependencyGraph is the module graph of the JS/TS and Python files read (see dependency_graph.js), or null.
+// workspace is the package index of a monorepo (see detectWorkspace in workspaces.js), its packages carrying
+// fileCount and size, or null; with a package selection it lists the selected packages only, focus naming the one asked for.
+// Files condensed by the detail level carry detail ('skeleton' or 'outline'; see code_skeleton.js).
+// Unless redaction is off, files carry secrets (findings of secret_scanner.js) and secretFindings lists
+// { relativePath, findings } for every file with at least one finding.
+// Options:
+//   folderStructureOnly: skip reading file contents (files stays empty)
+//   maxTokens: token budget for the whole summary; files are truncated/omitted to fit (see token_budget.js)
+//   model: model whose tokenizer is used for counting
+//   tokenReport: print the per-file token accounting
+//   include, exclude, useIgnoreFiles, ignoredDirs, ignoredFiles, nonTextExtensions, replaceDefaults: see buildIgnoreRules
+//   since, staged: diff mode, restrict the contents to files changed since a git ref / in the index (see collectGitChanges)
+//   diffContent: in diff mode, 'both' (contents and diff), 'diff' (diff only) or 'full' (contents only)
+//   redact: 'mask' replaces detected secrets with placeholders, 'fail' only reports them, 'off' skips the scan
+//   cache: content cache for document extractions and transcripts (see cache.js); disabled when not given
+//   extractors: extractor registry (see extractors.js); the built-in extractors when not given
+//   detail: 'full' (default), 'skeleton' or 'outline'; how much of each parsable source file is kept (see code_skeleton.js)
+//   dependencyGraph: resolve the imports of the files read into dependencyGraph (default true)
+//   workspaces: detect workspace manifests and build the package index (default true)
+//   package: name or path of a workspace package; only it and the sibling packages it depends on are summarized
+//   packageDependencies: with package, include the packages it depends on (default true)
+//   maxFileSize, maxTotalSize: size limits in bytes for a single file and for all files read (see screenFiles)
+//   concurrency: number of files read and extracted in parallel
+//   fileRecords: Map kept across scans with the same options (see --watch): files found there with an unchanged size
+//     are not read again, and every file read is added. Entries of files that changed must be removed first
+//     (see forgetChangedFiles in project_watcher.js).
+//   onHeader(summary), onFile(file, index): write the summary out incrementally (see getSummaryRenderer).
+//     onHeader gets the model without files (fileCount instead) before reading starts; onFile then gets every file
+//     in traversal order, and the returned model holds no files. Not combinable with maxTokens or tokenReport.
+async function buildSummaryModel(targetDir, options = {}) {
+    const {
+        folderStructureOnly = false,
+        maxTokens = null,
+        model,
+        tokenReport = false,
+        since,
+        staged = false,
+        diffContent = 'both',
+        redact = 'mask',
+        cache,
+        maxFileSize = null,
+        maxTotalSize = null,
+        concurrency = DEFAULT_CONCURRENCY,
+        extractors = createExtractorRegistry(),
+        detail = DEFAULT_DETAIL,
+        dependencyGraph: withDependencyGraph = true,
+        workspaces: withWorkspaces = true,
+        package: packageName = null,
+        packageDependencies = true,
+        fileRecords,
+        onHeader,
+        onFile,
+    } = options;
     const projectName = path.basename(targetDir);
-    let outputBuffer = ''; // Initialize buffer for report content
+    const skeletonizer = detail !== 'full' ? createSkeletonizer({ detail }) : null;
     const textFilesFound = [];
+    const rules = buildIgnoreRules(targetDir, options);
+    const changeSet = (since || staged) ? await collectGitChanges(targetDir, { since, staged }) : null;
+    const gitChanges = changeSet && { description: changeSet.description, deleted: changeSet.deleted };
+    // A package selection limits the scan to the directories of those packages (plus the root files)
+    const detectedWorkspace = (withWorkspaces || packageName !== null) ? detectWorkspace(targetDir) : null;
+    const selectedPackages = packageName !== null ? selectPackages(detectedWorkspace, packageName, { withDependencies: packageDependencies }) : null;
 
     // 1. Folder Structure
-    outputBuffer += `--- Section 1: Folder Structure ---\n`;
-    outputBuffer += `${projectName}\n`;
-    const structure = await traverseDirectory(targetDir, targetDir, textFilesFound);
-    outputBuffer += structure;
+    const tree = { name: projectName, type: 'directory', children: await traverseDirectory(targetDir, targetDir, textFilesFound, rules, extractors, selectedPackages && createPackageScope(selectedPackages, detectedWorkspace.packages)) };
+    if (changeSet) markChangedEntries(tree.children, '', changeSet.changes);
+    const workspace = detectedWorkspace && await measurePackages(
+        selectedPackages ? { ...detectedWorkspace, packages: selectedPackages, focus: selectedPackages[0].name } : detectedWorkspace,
+        targetDir, textFilesFound, concurrency);
 
     if (folderStructureOnly) {
-        return outputBuffer;
+        const structureOnly = { projectName, tree, files: [], fileCount: 0, omitted: [], skipped: [], folderStructureOnly, detail, gitChanges, secretFindings: [], dependencyGraph: null, workspace };
+        if (onHeader) onHeader(structureOnly);
+        return structureOnly;
     }
 
-    // 2. File Contents
-    outputBuffer += `\n--- Section 2: File Contents (${textFilesFound.length} files) ---\n`;
+    // 2. File Contents (only the changed files in diff mode), read by a bounded worker pool.
+    //    Files are finished (redacted, handed to onFile) in traversal order, whatever order the reads complete in.
+    const candidates = changeSet
+        ? textFilesFound.filter(filePath => changeSet.changes.has(path.relative(targetDir, filePath)))
+        : textFilesFound;
+    const { accepted: filesToRead, skipped } = await screenFiles(candidates, targetDir, { maxFileSize, maxTotalSize, concurrency, extractors });
+    markSkippedEntries(tree.children, '', new Map(skipped.map(({ relativePath, reason }) => [relativePath, reason])));
+    if (onHeader) onHeader({ projectName, tree, fileCount: filesToRead.length, omitted: [], skipped, folderStructureOnly, detail, gitChanges, workspace });
 
-    if (textFilesFound.length === 0) {
-        outputBuffer += 'No text files found to display.\n';
-    } else {
-        for (const filePath of textFilesFound) {
-            const relativePath = path.relative(targetDir, filePath);
-            const content = await readFileContent(filePath, targetDir);
-            outputBuffer += `\n--- File: ${relativePath} ---\n`;
-            outputBuffer += content;
-            if (content && !content.endsWith('\n')) outputBuffer += '\n'; // Ensure newline separation
-            outputBuffer += `--- End of File: ${relativePath} ---\n`;
-        }
+    const graphBuilder = withDependencyGraph
+        ? createDependencyGraphBuilder({
+            projectFiles: textFilesFound.map(filePath => path.relative(targetDir, filePath)),
+            packages: detectedWorkspace ? javaScriptPackageEntries(targetDir, detectedWorkspace) : [],
+        })
+        : null;
+    const progress = createProgress({ total: filesToRead.length });
+    // Secrets are scanned before anything leaves the machine (and before token counting, as placeholders change the counts)
+    const redactor = redact !== 'off' ? createRedactor() : null;
+    const files = [];
+    const secretFindings = [];
+    try {
+        await mapWithConcurrency(filesToRead, concurrency, async (entry) => {
+            const change = changeSet ? changeSet.changes.get(path.relative(targetDir, entry.filePath)) : null;
+            const file = await readSummaryFile(entry, targetDir, { change, diffContent, cache, progress, skeletonizer, graphBuilder, fileRecords });
+            progress.fileDone(file.relativePath, file.size);
+            return file;
+        }, {
+            onResult: ({ value: file, error }, index) => {
+                if (error) throw error;
+                if (redactor) {
+                    redactFile(file, redactor, redact === 'mask');
+                    if (file.secrets.length > 0) secretFindings.push({ relativePath: file.relativePath, findings: file.secrets });
+                }
+                if (onFile) progress.interrupt(() => onFile(file, index));
+                else files.push(file);
+            },
+        });
+    } finally {
+        progress.finish();
+    }
+    if (redactor) printSecretReport(secretFindings, redact);
+    const graph = graphBuilder && graphBuilder.build();
+    const dependencyGraph = graph && graph.modules.length > 0 ? graph : null;
+
+    // Fit the contents to the token budget (tokenizing is skipped entirely when neither a budget nor a report is wanted).
+    // Diffs are never trimmed, so they count with the delimiters of their file. The rest is counted as rendered in text.
+    if (!maxTokens && !tokenReport) {
+        return { projectName, tree, files, fileCount: filesToRead.length, omitted: [], skipped, folderStructureOnly, detail, gitChanges, secretFindings, dependencyGraph, workspace };
     }
+    for (const file of files) file.delimiterTokens = countTokens(formatFileBlock({ ...file, content: '' }), model);
+    const text = getSummaryRenderer('text');
+    const sections = { tree, fileCount: files.length, omitted: [], skipped, folderStructureOnly, detail, gitChanges, dependencyGraph, workspace };
+    const budget = fitToBudget(files, {
+        maxTokens,
+        model,
+        fixedTokens: countTokens(text.header(sections) + text.footer(sections), model),
+        omittedHeadingTokens: countTokens(omittedHeading(files.length), model) + 10, // + the count in the Section 2 header
+        omittedTokens: file => countTokens(omittedEntry(file), model),
+    });
+    printTokenReport(budget, maxTokens);
+    return { projectName, tree, files: budget.files, fileCount: filesToRead.length, omitted: budget.omitted, skipped, folderStructureOnly, detail, gitChanges, secretFindings, dependencyGraph, workspace };
+}
+
+// Why a scan would leave the contents of filePath out, checking the rules traverseDirectory applies on the way
+// down to it (the built-in lists, .gitignore/.summarizeignore, include/exclude, symbolic links, which are not
+// followed); null when the scan reads it. options: the ignore options of buildIgnoreRules.
+async function scanExclusionReason(filePath, targetDir, options, extractors) {
+    const rules = buildIgnoreRules(targetDir, options);
+    const parts = path.relative(targetDir, filePath).split(path.sep);
+    let currentPath = targetDir;
+    for (const [index, part] of parts.entries()) {
+        await rules.enterDirectory(currentPath);
+        currentPath = path.join(currentPath, part);
+        const stats = await fsPromises.lstat(currentPath);
+        if (stats.isSymbolicLink()) return 'symbolic link';
+        if (rules.isIgnored(currentPath, index < parts.length - 1)) return 'ignored by .gitignore, .summarizeignore, exclude or the built-in ignore lists';
+    }
+    if (!rules.isIncluded(filePath)) return 'left out by the built-in ignored files or the include patterns';
+    return isTextFile(filePath, rules.nonTextExtensions, extractors) ? null : 'non-text file';
+}
 
-    return outputBuffer; // Return the generated string
+// Read a single file the way Section 2 reads it (see screenFiles and readSummaryFile), without scanning the project.
+// Returns its summary record with secrets masked or only found as for redact in buildSummaryModel,
+// or { relativePath, size, reason } when the scan would leave it out (ignore rules, binary, no extractor).
+// Options: extractors, cache, detail, redact and the ignore options (include, exclude, useIgnoreFiles, ignoredDirs,
+// ignoredFiles, nonTextExtensions, replaceDefaults) as for buildSummaryModel.
+async function readProjectFile(filePath, targetDir, options = {}) {
+    const { extractors = createExtractorRegistry(), cache, detail = DEFAULT_DETAIL, redact = 'mask' } = options;
+    const reason = await scanExclusionReason(filePath, targetDir, options, extractors);
+    if (reason) return { relativePath: path.relative(targetDir, filePath), size: null, reason };
+    const { accepted, skipped } = await screenFiles([filePath], targetDir, { concurrency: 1, extractors });
+    if (accepted.length === 0) return skipped[0];
+    const skeletonizer = detail !== 'full' ? createSkeletonizer({ detail }) : null;
+    const progress = createProgress({ total: 1, interactive: false });
+    const file = await readSummaryFile(accepted[0], targetDir, { cache, progress, skeletonizer });
+    if (redact !== 'off') redactFile(file, createRedactor(), redact === 'mask');
+    return file;
+}
+
+// --- Core Summary Generation Function ---
+// Takes the same options as buildSummaryModel plus `format` (see SUMMARY_FORMATS) and returns the summary string
+async function generateProjectSummary(targetDir, options = {}) {
+    const summaryModel = await buildSummaryModel(targetDir, options);
+    return renderSummary(summaryModel, options.format); // Return the generated string
 }
 
 // Export the function to be used by the new entry point
 module.exports = {
-    generateProjectSummary
+    DEFAULT_CONCURRENCY,
+    generateProjectSummary,
+    buildSummaryModel,
+    readProjectFile
 };
 
 // Removed the original main() execution
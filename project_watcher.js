@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Configuration ---
+// Changes are collected until none has come in for this long, so a save or a branch switch is one rescan
+const DEFAULT_WATCH_DEBOUNCE_MS = 300;
+
+// --- Helper Functions ---
+
+// Relative paths of the directories of a summary tree (see buildSummaryModel), '' for the project root
+function treeDirectories(tree, relativeDir = '') {
+    const dirs = [relativeDir];
+    for (const node of tree.children) {
+        if (node.type === 'directory') dirs.push(...treeDirectories(node, path.join(relativeDir, node.name)));
+    }
+    return dirs;
+}
+
+// Remove the records of changed paths from fileRecords (see buildSummaryModel), including everything below a
+// changed directory, so the next scan reads them again
+function forgetChangedFiles(fileRecords, changedPaths) {
+    for (const relativePath of fileRecords.keys()) {
+        if (changedPaths.some(changed => relativePath === changed || relativePath.startsWith(changed + path.sep))) {
+            fileRecords.delete(relativePath);
+        }
+    }
+}
+
+// --- Watcher ---
+// Watch the directories of a summary tree and call onChange(changedPaths) once no change has come in for
+// debounceMs; changedPaths are the sorted relative paths of the entries created, modified or removed.
+// Only directories in the tree are watched, so whatever the ignore rules leave out (node_modules, build output)
+// never triggers a rescan, while files they exclude inside a watched directory do: onChange must not assume the
+// summary changed. Paths for which ignore(relativePath) is true are dropped.
+// onChange may be async; changes arriving while it runs are passed to the next call, never to one running alongside.
+// Returns { update(tree), close() }: update follows the directories added and removed since, after a rescan.
+function watchProject(targetDir, tree, { debounceMs = DEFAULT_WATCH_DEBOUNCE_MS, ignore = () => false, onChange }) {
+    const watchers = new Map(); // relative directory -> fs.FSWatcher
+    let pending = new Set();
+    let timer = null;
+    let running = false;
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+    }
+
+    async function flush() {
+        if (running || pending.size === 0) return; // Scheduled again when the running call ends
+        const changedPaths = [...pending].sort();
+        pending = new Set();
+        running = true;
+        try {
+            await onChange(changedPaths);
+        } catch (error) {
+            console.error(`\nError while updating the summary: ${error.message}`);
+        } finally {
+            running = false;
+            if (pending.size > 0) schedule();
+        }
+    }
+
+    function record(relativePath) {
+        if (ignore(relativePath)) return;
+        pending.add(relativePath);
+        schedule();
+    }
+
+    function watchDirectory(relativeDir) {
+        const dirPath = path.join(targetDir, relativeDir);
+        let watcher;
+        try {
+            watcher = fs.watch(dirPath, (eventType, fileName) => {
+                // A removed directory reports itself under its own name
+                if (!fileName || !fs.existsSync(dirPath)) record(relativeDir);
+                else record(path.join(relativeDir, fileName.toString()));
+            });
+        } catch {
+            return; // Removed before it could be watched; the parent's watcher reports it
+        }
+        // Raised when the directory itself goes away
+        watcher.on('error', () => {
+            watcher.close();
+            watchers.delete(relativeDir);
+            record(relativeDir);
+        });
+        watchers.set(relativeDir, watcher);
+    }
+
+    function update(newTree) {
+        const dirs = new Set(treeDirectories(newTree));
+        for (const [relativeDir, watcher] of watchers) {
+            if (!dirs.has(relativeDir)) {
+                watcher.close();
+                watchers.delete(relativeDir);
+            }
+        }
+        for (const relativeDir of dirs) {
+            if (!watchers.has(relativeDir)) watchDirectory(relativeDir);
+        }
+    }
+
+    update(tree);
+    return {
+        update,
+        close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_WATCH_DEBOUNCE_MS,
+    watchProject,
+    forgetChangedFiles
+};
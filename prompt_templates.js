@@ -0,0 +1,227 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const YAML = require('yaml');
+const { SUMMARY_FORMATS, formatTree } = require('./summary_formats');
+const { getCurrentBranch } = require('./git_diff');
+const { createRedactor } = require('./secret_scanner');
+
+// --- Configuration ---
+const TEMPLATE_EXTENSIONS = new Set(['.txt', '.md']);
+// Front-matter keys; model, temperature and format apply unless given on the command line
+const FRONT_MATTER_KEYS = ['description', 'model', 'temperature', 'format'];
+// Built-in templates outside custom-templates/: the default --prompt file is "overview"
+const BUILT_IN_TEMPLATE_FILES = { overview: path.join(__dirname, 'prompt_template.txt') };
+// {{NAME}} or {{FILE:path/to/file}}
+const PLACEHOLDER_PATTERN = /\{\{([A-Za-z_][A-Za-z0-9_.-]*)(?::([^{}]+))?\}\}/g;
+// Filled in by the tool; --var cannot override them. {{SUMMARY}} is left for buildPrompt (see llm_processor.js)
+const BUILT_IN_PLACEHOLDERS = ['SUMMARY', 'PROJECT_NAME', 'FILE_TREE', 'GIT_BRANCH', 'FILE'];
+
+// Where named templates are looked up, lowest priority first: a project template overrides a user
+// template of the same name, which overrides a built-in one
+function getTemplateDirs(targetDir, env = process.env) {
+    const dirs = [
+        { source: 'built-in', dir: path.join(__dirname, 'custom-templates') },
+        { source: 'user', dir: path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'summarize', 'templates') },
+    ];
+    if (targetDir) dirs.push({ source: 'project', dir: path.join(targetDir, '.summarize', 'templates') });
+    return dirs;
+}
+
+// --- Helper Functions ---
+
+// "security-audit-prompt.txt" -> "security-audit"
+function templateName(fileName) {
+    return path.basename(fileName, path.extname(fileName)).replace(/-prompt$/, '');
+}
+
+async function listTemplateFiles(dir) {
+    try {
+        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && TEMPLATE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+            .map(entry => path.join(dir, entry.name))
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Error reading template directory "${dir}": ${error.message}`);
+    }
+}
+
+function validateSettings(settings, filePath) {
+    for (const key of Object.keys(settings)) {
+        if (!FRONT_MATTER_KEYS.includes(key)) {
+            console.warn(`Warning: Unknown front-matter key "${key}" in template "${filePath}" is ignored. Known keys: ${FRONT_MATTER_KEYS.join(', ')}.`);
+            delete settings[key];
+        }
+    }
+    if (settings.temperature !== undefined && (typeof settings.temperature !== 'number' || settings.temperature < 0)) {
+        throw new Error(`Invalid temperature "${settings.temperature}" in the front-matter of template "${filePath}".`);
+    }
+    if (settings.format !== undefined && !SUMMARY_FORMATS.includes(settings.format)) {
+        throw new Error(`Invalid format "${settings.format}" in the front-matter of template "${filePath}". Use one of: ${SUMMARY_FORMATS.join(', ')}.`);
+    }
+    if (settings.model !== undefined) settings.model = String(settings.model);
+    return settings;
+}
+
+// Split an optional YAML front-matter block (between `---` lines at the very top) from the template text.
+// A leading `---` block that holds {{SUMMARY}} is part of the prompt, not front-matter.
+function parseFrontMatter(text, filePath) {
+    const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match || match[1].includes('{{SUMMARY}}')) return { settings: {}, body: text };
+    let settings;
+    try {
+        settings = YAML.parse(match[1]);
+    } catch (error) {
+        throw new Error(`Error parsing the front-matter of template "${filePath}": ${error.message}`);
+    }
+    if (settings === null || settings === undefined) settings = {};
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`The front-matter of template "${filePath}" must be a YAML mapping (key: value lines).`);
+    }
+    return { settings: validateSettings(settings, filePath), body: text.slice(match[0].length) };
+}
+
+// --- Loading and Resolving Templates ---
+
+// Read a template file. Returns { name, source, path, settings, body }, settings coming from the front-matter.
+async function loadTemplate(filePath, { name = templateName(filePath), source = 'file' } = {}) {
+    let text;
+    try {
+        text = await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Error reading prompt template file "${filePath}": ${error.message}`);
+    }
+    return { name, source, path: filePath, ...parseFrontMatter(text, filePath) };
+}
+
+// Every named template visible from targetDir, sorted by name: { name, source, path, description, overrides }
+// where overrides lists the sources of the templates it hides
+async function listTemplates(targetDir) {
+    const byName = new Map();
+    for (const { source, dir } of getTemplateDirs(targetDir)) {
+        const files = (await listTemplateFiles(dir)).map(filePath => ({ name: templateName(filePath), filePath }));
+        if (source === 'built-in') {
+            files.unshift(...Object.entries(BUILT_IN_TEMPLATE_FILES).map(([name, filePath]) => ({ name, filePath })));
+        }
+        for (const { name, filePath } of files) {
+            const { settings } = await loadTemplate(filePath, { name, source });
+            const hidden = byName.get(name);
+            byName.set(name, {
+                name,
+                source,
+                path: filePath,
+                description: settings.description || '',
+                overrides: hidden ? [...hidden.overrides, hidden.source] : [],
+            });
+        }
+    }
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Load the template called `name` (see listTemplates)
+async function resolveTemplate(name, targetDir) {
+    const templates = await listTemplates(targetDir);
+    const found = templates.find(template => template.name === name || template.name === templateName(name));
+    if (!found) {
+        const available = templates.map(template => template.name).join(', ') || 'none';
+        throw new Error(`Unknown template "${name}". Available templates: ${available}. Run "summarize templates list" for details.`);
+    }
+    return loadTemplate(found.path, { name: found.name, source: found.source });
+}
+
+// --- Placeholders ---
+
+// Parse --var key=value pairs into { key: value }
+function parseTemplateVars(pairs = []) {
+    const vars = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        const key = separator > 0 ? pair.slice(0, separator).trim() : '';
+        if (!/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(key)) {
+            throw new Error(`Invalid --var "${pair}". Use key=value, e.g. --var AUDIENCE=new-hires.`);
+        }
+        if (BUILT_IN_PLACEHOLDERS.includes(key)) {
+            throw new Error(`--var ${key} is not allowed: {{${key}}} is filled in by summarize itself.`);
+        }
+        vars[key] = pair.slice(separator + 1);
+    }
+    return vars;
+}
+
+// Contents of a {{FILE:path}} include: relative to the project, which it may not leave, and scanned for
+// secrets like the summary itself (masked, or an error with redact 'fail')
+async function readIncludedFile(includePath, targetDir, redactor, redact) {
+    const filePath = path.resolve(targetDir, includePath.trim());
+    const relativePath = path.relative(targetDir, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        throw new Error(`{{FILE:${includePath}}} points outside the project directory.`);
+    }
+    let content;
+    try {
+        content = await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot include {{FILE:${includePath}}}: ${error.message}`);
+    }
+    if (!redactor) return content;
+    const { text, findings } = redactor.redact(content, { mask: redact === 'mask' });
+    if (findings.length > 0 && redact === 'fail') {
+        throw new Error(`{{FILE:${includePath}}} contains potential secrets (${findings.map(finding => `line ${finding.line}: ${finding.label}`).join('; ')}). Aborting because of --redact=fail.`);
+    }
+    return text;
+}
+
+// Names of the {{key}} placeholders of a template body that a --var key=value fills in
+function templateVariables(template) {
+    const names = new Set();
+    for (const [, name, argument] of template.body.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!argument && !BUILT_IN_PLACEHOLDERS.includes(name)) names.add(name);
+    }
+    return [...names];
+}
+
+// Fill in the placeholders of a template body, except {{SUMMARY}} (see buildPrompt) and {{FILE_TREE}}
+// (see fillFileTree), which need the scanned project: {{PROJECT_NAME}}, {{GIT_BRANCH}}, {{FILE:path}}
+// (a project file) and {{key}} for every --var key=value.
+// Placeholders without a value are left as they are, with a warning.
+async function expandTemplate(template, { projectName, targetDir, vars = {}, redact = 'mask' }) {
+    const { body } = template;
+    const redactor = redact !== 'off' ? createRedactor() : null;
+    const values = new Map();
+    for (const [placeholder, name, argument] of body.matchAll(PLACEHOLDER_PATTERN)) {
+        if (values.has(placeholder)) continue;
+        if ((name === 'SUMMARY' || name === 'FILE_TREE') && !argument) {
+            values.set(placeholder, placeholder);
+        } else if (name === 'FILE' && argument) {
+            values.set(placeholder, await readIncludedFile(argument, targetDir, redactor, redact));
+        } else if (name === 'PROJECT_NAME' && !argument) {
+            values.set(placeholder, projectName);
+        } else if (name === 'GIT_BRANCH' && !argument) {
+            values.set(placeholder, (await getCurrentBranch(targetDir)) || '(not a git repository)');
+        } else if (!argument && Object.prototype.hasOwnProperty.call(vars, name)) {
+            values.set(placeholder, vars[name]);
+        } else {
+            console.warn(`Warning: Template "${template.name}" uses ${placeholder}, which has no value; it is left as is. Pass --var ${name}=... to fill it in.`);
+            values.set(placeholder, placeholder);
+        }
+    }
+    return body.replace(PLACEHOLDER_PATTERN, (placeholder) => values.get(placeholder));
+}
+
+// Fill in {{FILE_TREE}} with the folder structure of the summary model's node tree
+function fillFileTree(promptTemplate, tree) {
+    return promptTemplate.replace(/\{\{FILE_TREE\}\}/g, () => formatTree(tree).trimEnd());
+}
+
+module.exports = {
+    getTemplateDirs,
+    loadTemplate,
+    listTemplates,
+    resolveTemplate,
+    parseFrontMatter,
+    parseTemplateVars,
+    templateVariables,
+    expandTemplate,
+    fillFileTree
+};
@@ -0,0 +1,192 @@
+"""Condense a Python module to its skeleton or outline, or list its imports (used by code_skeleton.js).
+
+Usage: python3 python_skeleton.py skeleton|outline|imports < module.py
+
+Prints the condensed module, or for imports a JSON list of
+{"module", "level", "names", "line", "stdlib"} (see dependency_graph.js), to stdout.
+Exits with status 2 when the module does not parse.
+"""
+import ast
+import json
+import sys
+
+# Assignments spanning more lines than this keep only their target (`NAME = ...`)
+LONG_VALUE_LINES = 5
+
+FUNCTION_TYPES = (ast.FunctionDef, ast.AsyncFunctionDef)
+ASSIGNMENT_TYPES = (ast.Assign, ast.AnnAssign, ast.AugAssign)
+
+
+class Source:
+    """The module as byte lines: ast positions are 1-based lines and UTF-8 byte columns."""
+
+    def __init__(self, data):
+        self.lines = data.splitlines(keepends=True)
+
+    def lines_of(self, first, last):
+        return b''.join(self.lines[first - 1:last]).decode('utf-8', 'replace').rstrip()
+
+    def between(self, first_line, end_line, end_col):
+        """From the start of first_line up to (end_line, end_col)."""
+        if first_line == end_line:
+            return self.lines[first_line - 1][:end_col].decode('utf-8', 'replace').rstrip()
+        head = b''.join(self.lines[first_line - 1:end_line - 1])
+        return (head + self.lines[end_line - 1][:end_col]).decode('utf-8', 'replace').rstrip()
+
+
+def first_line(node):
+    decorators = getattr(node, 'decorator_list', [])
+    return decorators[0].lineno if decorators else node.lineno
+
+
+def is_docstring(node):
+    return isinstance(node, ast.Expr) and isinstance(node.value, ast.Constant) and isinstance(node.value.value, str)
+
+
+def is_main_guard(node):
+    test = node.test if isinstance(node, ast.If) else None
+    return (isinstance(test, ast.Compare) and isinstance(test.left, ast.Name) and test.left.id == '__name__')
+
+
+def indentation_of(source, line):
+    text = source.lines[line - 1].decode('utf-8', 'replace')
+    return text[:len(text) - len(text.lstrip())]
+
+
+# --- Skeleton ---
+
+def definition_skeleton(source, node):
+    """The decorators and signature of a def/class, its docstring, then its members (classes) or `...`."""
+    body = node.body
+    header = source.between(first_line(node), body[0].lineno, body[0].col_offset)
+    # A one-line body (`def f(): return 1`) shares the header line, so the body indents one level deeper
+    indent = indentation_of(source, body[0].lineno) if body[0].lineno > node.lineno else indentation_of(source, node.lineno) + '    '
+    parts = [header]
+    members = body
+    if is_docstring(body[0]):
+        parts.append(source.lines_of(body[0].lineno, body[0].end_lineno) if body[0].lineno > node.lineno else indent + ast.unparse(body[0]))
+        members = body[1:]
+    if isinstance(node, ast.ClassDef):
+        member_lines = block_skeleton(source, members)
+        if member_lines:
+            parts.append(member_lines)
+        elif not is_docstring(body[0]):
+            parts.append(indent + '...')
+    else:
+        parts.append(indent + '...')
+    return '\n'.join(parts)
+
+
+def statement_skeleton(source, node):
+    """The skeleton of one module or class level statement, or None when it is left out."""
+    if isinstance(node, (ast.Import, ast.ImportFrom)):
+        return source.lines_of(node.lineno, node.end_lineno)
+    if isinstance(node, FUNCTION_TYPES + (ast.ClassDef,)):
+        return definition_skeleton(source, node)
+    if isinstance(node, ASSIGNMENT_TYPES):
+        if node.end_lineno - node.lineno + 1 <= LONG_VALUE_LINES or node.value is None:
+            return source.lines_of(node.lineno, node.end_lineno)
+        return source.between(node.lineno, node.value.lineno, node.value.col_offset) + ' ...'
+    return None
+
+
+def block_skeleton(source, statements):
+    """Skeletons of a list of statements, separated by blank lines around definitions as in the source."""
+    parts = []
+    previous = None
+    for node in statements:
+        if is_main_guard(node):
+            continue
+        text = statement_skeleton(source, node)
+        if text is None:
+            continue
+        if previous is not None and (first_line(node) > previous.end_lineno + 1 or isinstance(node, FUNCTION_TYPES + (ast.ClassDef,))):
+            parts.append('')
+        parts.append(text)
+        previous = node
+    return '\n'.join(parts)
+
+
+def skeleton(source, tree):
+    statements = tree.body
+    parts = []
+    if statements and is_docstring(statements[0]):
+        parts.append(source.lines_of(statements[0].lineno, statements[0].end_lineno))
+        statements = statements[1:]
+    body = block_skeleton(source, statements)
+    if body:
+        parts.append(body)
+    return '\n\n'.join(parts)
+
+
+# --- Outline ---
+
+def assigned_names(node):
+    targets = node.targets if isinstance(node, ast.Assign) else [node.target]
+    names = []
+    for target in targets:
+        for element in ast.walk(target):
+            if isinstance(element, ast.Name):
+                names.append(element.id)
+    return names
+
+
+def outline_lines(statements, depth):
+    lines = []
+    indent = '  ' * depth
+    for node in statements:
+        if isinstance(node, FUNCTION_TYPES):
+            kind = 'method' if depth > 0 else 'function'
+            prefix = 'async ' if isinstance(node, ast.AsyncFunctionDef) else ''
+            lines.append(f'{indent}{prefix}{kind} {node.name}')
+        elif isinstance(node, ast.ClassDef):
+            lines.append(f'{indent}class {node.name}')
+            lines.extend(outline_lines(node.body, depth + 1))
+        elif isinstance(node, (ast.Assign, ast.AnnAssign)):
+            kind = 'property' if depth > 0 else 'variable'
+            lines.extend(f'{indent}{kind} {name}' for name in assigned_names(node))
+    return lines
+
+
+def outline(tree):
+    return '\n'.join(outline_lines(tree.body, 0))
+
+
+# --- Imports ---
+
+# Top-level names of the standard library (Python 3.10+; older versions report nothing as stdlib)
+STDLIB_MODULES = set(getattr(sys, 'stdlib_module_names', ())) | set(sys.builtin_module_names)
+
+
+def imports(tree):
+    """Every import statement, including those inside functions and conditional blocks."""
+    found = []
+    for node in ast.walk(tree):
+        if isinstance(node, ast.Import):
+            for alias in node.names:
+                found.append({'module': alias.name, 'level': 0, 'names': [], 'line': node.lineno})
+        elif isinstance(node, ast.ImportFrom):
+            names = [alias.name for alias in node.names]
+            found.append({'module': node.module or '', 'level': node.level, 'names': names, 'line': node.lineno})
+    for entry in found:
+        entry['stdlib'] = entry['level'] == 0 and entry['module'].split('.')[0] in STDLIB_MODULES
+    return json.dumps(sorted(found, key=lambda entry: entry['line']))
+
+
+def main():
+    mode = sys.argv[1] if len(sys.argv) > 1 else 'skeleton'
+    data = sys.stdin.buffer.read()
+    try:
+        tree = ast.parse(data)
+    except (SyntaxError, ValueError) as error:
+        sys.stderr.write(f'{error}\n')
+        sys.exit(2)
+    if mode == 'imports':
+        text = imports(tree)
+    else:
+        text = skeleton(Source(data), tree) if mode == 'skeleton' else outline(tree)
+    sys.stdout.buffer.write((text + '\n').encode('utf-8'))
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const JSZip = require('jszip');
+
+const execFilePromise = util.promisify(execFile);
+const gunzip = util.promisify(zlib.gunzip);
+
+// --- Configuration ---
+// Inputs other than a plain directory: archives and git sources are unpacked into a temporary snapshot directory,
+// which is summarized like any project and removed when the process exits
+const ARCHIVE_TYPES = [
+    { suffix: '.tar.gz', kind: 'tar.gz' },
+    { suffix: '.tgz', kind: 'tar.gz' },
+    { suffix: '.tar', kind: 'tar' },
+    { suffix: '.zip', kind: 'zip' },
+];
+const GIT_URL_PATTERN = /^(?:file|git):\/\//i;
+// `git archive` output is held in memory while it is unpacked
+const GIT_ARCHIVE_MAX_BUFFER = 1024 * 1024 * 1024;
+const TAR_BLOCK_SIZE = 512;
+
+// --- Helper Functions ---
+
+function archiveType(inputPath) {
+    const lowerCase = inputPath.toLowerCase();
+    return ARCHIVE_TYPES.find(({ suffix }) => lowerCase.endsWith(suffix)) || null;
+}
+
+// Archive entry paths are untrusted: absolute paths and `..` segments would escape the snapshot directory
+function safeEntryPath(rootDir, entryName) {
+    const segments = entryName.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+    if (segments.length === 0) return null;
+    if (segments.includes('..') || /^[a-zA-Z]:$/.test(segments[0])) {
+        throw new Error(`Archive entry "${entryName}" points outside the archive.`);
+    }
+    return path.join(rootDir, ...segments);
+}
+
+async function writeEntry(rootDir, entryName, data) {
+    const targetPath = safeEntryPath(rootDir, entryName);
+    if (!targetPath) return;
+    await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fsPromises.writeFile(targetPath, data);
+}
+
+async function makeEntryDirectory(rootDir, entryName) {
+    const targetPath = safeEntryPath(rootDir, entryName);
+    if (targetPath) await fsPromises.mkdir(targetPath, { recursive: true });
+}
+
+// --- Tar ---
+
+function readString(buffer, start, length) {
+    const field = buffer.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+// Sizes are octal text, or base-256 (high bit set) for files of 8 GB and more
+function readSize(buffer, start) {
+    if (buffer[start] & 0x80) {
+        let size = 0;
+        for (let i = start + 1; i < start + 12; i++) size = size * 256 + buffer[i];
+        return size;
+    }
+    return parseInt(readString(buffer, start, 12).trim() || '0', 8);
+}
+
+// pax extended header records: "<length> <key>=<value>\n"
+function parsePaxHeader(data) {
+    const values = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        if (space === -1) break;
+        const length = parseInt(data.subarray(offset, space).toString('utf8'), 10);
+        if (!length) break;
+        const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+        const equals = record.indexOf('=');
+        if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+    return values;
+}
+
+// Unpack a tar archive (ustar, GNU long names and pax paths) into rootDir. Links and special files are skipped.
+async function extractTar(buffer, rootDir) {
+    let offset = 0;
+    let nextName = null;
+    while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break; // End-of-archive marker
+        const size = readSize(header, 124);
+        const type = String.fromCharCode(header[156] || 0x30);
+        const dataStart = offset + TAR_BLOCK_SIZE;
+        const data = buffer.subarray(dataStart, dataStart + size);
+        offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+        if (type === 'L') {
+            nextName = readString(data, 0, data.length);
+            continue;
+        }
+        if (type === 'x') {
+            nextName = parsePaxHeader(data).path || nextName;
+            continue;
+        }
+        if (type === 'g') continue; // Global pax header (git archive stores the commit id there)
+
+        const prefix = readString(header, 345, 155);
+        const name = nextName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+        nextName = null;
+        if (type === '0' || type === '7') await writeEntry(rootDir, name, data);
+        else if (type === '5') await makeEntryDirectory(rootDir, name);
+    }
+}
+
+// --- Zip ---
+
+async function extractZip(buffer, rootDir) {
+    const zip = await JSZip.loadAsync(buffer);
+    for (const entry of Object.values(zip.files)) {
+        // Unix symlinks are stored as files whose content is the target; skip them like tar links
+        const unixMode = entry.unixPermissions ? entry.unixPermissions >>> 0 : 0;
+        if ((unixMode & 0o170000) === 0o120000) continue;
+        if (entry.dir) await makeEntryDirectory(rootDir, entry.name);
+        else await writeEntry(rootDir, entry.name, await entry.async('nodebuffer'));
+    }
+}
+
+// --- Git ---
+
+async function runGit(args, cwd) {
+    const { stdout } = await execFilePromise('git', args, { cwd, encoding: 'buffer', maxBuffer: GIT_ARCHIVE_MAX_BUFFER });
+    return stdout;
+}
+
+async function gitText(args, cwd) {
+    return (await runGit(args, cwd)).toString('utf8').trim();
+}
+
+// Export a commit of a repository into rootDir with `git archive`, leaving the working tree and index alone.
+// Run from a subdirectory of a repository, only that subdirectory is exported.
+// repoLabel names the repository in errors.
+async function exportGitRef(repoDir, ref, rootDir, repoLabel) {
+    let commit;
+    try {
+        commit = await gitText(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoDir);
+    } catch {
+        throw new Error(`"${ref}" is not a commit, tag or branch of ${repoLabel}.`);
+    }
+    await extractTar(await runGit(['archive', '--format=tar', commit], repoDir), rootDir);
+    return commit;
+}
+
+function repositoryName(url) {
+    const trimmed = url.replace(/[\\/]+$/, '');
+    return path.basename(trimmed).replace(/\.git$/i, '') || 'repository';
+}
+
+// --- Snapshot Sources ---
+
+async function createTempDir() {
+    return fsPromises.mkdtemp(path.join(os.tmpdir(), 'summarize-'));
+}
+
+// A release tarball usually holds one top-level folder; summarize that folder instead of a wrapper around it
+async function unwrapSingleDirectory(dir) {
+    const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory()) return path.join(dir, entries[0].name);
+    return dir;
+}
+
+async function openArchive(archivePath, { kind, suffix }, tempDir) {
+    const name = path.basename(archivePath).slice(0, -suffix.length) || 'archive';
+    const rootDir = path.join(tempDir, name);
+    await fsPromises.mkdir(rootDir);
+    const buffer = await fsPromises.readFile(archivePath);
+    try {
+        if (kind === 'zip') await extractZip(buffer, rootDir);
+        else await extractTar(kind === 'tar.gz' ? await gunzip(buffer) : buffer, rootDir);
+    } catch (error) {
+        throw new Error(`Could not unpack ${archivePath}: ${error.message}`);
+    }
+    return { dir: await unwrapSingleDirectory(rootDir), description: `archive ${path.basename(archivePath)}` };
+}
+
+async function openGitUrl(url, ref, tempDir) {
+    const name = repositoryName(url);
+    const cloneDir = path.join(tempDir, `${name}.git`);
+    try {
+        await runGit(['clone', '--quiet', '--bare', url, cloneDir], tempDir);
+    } catch (error) {
+        const reason = error.stderr ? error.stderr.toString().trim().split('\n')[0].replace(/^fatal: /, '') : error.message;
+        throw new Error(`Could not clone ${url}: ${reason}`);
+    }
+    const rootDir = path.join(tempDir, name);
+    await fsPromises.mkdir(rootDir);
+    const commit = await exportGitRef(cloneDir, ref || 'HEAD', rootDir, url);
+    return { dir: rootDir, description: `${url} at ${ref || 'HEAD'} (${commit.slice(0, 12)})` };
+}
+
+async function openGitRef(repoDir, ref, tempDir) {
+    try {
+        await gitText(['rev-parse', '--git-dir'], repoDir);
+    } catch {
+        throw new Error(`--ref needs a git repository, but ${repoDir} is not inside one.`);
+    }
+    const rootDir = path.join(tempDir, path.basename(repoDir));
+    await fsPromises.mkdir(rootDir);
+    const commit = await exportGitRef(repoDir, ref, rootDir, `the repository at ${repoDir}`);
+    return { dir: rootDir, description: `${path.basename(repoDir)} at ${ref} (${commit.slice(0, 12)})` };
+}
+
+// Remove the snapshot when the process exits, including on a Ctrl+C or SIGTERM that nothing else handles
+// (the report server and the file picker keep running until then)
+function removeOnExit(tempDir) {
+    const remove = () => fs.rmSync(tempDir, { recursive: true, force: true });
+    const signalHandlers = Object.entries({ SIGINT: 130, SIGTERM: 143 }).map(([signal, exitCode]) => {
+        const handler = () => {
+            if (process.listenerCount(signal) === 1) process.exit(exitCode);
+        };
+        process.on(signal, handler);
+        return [signal, handler];
+    });
+    process.once('exit', remove);
+    return () => {
+        process.removeListener('exit', remove);
+        for (const [signal, handler] of signalHandlers) process.removeListener(signal, handler);
+        remove();
+    };
+}
+
+// Resolve the <directory> argument to the directory to summarize. Returns { dir, snapshot, description, cleanup }:
+//   - a directory without ref: dir is that directory itself (snapshot false)
+//   - a .zip, .tar.gz/.tgz or .tar archive: unpacked into a temporary directory
+//   - a directory with ref: that commit, tag or branch of its git repository, exported with `git archive`
+//   - a file:// or git:// URL: cloned (bare) into a temporary directory, then ref (default HEAD) exported
+// Snapshots live in the OS temp directory until cleanup() is called or the process exits.
+async function openSource(input, { ref } = {}) {
+    const isUrl = GIT_URL_PATTERN.test(input);
+    const inputPath = isUrl ? null : path.resolve(input);
+    let stats = null;
+    if (inputPath) {
+        try {
+            stats = await fsPromises.stat(inputPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`Directory not found: ${inputPath}`);
+            throw new Error(`Could not access ${inputPath}: ${error.message}`);
+        }
+    }
+
+    if (stats && stats.isDirectory() && !ref) {
+        return { dir: inputPath, snapshot: false, description: null, cleanup: () => {} };
+    }
+    const archive = stats && stats.isFile() ? archiveType(inputPath) : null;
+    if (stats && !stats.isDirectory() && !archive) {
+        throw new Error(`Provided path is not a directory or a .zip/.tar.gz archive: ${inputPath}`);
+    }
+    if (archive && ref) {
+        throw new Error('--ref selects a commit of a git repository and cannot be used with an archive.');
+    }
+
+    const tempDir = await createTempDir();
+    const cleanup = removeOnExit(tempDir);
+    try {
+        const opened = isUrl
+            ? await openGitUrl(input, ref, tempDir)
+            : archive
+                ? await openArchive(inputPath, archive, tempDir)
+                : await openGitRef(inputPath, ref, tempDir);
+        return { ...opened, snapshot: true, cleanup };
+    } catch (error) {
+        cleanup();
+        throw error;
+    }
+}
+
+module.exports = {
+    openSource
+};
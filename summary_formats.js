@@ -0,0 +1,468 @@
+const path = require('path');
+const { formatAdjacencyList, formatCycle, describeGraph, toMermaid } = require('./dependency_graph');
+const { describeWorkspaceKind } = require('./workspaces');
+const { formatBytes } = require('./progress');
+
+// --- Configuration ---
+const SUMMARY_FORMATS = ['text', 'markdown', 'json', 'xml'];
+const DEFAULT_FORMAT = 'text';
+
+// --- Helper Functions ---
+
+function toPosixPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+// " [modified]", " [renamed from old/path]" etc. for entries changed in diff mode
+function changeLabel({ change, previousPath }) {
+    if (!change) return '';
+    return previousPath ? ` [${change} from ${toPosixPath(previousPath)}]` : ` [${change}]`;
+}
+
+// " [skipped: binary]" etc. for files whose contents were left out
+function skipLabel({ skipped }) {
+    return skipped ? ` [skipped: ${skipped}]` : '';
+}
+
+// Render a node tree ({ name, type, children }) as the familiar ├──/└── listing
+function formatTree(tree) {
+    let output = `${tree.name}\n`;
+    const walk = (nodes, prefix) => {
+        nodes.forEach((node, index) => {
+            const isLast = index === nodes.length - 1;
+            const connector = isLast ? '└── ' : '├── ';
+            output += `${prefix}${connector}${node.name}${changeLabel(node)}${skipLabel(node)}\n`;
+            if (node.children) {
+                walk(node.children, prefix + (isLast ? '    ' : '│   ')); // Use consistent spacing
+            }
+        });
+    };
+    walk(tree.children || [], '');
+    return output;
+}
+
+// "3 packages: pnpm workspace" for the package index heading of a workspace (see detectWorkspace in workspaces.js)
+function describeWorkspace(workspace) {
+    const kinds = workspace.manifests.map(({ kind }) => describeWorkspaceKind(kind)).join(', ');
+    return `${workspace.packages.length} package${workspace.packages.length === 1 ? '' : 's'}: ${kinds}`;
+}
+
+function packageLocation(pkg) {
+    return pkg.path || '.';
+}
+
+// --- Text Format (default) ---
+
+function formatFolderStructure(tree) {
+    return `--- Section 1: Folder Structure ---\n${formatTree(tree)}`;
+}
+
+function fileHeader(relativePath) {
+    return `\n--- File: ${relativePath} ---\n`;
+}
+
+function fileFooter(relativePath) {
+    return `--- End of File: ${relativePath} ---\n`;
+}
+
+// The unified diff of a changed file (diff mode), placed after its contents
+function formatDiffBlock({ relativePath, change, diff }) {
+    return `--- Diff (${change}): ${relativePath} ---\n` + (diff.endsWith('\n') ? diff : diff + '\n');
+}
+
+// The package index of a workspace, placed after the folder structure: one line per package with its size and
+// the sibling packages it depends on
+function formatPackageIndex(workspace) {
+    const nameWidth = Math.max(...workspace.packages.map(pkg => pkg.name.length));
+    const pathWidth = Math.max(...workspace.packages.map(pkg => packageLocation(pkg).length));
+    const sizes = workspace.packages.map(pkg => `${pkg.fileCount} file${pkg.fileCount === 1 ? '' : 's'}, ${formatBytes(pkg.size)}`);
+    const sizeWidth = Math.max(...sizes.map(size => size.length));
+    let output = `\n--- Package Index (${describeWorkspace(workspace)}) ---\n`;
+    if (workspace.focus) output += `Selected package: ${workspace.focus}${workspace.packages.length > 1 ? ' and the packages it depends on' : ''}\n`;
+    workspace.packages.forEach((pkg, index) => {
+        const dependsOn = pkg.dependsOn.length > 0 ? `  depends on: ${pkg.dependsOn.join(', ')}` : '';
+        output += `${pkg.name.padEnd(nameWidth)}  ${packageLocation(pkg).padEnd(pathWidth)}  ${dependsOn ? sizes[index].padEnd(sizeWidth) : sizes[index]}${dependsOn}\n`;
+    });
+    return output;
+}
+
+// Section 3: the module dependency graph (see dependency_graph.js) as an adjacency list, its cycles and a Mermaid flowchart
+function formatDependencyGraph(graph) {
+    let output = `\n--- Section 3: Dependency Graph (${describeGraph(graph)}) ---\n${formatAdjacencyList(graph)}`;
+    if (graph.cycles.length > 0) {
+        output += `\nImport cycles:\n${graph.cycles.map(cycle => `${formatCycle(cycle)}\n`).join('')}`;
+    }
+    return output + `\nMermaid:\n${toMermaid(graph)}`;
+}
+
+function formatFileBlock(file) {
+    const { relativePath, content } = file;
+    let block = fileHeader(relativePath) + content;
+    if (content && !content.endsWith('\n')) block += '\n'; // Ensure newline separation
+    if (file.diff) block += formatDiffBlock(file);
+    return block + fileFooter(relativePath);
+}
+
+// The listing of the files dropped to fit the token budget, in parts so fitToBudget can count it as it drops them
+function omittedHeading(count) {
+    return `\n--- Omitted to fit the token budget (${count} files) ---\n`;
+}
+
+function omittedEntry(file) {
+    return `${file.relativePath} (${file.originalTokens} tokens)\n`;
+}
+
+// Every format is rendered in three parts so large summaries can be written out file by file (see renderSummary):
+//   header(summary): everything before the first file; summary carries fileCount instead of files
+//   file(file, index): one file
+//   footer(summary): everything after the last file (omitted, skipped and deleted files)
+
+// Section 2 heading note for a summary condensed to skeletons or outlines (see code_skeleton.js)
+function detailNote(detail) {
+    return detail && detail !== 'full' ? `, ${detail} detail` : '';
+}
+
+function textHeader({ tree, fileCount, omitted = [], skipped = [], folderStructureOnly = false, detail, gitChanges = null, workspace = null }) {
+    let outputBuffer = formatFolderStructure(tree);
+    if (workspace) outputBuffer += formatPackageIndex(workspace);
+    if (folderStructureOnly) {
+        return outputBuffer;
+    }
+
+    const omittedNote = omitted.length > 0 ? `, ${omitted.length} omitted to fit the token budget` : '';
+    const skippedNote = skipped.length > 0 ? `, ${skipped.length} skipped` : '';
+    const countLabel = gitChanges ? `${fileCount} changed files, ${gitChanges.description}` : `${fileCount} files`;
+    outputBuffer += `\n--- Section 2: File Contents (${countLabel}${detailNote(detail)}${omittedNote}${skippedNote}) ---\n`;
+    if (fileCount === 0) {
+        outputBuffer += 'No text files found to display.\n';
+    }
+    return outputBuffer;
+}
+
+function textFooter({ omitted = [], skipped = [], folderStructureOnly = false, gitChanges = null, dependencyGraph = null }) {
+    let outputBuffer = '';
+    if (folderStructureOnly) {
+        return outputBuffer;
+    }
+
+    if (omitted.length > 0) {
+        outputBuffer += omittedHeading(omitted.length) + omitted.map(omittedEntry).join('');
+    }
+
+    if (skipped.length > 0) {
+        outputBuffer += `\n--- Skipped files (${skipped.length}) ---\n`;
+        outputBuffer += skipped.map(file => `${file.relativePath} (${file.reason})\n`).join('');
+    }
+
+    if (gitChanges && gitChanges.deleted.length > 0) {
+        outputBuffer += `\n--- Deleted files (${gitChanges.deleted.length}) ---\n`;
+        outputBuffer += gitChanges.deleted.map(relativePath => `${relativePath}\n`).join('');
+    }
+
+    if (dependencyGraph) outputBuffer += formatDependencyGraph(dependencyGraph);
+    return outputBuffer;
+}
+
+// --- Markdown Format ---
+
+// A fence longer than any backtick run inside the content, so the content can never close it
+function codeFence(content) {
+    const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+// Table cells may not contain pipes or line breaks
+function markdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownPackageIndex(workspace) {
+    let output = `\n## Package Index (${describeWorkspace(workspace)})\n\n`;
+    if (workspace.focus) output += `Selected package: \`${workspace.focus}\`${workspace.packages.length > 1 ? ' and the packages it depends on' : ''}.\n\n`;
+    output += '| Package | Path | Depends on | Files | Size |\n| --- | --- | --- | ---: | ---: |\n';
+    for (const pkg of workspace.packages) {
+        const dependsOn = pkg.dependsOn.map(name => `\`${markdownCell(name)}\``).join(', ') || '—';
+        output += `| \`${markdownCell(pkg.name)}\` | \`${markdownCell(packageLocation(pkg))}\` | ${dependsOn} | ${pkg.fileCount} | ${formatBytes(pkg.size)} |\n`;
+    }
+    return output;
+}
+
+function markdownHeader({ projectName, tree, fileCount, folderStructureOnly = false, detail, gitChanges = null, workspace = null }) {
+    let output = `# Project Summary: ${projectName}\n\n## Folder Structure\n\n\`\`\`text\n${formatTree(tree)}\`\`\`\n`;
+    if (workspace) output += markdownPackageIndex(workspace);
+    if (folderStructureOnly) {
+        return output;
+    }
+
+    output += gitChanges
+        ? `\n## Changed Files (${fileCount} files, ${gitChanges.description}${detailNote(detail)})\n`
+        : `\n## File Contents (${fileCount} files${detailNote(detail)})\n`;
+    if (fileCount === 0) {
+        output += '\nNo text files found to display.\n';
+    }
+    return output;
+}
+
+function markdownFile(file) {
+    const content = file.content.endsWith('\n') ? file.content : file.content + '\n';
+    const fence = codeFence(content);
+    let output = `\n### \`${toPosixPath(file.relativePath)}\`${changeLabel(file)}\n\n`;
+    if (file.extraction && file.extraction !== 'text') output += `_Extracted with ${file.extraction}._\n\n`;
+    if (file.detail) output += file.detail === 'outline' ? '_Outline: symbol names only._\n\n' : '_Skeleton: bodies elided._\n\n';
+    if (file.error) output += `> **Error:** ${file.error}\n\n`;
+    output += `${fence}${file.language || ''}\n${content}${fence}\n`;
+    if (file.diff) {
+        const diff = file.diff.endsWith('\n') ? file.diff : file.diff + '\n';
+        const diffFence = codeFence(diff);
+        output += `\n${diffFence}diff\n${diff}${diffFence}\n`;
+    }
+    return output;
+}
+
+// The dependency graph section of the Markdown format; also the page shown by --show-graph
+function markdownDependencyGraph(graph) {
+    const adjacency = formatAdjacencyList(graph);
+    const fence = codeFence(adjacency);
+    let output = `\n## Dependency Graph (${describeGraph(graph)})\n\n${fence}text\n${adjacency}${fence}\n`;
+    if (graph.cycles.length > 0) {
+        output += `\n**Import cycles:**\n\n${graph.cycles.map(cycle => `- ${cycle.map(modulePath => `\`${modulePath}\``).join(' → ')}`).join('\n')}\n`;
+    }
+    return output + `\n\`\`\`mermaid\n${toMermaid(graph)}\`\`\`\n`;
+}
+
+function markdownFooter({ omitted = [], skipped = [], folderStructureOnly = false, gitChanges = null, dependencyGraph = null }) {
+    let output = '';
+    if (folderStructureOnly) {
+        return output;
+    }
+
+    if (omitted.length > 0) {
+        output += `\n## Omitted to Fit the Token Budget (${omitted.length} files)\n\n`;
+        output += omitted.map(file => `- \`${toPosixPath(file.relativePath)}\` (${file.originalTokens} tokens)`).join('\n') + '\n';
+    }
+    if (skipped.length > 0) {
+        output += `\n## Skipped Files (${skipped.length})\n\n`;
+        output += skipped.map(file => `- \`${toPosixPath(file.relativePath)}\` (${file.reason})`).join('\n') + '\n';
+    }
+    if (gitChanges && gitChanges.deleted.length > 0) {
+        output += `\n## Deleted Files (${gitChanges.deleted.length})\n\n`;
+        output += gitChanges.deleted.map(relativePath => `- \`${toPosixPath(relativePath)}\``).join('\n') + '\n';
+    }
+    if (dependencyGraph) output += markdownDependencyGraph(dependencyGraph);
+    return output;
+}
+
+// --- JSON Format ---
+
+function toFileRecord(file) {
+    const record = {
+        path: toPosixPath(file.relativePath),
+        size: file.size,
+        language: file.language || null,
+        extraction: file.extraction,
+        error: file.error || null,
+    };
+    if (file.encoding) record.encoding = file.encoding;
+    if (file.detail) record.detail = file.detail;
+    if (file.metadata) record.metadata = file.metadata;
+    if (file.warnings) record.warnings = file.warnings;
+    if (file.truncated !== undefined) {
+        record.tokens = file.tokens;
+        record.truncated = file.truncated;
+    }
+    if (file.change) {
+        record.change = file.change;
+        record.previousPath = file.previousPath ? toPosixPath(file.previousPath) : null;
+    }
+    if (file.secrets && file.secrets.length > 0) {
+        record.secrets = file.secrets.map(({ rule, line, placeholder, source }) => ({ rule, line, placeholder, ...(source ? { source } : {}) }));
+    }
+    record.content = file.content;
+    if (file.diff) record.diff = file.diff;
+    return record;
+}
+
+// JSON.stringify(value, null, 2) nested `depth` levels deep
+function indentedJson(value, depth) {
+    return JSON.stringify(value, null, 2).replace(/\n/g, '\n' + '  '.repeat(depth));
+}
+
+// Written piecewise, so the result matches JSON.stringify(document, null, 2) of
+// { project, tree, workspace?, detail?, changes?, files, omitted, skipped, dependencyGraph? } without holding every file at once
+function jsonHeader({ projectName, tree, folderStructureOnly = false, detail, gitChanges = null, workspace = null }) {
+    let output = `{\n  "project": ${JSON.stringify(projectName)},\n  "tree": ${indentedJson(tree, 1)}`;
+    if (workspace) output += `,\n  "workspace": ${indentedJson(workspace, 1)}`;
+    if (detail && detail !== 'full') output += `,\n  "detail": ${JSON.stringify(detail)}`;
+    if (gitChanges) {
+        const changes = { description: gitChanges.description, deleted: gitChanges.deleted.map(toPosixPath) };
+        output += `,\n  "changes": ${indentedJson(changes, 1)}`;
+    }
+    if (!folderStructureOnly) output += ',\n  "files": [';
+    return output;
+}
+
+function jsonFile(file, index) {
+    return `${index > 0 ? ',' : ''}\n    ${indentedJson(toFileRecord(file), 2)}`;
+}
+
+function jsonFooter({ fileCount, omitted = [], skipped = [], folderStructureOnly = false, dependencyGraph = null }) {
+    if (folderStructureOnly) {
+        return '\n}\n';
+    }
+    const omittedRecords = omitted.map(file => ({ path: toPosixPath(file.relativePath), tokens: file.originalTokens }));
+    const skippedRecords = skipped.map(file => ({ path: toPosixPath(file.relativePath), size: file.size, reason: file.reason }));
+    let output = `${fileCount > 0 ? '\n  ' : ''}],\n  "omitted": ${indentedJson(omittedRecords, 1)},\n  "skipped": ${indentedJson(skippedRecords, 1)}`;
+    if (dependencyGraph) output += `,\n  "dependencyGraph": ${indentedJson({ ...dependencyGraph, mermaid: toMermaid(dependencyGraph) }, 1)}`;
+    return output + '\n}\n';
+}
+
+// --- XML Format ---
+
+function escapeXmlAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// CDATA keeps file contents readable; `]]>` is split across two sections and XML-illegal control characters are dropped
+function cdata(text) {
+    const clean = text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    return `<![CDATA[${clean.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function xmlPackageIndex(workspace) {
+    const manifests = workspace.manifests.map(({ manifest }) => manifest).join(' ');
+    const focusAttribute = workspace.focus ? ` focus="${escapeXmlAttribute(workspace.focus)}"` : '';
+    let output = `<workspace description="${escapeXmlAttribute(describeWorkspace(workspace))}" manifests="${escapeXmlAttribute(manifests)}"${focusAttribute}>\n`;
+    for (const pkg of workspace.packages) {
+        output += `<package name="${escapeXmlAttribute(pkg.name)}" path="${escapeXmlAttribute(packageLocation(pkg))}" kind="${pkg.kind}" files="${pkg.fileCount}" size="${pkg.size}">\n`;
+        output += pkg.dependsOn.map(name => `<depends_on name="${escapeXmlAttribute(name)}"/>\n`).join('');
+        output += `</package>\n`;
+    }
+    return output + `</workspace>\n`;
+}
+
+function xmlHeader({ projectName, tree, fileCount, folderStructureOnly = false, detail, gitChanges = null, workspace = null }) {
+    let output = `<?xml version="1.0" encoding="UTF-8"?>\n<project name="${escapeXmlAttribute(projectName)}">\n`;
+    output += `<folder_structure>\n${cdata(formatTree(tree))}\n</folder_structure>\n`;
+    if (workspace) output += xmlPackageIndex(workspace);
+    if (!folderStructureOnly) {
+        const changesAttribute = gitChanges ? ` changes="${escapeXmlAttribute(gitChanges.description)}"` : '';
+        const detailAttribute = detail && detail !== 'full' ? ` detail="${detail}"` : '';
+        output += `<files count="${fileCount}"${detailAttribute}${changesAttribute}>\n`;
+    }
+    return output;
+}
+
+function xmlFile(file) {
+    const attributes = [
+        `path="${escapeXmlAttribute(toPosixPath(file.relativePath))}"`,
+        file.language ? `language="${escapeXmlAttribute(file.language)}"` : '',
+        file.size !== undefined ? `size="${file.size}"` : '',
+        `extraction="${escapeXmlAttribute(file.extraction)}"`,
+        file.encoding ? `encoding="${escapeXmlAttribute(file.encoding)}"` : '',
+        file.detail ? `detail="${file.detail}"` : '',
+        file.truncated ? 'truncated="true"' : '',
+        file.error ? `error="${escapeXmlAttribute(file.error)}"` : '',
+        file.change ? `change="${file.change}"` : '',
+        file.previousPath ? `previous_path="${escapeXmlAttribute(toPosixPath(file.previousPath))}"` : '',
+    ].filter(Boolean).join(' ');
+    let output = `<file ${attributes}>\n${cdata(file.content)}\n</file>\n`;
+    if (file.diff) {
+        output += `<diff path="${escapeXmlAttribute(toPosixPath(file.relativePath))}" change="${file.change}">\n${cdata(file.diff)}\n</diff>\n`;
+    }
+    return output;
+}
+
+function xmlDependencyGraph(graph) {
+    let output = `<dependency_graph description="${escapeXmlAttribute(describeGraph(graph))}">\n`;
+    for (const entry of graph.modules) {
+        output += `<module path="${escapeXmlAttribute(entry.path)}">\n`;
+        output += entry.imports.map(target => `<import path="${escapeXmlAttribute(target)}"/>\n`).join('');
+        output += entry.external.map(name => `<external name="${escapeXmlAttribute(name)}"/>\n`).join('');
+        output += entry.builtin.map(name => `<builtin name="${escapeXmlAttribute(name)}"/>\n`).join('');
+        output += entry.unresolved.map(specifier => `<unresolved specifier="${escapeXmlAttribute(specifier)}"/>\n`).join('');
+        output += `</module>\n`;
+    }
+    output += graph.cycles.map(cycle => `<cycle>${escapeXmlAttribute(formatCycle(cycle))}</cycle>\n`).join('');
+    return output + `<mermaid>\n${cdata(toMermaid(graph))}\n</mermaid>\n</dependency_graph>\n`;
+}
+
+function xmlFooter({ omitted = [], skipped = [], folderStructureOnly = false, gitChanges = null, dependencyGraph = null }) {
+    let output = '';
+    if (!folderStructureOnly) {
+        output += `</files>\n`;
+        if (omitted.length > 0) {
+            output += `<omitted reason="token budget">\n`;
+            for (const file of omitted) {
+                output += `<file path="${escapeXmlAttribute(toPosixPath(file.relativePath))}" tokens="${file.originalTokens}"/>\n`;
+            }
+            output += `</omitted>\n`;
+        }
+        if (skipped.length > 0) {
+            output += `<skipped>\n`;
+            for (const file of skipped) {
+                output += `<file path="${escapeXmlAttribute(toPosixPath(file.relativePath))}" size="${file.size}" reason="${escapeXmlAttribute(file.reason)}"/>\n`;
+            }
+            output += `</skipped>\n`;
+        }
+        if (gitChanges && gitChanges.deleted.length > 0) {
+            output += `<deleted>\n`;
+            for (const relativePath of gitChanges.deleted) {
+                output += `<file path="${escapeXmlAttribute(toPosixPath(relativePath))}"/>\n`;
+            }
+            output += `</deleted>\n`;
+        }
+        if (dependencyGraph) output += xmlDependencyGraph(dependencyGraph);
+    }
+    return output + `</project>\n`;
+}
+
+// --- Dispatcher ---
+
+const RENDERERS = {
+    text: { header: textHeader, file: formatFileBlock, footer: textFooter },
+    markdown: { header: markdownHeader, file: markdownFile, footer: markdownFooter },
+    json: { header: jsonHeader, file: jsonFile, footer: jsonFooter },
+    xml: { header: xmlHeader, file: xmlFile, footer: xmlFooter },
+};
+
+// The { header, file, footer } renderer of a format, for writing a summary piece by piece
+function getSummaryRenderer(format = DEFAULT_FORMAT) {
+    const renderer = RENDERERS[format];
+    if (!renderer) {
+        throw new Error(`Unknown summary format "${format}". Available formats: ${SUMMARY_FORMATS.join(', ')}.`);
+    }
+    return renderer;
+}
+
+// Render a summary model (see buildSummaryModel) in one of SUMMARY_FORMATS
+function renderSummary(model, format = DEFAULT_FORMAT) {
+    const renderer = getSummaryRenderer(format);
+    const summary = { ...model, fileCount: model.files.length };
+    let output = renderer.header(summary);
+    if (!model.folderStructureOnly) {
+        model.files.forEach((file, index) => { output += renderer.file(file, index); });
+    }
+    return output + renderer.footer(summary);
+}
+
+module.exports = {
+    SUMMARY_FORMATS,
+    DEFAULT_FORMAT,
+    formatTree,
+    formatFolderStructure,
+    fileHeader,
+    fileFooter,
+    formatDiffBlock,
+    formatFileBlock,
+    formatDependencyGraph,
+    formatPackageIndex,
+    omittedHeading,
+    omittedEntry,
+    markdownDependencyGraph,
+    getSummaryRenderer,
+    renderSummary
+};
@@ -0,0 +1,181 @@
+const path = require('path');
+const { getEncoding, encodingForModel } = require('js-tiktoken');
+
+// --- Configuration ---
+// Context window sizes (in tokens) by model name prefix. Longest matching prefix wins.
+const MODEL_CONTEXT_WINDOWS = {
+    'gpt-5': 400000,
+    'gpt-4.1': 1047576,
+    'gpt-4o': 128000,
+    'gpt-4-turbo': 128000,
+    'gpt-4': 8192,
+    'gpt-3.5-turbo': 16385,
+    'o4-mini': 200000,
+    'o3': 200000,
+    'o1-mini': 128000,
+    'o1': 200000,
+    'claude': 200000,
+};
+const DEFAULT_CONTEXT_WINDOW = 128000;
+// Tokens kept free for the model's answer when deriving a default budget from the context window
+const MAX_OUTPUT_RESERVE = 16000;
+// A single file may use at most this share of the budget before it is cut down to a head/tail excerpt
+const MAX_FILE_SHARE = 0.25;
+const MIN_EXCERPT_TOKENS = 200;
+const TOP_CONSUMERS_TO_REPORT = 10;
+
+const encodingCache = new Map();
+
+// --- Helper Functions ---
+
+function getEncoder(model) {
+    const key = model || '';
+    if (!encodingCache.has(key)) {
+        let encoder;
+        try {
+            encoder = encodingForModel(model);
+        } catch (error) {
+            // Unknown (or non-OpenAI) model: o200k_base is a reasonable approximation
+            encoder = getEncoding('o200k_base');
+        }
+        encodingCache.set(key, encoder);
+    }
+    return encodingCache.get(key);
+}
+
+function encode(text, model) {
+    // 'all' lets special-token strings inside files count as text instead of throwing
+    return getEncoder(model).encode(text || '', 'all');
+}
+
+function countTokens(text, model) {
+    return encode(text, model).length;
+}
+
+function getContextWindow(model = '') {
+    const prefix = Object.keys(MODEL_CONTEXT_WINDOWS)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? MODEL_CONTEXT_WINDOWS[prefix] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Default prompt budget for a model: its context window minus room for the answer
+function getDefaultMaxTokens(model) {
+    const contextWindow = getContextWindow(model);
+    return contextWindow - Math.min(MAX_OUTPUT_RESERVE, Math.floor(contextWindow / 4));
+}
+
+// Lower priority files are dropped first when the summary does not fit the budget
+function getFilePriority(relativePath) {
+    const posixPath = relativePath.split(path.sep).join('/');
+    const name = path.basename(posixPath).toLowerCase();
+    const ext = path.extname(name);
+    const isRootLevel = !posixPath.includes('/');
+
+    if (/\.min\.(js|css)$/.test(name) || ext === '.snap' || ext === '.map') return 10;
+    if (isRootLevel && (name.startsWith('readme') || ['package.json', 'pyproject.toml', 'cargo.toml', 'go.mod', 'pom.xml', 'build.gradle', 'gemfile', 'composer.json'].includes(name))) return 100;
+    if (/(^|\/)(test|tests|__tests__|spec|specs|fixtures?)\//.test(posixPath) || /\.(test|spec)\.[^.]+$/.test(name)) return 30;
+    if (['.pdf', '.docx', '.xlsx', '.xlsm', '.pptx', '.odt', '.epub', '.rtf', '.srt', '.vtt'].includes(ext)) return 20;
+    if (['.json', '.yaml', '.yml', '.toml', '.xml', '.csv', '.tsv', '.ini'].includes(ext)) return 25;
+    if (['.md', '.markdown', '.rst', '.txt', '.adoc'].includes(ext)) return 40;
+    return 60;
+}
+
+// Keep the first and last part of a file, cut at line boundaries, with a marker in between
+function truncateToExcerpt(content, totalTokens, excerptTokens, model) {
+    const tokens = encode(content, model);
+    const encoder = getEncoder(model);
+    const headTokens = Math.floor(excerptTokens * 2 / 3);
+    const tailTokens = excerptTokens - headTokens;
+
+    let head = encoder.decode(tokens.slice(0, headTokens));
+    let tail = encoder.decode(tokens.slice(tokens.length - tailTokens));
+    const headCut = head.lastIndexOf('\n');
+    if (headCut > 0) head = head.slice(0, headCut + 1);
+    const tailCut = tail.indexOf('\n');
+    if (tailCut >= 0 && tailCut < tail.length - 1) tail = tail.slice(tailCut + 1);
+
+    const omittedTokens = totalTokens - countTokens(head, model) - countTokens(tail, model);
+    const marker = `... [truncated to fit the token budget: ~${omittedTokens.toLocaleString('en-US')} of ${totalTokens.toLocaleString('en-US')} tokens omitted] ...\n\n`;
+    return (head.endsWith('\n') ? head : head + '\n') + marker + tail;
+}
+
+// --- Budget Fitting ---
+// files: [{ relativePath, content, delimiterTokens }], delimiterTokens being the tokens of the file's block outside
+// its contents (header, footer, diff), which are freed along with the contents when the file is dropped.
+// fixedTokens: tokens used outside the file blocks (tree, section headers). A dropped file is listed instead:
+// omittedHeadingTokens are added with the first one, omittedTokens(file) with each.
+// Deterministic strategy:
+//   1. Any file above MAX_FILE_SHARE of the budget is cut to a head/tail excerpt, largest first, until it fits.
+//   2. Files are then dropped by ascending priority (largest first, then by path) until it fits.
+// Returns { files, omitted, totalTokens } where each file gains `tokens`, `originalTokens` and `truncated`.
+function fitToBudget(files, { maxTokens, fixedTokens = 0, omittedHeadingTokens = 0, omittedTokens = () => 0, model }) {
+    const fitted = files.map(file => {
+        const tokens = countTokens(file.content, model);
+        return { ...file, tokens, originalTokens: tokens, truncated: false, priority: getFilePriority(file.relativePath) };
+    });
+    const omitted = [];
+    let listingTokens = 0;
+    const total = () => fixedTokens + listingTokens + fitted.reduce((sum, file) => sum + file.tokens + (file.delimiterTokens || 0), 0);
+
+    if (!maxTokens || total() <= maxTokens) {
+        return { files: fitted, omitted, totalTokens: total() };
+    }
+
+    // 1. Excerpt oversized files
+    const fileCap = Math.max(MIN_EXCERPT_TOKENS, Math.floor((maxTokens - fixedTokens) * MAX_FILE_SHARE));
+    const bySize = [...fitted].sort((a, b) => b.tokens - a.tokens || a.relativePath.localeCompare(b.relativePath));
+    for (const file of bySize) {
+        if (total() <= maxTokens || file.tokens <= fileCap) break;
+        file.content = truncateToExcerpt(file.content, file.originalTokens, fileCap, model);
+        file.tokens = countTokens(file.content, model);
+        file.truncated = true;
+    }
+
+    // 2. Drop lowest-priority files
+    const dropOrder = [...fitted].sort((a, b) =>
+        a.priority - b.priority || b.tokens - a.tokens || a.relativePath.localeCompare(b.relativePath));
+    for (const file of dropOrder) {
+        if (total() <= maxTokens) break;
+        fitted.splice(fitted.indexOf(file), 1);
+        listingTokens += (omitted.length === 0 ? omittedHeadingTokens : 0) + omittedTokens(file);
+        omitted.push(file);
+    }
+
+    return { files: fitted, omitted, totalTokens: total() };
+}
+
+// Print per-file token accounting: the largest consumers plus totals
+function printTokenReport({ files, omitted, totalTokens }, maxTokens) {
+    const all = [...files, ...omitted].sort((a, b) => b.originalTokens - a.originalTokens || a.relativePath.localeCompare(b.relativePath));
+    const grandTotal = all.reduce((sum, file) => sum + file.originalTokens, 0) || 1;
+
+    console.log(`\nTop token consumers (of ${all.length} files):`);
+    for (const file of all.slice(0, TOP_CONSUMERS_TO_REPORT)) {
+        const share = ((file.originalTokens / grandTotal) * 100).toFixed(1);
+        let note = '';
+        if (omitted.includes(file)) note = ' [omitted]';
+        else if (file.truncated) note = ` [truncated to ${file.tokens.toLocaleString('en-US')}]`;
+        console.log(`  ${file.originalTokens.toLocaleString('en-US').padStart(10)}  ${share.padStart(5)}%  ${file.relativePath}${note}`);
+    }
+
+    const budgetNote = maxTokens ? ` / budget ${maxTokens.toLocaleString('en-US')}` : '';
+    console.log(`Summary size: ${totalTokens.toLocaleString('en-US')} tokens${budgetNote}`);
+    const truncatedCount = files.filter(file => file.truncated).length;
+    if (truncatedCount > 0 || omitted.length > 0) {
+        console.log(`Fitted to budget: ${truncatedCount} file(s) truncated, ${omitted.length} file(s) omitted.`);
+    }
+    if (maxTokens && totalTokens > maxTokens) {
+        console.warn(`Warning: Summary still exceeds the token budget by ${(totalTokens - maxTokens).toLocaleString('en-US')} tokens (the folder tree, package index and dependency graph, which are not trimmed, are too large).`);
+    }
+}
+
+module.exports = {
+    countTokens,
+    getContextWindow,
+    getDefaultMaxTokens,
+    getFilePriority,
+    truncateToExcerpt,
+    fitToBudget,
+    printTokenReport
+};
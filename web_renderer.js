@@ -1,7 +1,11 @@
 // --- File: web_renderer.js ---
 const http = require('http');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const express = require('express');
 const { marked } = require('marked');
 const openModule = require('open');
+const { describeLLMError } = require('./llm_errors');
 const openBrowser = openModule.default || openModule;
 
 // *** NEW: Simple HTML Escaping Function ***
@@ -31,15 +35,12 @@ renderer.code = (code, language, isEscaped) => {
 };
 
 // --- HTML Template ---
-// *** UPDATED: Use a specific Mermaid version ***
-const HTML_TEMPLATE = (title, bodyHtml) => `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
+// Mermaid is loaded from the local install (served by the report server, or inlined into exported reports)
+// so reports render offline
+const MERMAID_BROWSER_BUNDLE = require.resolve('mermaid/dist/mermaid.min.js');
+const MERMAID_ASSET_URL = '/assets/mermaid.min.js';
+
+const REPORT_STYLES = `
         body { font-family: sans-serif; line-height: 1.6; margin: 20px; background-color: #f8f8f8; color: #333; }
         .container { max-width: 900px; margin: auto; background: #fff; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
         h1, h2, h3 { color: #0056b3; margin-top: 20px; }
@@ -53,6 +54,18 @@ const HTML_TEMPLATE = (title, bodyHtml) => `
         th { background-color: #f2f2f2; }
         blockquote { border-left: 4px solid #ccc; padding-left: 10px; color: #666; margin: 10px 0; }
         img { max-width: 100%; height: auto; display: block; margin: 10px auto; } /* Center images */
+`;
+
+// mermaidScript is the <script> tag that loads the Mermaid runtime
+const HTML_TEMPLATE = (title, bodyHtml, mermaidScript = `<script src="${MERMAID_ASSET_URL}"></script>`) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+${REPORT_STYLES}
     </style>
 </head>
 <body>
@@ -60,7 +73,7 @@ const HTML_TEMPLATE = (title, bodyHtml) => `
         ${bodyHtml}
     </div>
 
-    <script src="https://cdn.jsdelivr.net/npm/mermaid@10.9.0/dist/mermaid.min.js"></script>
+    ${mermaidScript}
 
     <script>
         try {
@@ -75,11 +88,17 @@ const HTML_TEMPLATE = (title, bodyHtml) => `
 `;
 
 // --- renderAndServe Function ---
-async function renderAndServe(markdownContent, projectName = 'Project Summary') {
+// Serve one finished Markdown page (e.g. the dependency graph of --show-graph); label names it in the console
+async function renderAndServe(markdownContent, projectName = 'Project Summary', { title = projectName + ' LLM Analysis', label = 'LLM response', open = true } = {}) {
     // Use the custom renderer with escaping
     const bodyHtml = marked(markdownContent, { renderer: renderer });
-    const fullHtml = HTML_TEMPLATE(projectName + ' LLM Analysis', bodyHtml);
+    const fullHtml = HTML_TEMPLATE(title, bodyHtml);
+    const mermaidBundle = await fsPromises.readFile(MERMAID_BROWSER_BUNDLE, 'utf8');
     const server = http.createServer((req, res) => {
+        if (req.url === MERMAID_ASSET_URL) {
+            res.writeHead(200, { 'Content-Type': 'application/javascript; charset=utf-8' });
+            return res.end(mermaidBundle);
+        }
         res.writeHead(200, {
             'Content-Type': 'text/html; charset=utf-8',
             'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -91,12 +110,16 @@ async function renderAndServe(markdownContent, projectName = 'Project Summary')
 
     try {
         const port = await getAvailablePort(3000);
-        server.listen(port, '127.0.0.1', () => {
-            const address = `http://127.0.0.1:${port}`;
-            console.log(`\nLLM response rendered. Serving on ${address}`);
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', resolve);
+        });
+        const address = `http://127.0.0.1:${port}`;
+        console.log(`\n${label} rendered. Serving on ${address}`);
+        if (open) {
             console.log("Opening in your default browser...");
             openBrowser(address);
-        });
+        }
         server.on('error', (e) => {
             // This typically handles errors *after* the server has started,
             // like a problem with a specific request.
@@ -110,6 +133,646 @@ async function renderAndServe(markdownContent, projectName = 'Project Summary')
     }
 }
 
+// --- Streaming Report ---
+// The page is served before the LLM answers; the Markdown arrives over Server-Sent Events (/events)
+// and is re-rendered in the browser as it grows. Mermaid diagrams render once their code fence closes.
+const MARKED_BROWSER_BUNDLE = path.join(path.dirname(require.resolve('marked')), '..', 'marked.min.js');
+// A reload briefly drops the SSE connection; only treat the tab as closed after this grace period
+const ABANDON_GRACE_MS = 3000;
+
+const STREAMING_STYLES = `
+        #status { position: sticky; top: 0; max-width: 900px; margin: 0 auto 10px; padding: 6px 12px; border-radius: 4px; background: #e8f0fe; color: #0056b3; font-size: 0.9em; }
+        #status.done { background: #e6f4ea; color: #1e7e34; }
+        #status.failed { background: #fdecea; color: #b3261e; }
+        .mermaid-error { color: #b3261e; }
+        .tabs { max-width: 900px; margin: 0 auto; display: flex; flex-wrap: wrap; gap: 4px; }
+        .tab { border: 1px solid #ddd; border-bottom: none; border-radius: 6px 6px 0 0; background: #eee; padding: 6px 14px; cursor: pointer; font-size: 0.95em; color: #333; }
+        .tab.active { background: #fff; font-weight: bold; }
+        .tab.queued { color: #888; }
+        .tab.running::after { content: ' \\2026'; }
+        .tab.failed { color: #b3261e; }
+        .analysis-meta { max-width: 900px; margin: 0 auto; padding: 6px 20px; background: #fff; color: #666; font-size: 0.85em; border-bottom: 1px solid #eee; }
+        .analysis-error { color: #b3261e; font-weight: bold; }
+        #chat { max-width: 900px; margin: 16px auto 0; background: #fff; padding: 16px 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .follow-up { border-top: 1px solid #eee; margin-top: 12px; padding-top: 12px; }
+        .follow-up .question { background: #e8f0fe; border-radius: 6px; padding: 8px 12px; white-space: pre-wrap; }
+        #chat-form { display: flex; gap: 8px; margin-top: 12px; }
+        #question { flex: 1; min-height: 3em; font: inherit; padding: 6px; }
+        .chat-actions { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; font-size: 0.9em; color: #666; }
+        #changed { max-width: 900px; margin: 0 auto 10px; padding: 8px 12px; border-radius: 4px; background: #fff4e5; color: #8a4b00; display: flex; justify-content: space-between; align-items: center; gap: 12px; }
+        #changed[hidden] { display: none; }
+`;
+
+// Client-side renderer; kept free of backticks and ${} so it can live inside the page template literal.
+// A report holds one or more analyses; with several, each gets a tab showing its model, duration and token usage.
+// When the server takes follow-up questions, a chat panel under a finished answer sends them to /chat; the
+// replies stream in over the same event source.
+// In --watch mode the event source stays open: a changed summary shows a banner whose button asks /reanalyze,
+// and the new answers replace the old ones in place.
+const STREAMING_CLIENT_SCRIPT = `
+(function () {
+    var contentEl = document.getElementById('content');
+    var statusEl = document.getElementById('status');
+    var tabsEl = document.getElementById('tabs');
+    var metaEl = document.getElementById('meta');
+    var chatEl = document.getElementById('chat');
+    var followUpsEl = document.getElementById('follow-ups');
+    var formEl = document.getElementById('chat-form');
+    var questionEl = document.getElementById('question');
+    var askEl = document.getElementById('ask');
+    var chatNoteEl = document.getElementById('chat-note');
+    var transcriptEl = document.getElementById('transcript');
+    var changedEl = document.getElementById('changed');
+    var changedTextEl = document.getElementById('changed-text');
+    var reanalyzeEl = document.getElementById('reanalyze');
+    var analyses = [];
+    var byId = {};
+    var activeId = null;
+    var chatEnabled = false;
+    var watching = false;
+    var changedMessage = null;
+    var svgCache = {};
+    var rendering = {};
+    var diagramCounter = 0;
+    var renderScheduled = false;
+
+    try { mermaid.initialize({ startOnLoad: false }); } catch (e) { console.error('Failed to initialize Mermaid:', e); }
+
+    function escapeHtml(unsafe) {
+        return String(unsafe || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+    }
+
+    function renderMermaid(code) {
+        if (rendering[code] || typeof mermaid === 'undefined') return;
+        rendering[code] = true;
+        diagramCounter += 1;
+        mermaid.render('mermaid-diagram-' + diagramCounter, code).then(function (result) {
+            svgCache[code] = '<div class="mermaid">' + result.svg + '</div>';
+        }).catch(function (error) {
+            svgCache[code] = '<pre class="mermaid-error">Mermaid error: ' + escapeHtml(error.message) + '\\n\\n' + escapeHtml(code) + '</pre>';
+        }).then(scheduleRender);
+    }
+
+    var renderer = new marked.Renderer();
+    var defaultCode = renderer.code;
+    renderer.code = function (code, language, isEscaped) {
+        if (language === 'mermaid') {
+            if (svgCache[code]) return svgCache[code];
+            renderMermaid(code);
+            return '<pre class="mermaid-pending">' + escapeHtml(code) + '</pre>';
+        }
+        return defaultCode.call(renderer, code, language, isEscaped);
+    };
+
+    // Split off a code fence that is still open, so half-written diagrams are shown as plain text
+    function splitOpenFence(markdown) {
+        var fence = /^ {0,3}(\x60\x60\x60|~~~)/gm;
+        var count = 0;
+        var lastIndex = -1;
+        var match;
+        while ((match = fence.exec(markdown)) !== null) {
+            count += 1;
+            lastIndex = match.index;
+        }
+        if (count % 2 === 0) return [markdown, ''];
+        return [markdown.slice(0, lastIndex), markdown.slice(lastIndex)];
+    }
+
+    function renderMarkdown(markdown, error) {
+        var parts = splitOpenFence(markdown);
+        var html = marked.parse(parts[0], { renderer: renderer });
+        if (parts[1]) html += '<pre class="streaming-code">' + escapeHtml(parts[1]) + '</pre>';
+        if (error !== null && error !== undefined) html += '<p class="analysis-error">Error: ' + escapeHtml(error) + '</p>';
+        return html;
+    }
+
+    function usageText(usage) {
+        return (usage.estimated ? ' (estimated)' : '') + ': ' + usage.promptTokens.toLocaleString() + ' prompt + ' + usage.completionTokens.toLocaleString() + ' completion';
+    }
+
+    function renderTabs() {
+        var multiple = analyses.length > 1;
+        tabsEl.hidden = !multiple;
+        metaEl.hidden = !multiple;
+        if (!multiple) return;
+        tabsEl.innerHTML = analyses.map(function (analysis) {
+            var className = 'tab ' + analysis.status + (analysis.id === activeId ? ' active' : '');
+            return '<button type="button" class="' + className + '" data-id="' + escapeHtml(analysis.id) + '">' + escapeHtml(analysis.title) + '</button>';
+        }).join('');
+        var active = byId[activeId];
+        var parts = ['Model: ' + active.model];
+        if (active.status === 'queued') parts.push('Queued');
+        if (active.status === 'running') parts.push('Running... ' + active.text.length.toLocaleString() + ' characters');
+        if (active.durationMs !== null) parts.push('Duration: ' + (active.durationMs / 1000).toFixed(1) + 's');
+        if (active.usage) parts.push('Tokens' + usageText(active.usage) + (active.usage.cached ? ' (cached, no tokens spent)' : ''));
+        metaEl.textContent = parts.join(' | ');
+    }
+
+    function renderChat(active) {
+        chatEl.hidden = !chatEnabled || active.status !== 'done';
+        if (chatEl.hidden) return;
+        followUpsEl.innerHTML = active.followUps.map(function (followUp) {
+            return '<div class="follow-up"><div class="question">' + escapeHtml(followUp.question) + '</div>'
+                + '<div class="answer">' + renderMarkdown(followUp.text, followUp.error) + '</div></div>';
+        }).join('');
+        askEl.disabled = active.followUps.some(function (followUp) { return followUp.status === 'running'; });
+        transcriptEl.href = '/transcript/' + encodeURIComponent(active.id);
+    }
+
+    function render() {
+        renderScheduled = false;
+        var active = byId[activeId];
+        if (!active) return;
+        var nearBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 80;
+        contentEl.innerHTML = renderMarkdown(active.text, active.error);
+        renderTabs();
+        renderChat(active);
+        var streaming = active.status === 'running' || active.followUps.some(function (followUp) { return followUp.status === 'running'; });
+        if (nearBottom && streaming) window.scrollTo(0, document.body.scrollHeight);
+    }
+
+    function scheduleRender() {
+        if (renderScheduled) return;
+        renderScheduled = true;
+        window.requestAnimationFrame(render);
+    }
+
+    function setStatus(message, className) {
+        statusEl.textContent = message;
+        statusEl.className = className || '';
+    }
+
+    function renderChanged(finishedAll) {
+        changedEl.hidden = changedMessage === null;
+        if (changedEl.hidden) return;
+        changedTextEl.textContent = changedMessage + (finishedAll ? '' : ' Re-analyze once the current analysis has finished.');
+        reanalyzeEl.disabled = !finishedAll;
+    }
+
+    function updateStatus() {
+        var finished = analyses.filter(function (analysis) { return analysis.status === 'done' || analysis.status === 'failed'; });
+        var failed = analyses.filter(function (analysis) { return analysis.status === 'failed'; });
+        if (analyses.length === 1) {
+            var only = analyses[0];
+            if (only.status === 'failed') setStatus('Error: ' + only.error, 'failed');
+            else if (only.status === 'done') {
+                var usage = only.usage ? ' Token usage' + usageText(only.usage) + '.' : '';
+                if (only.usage && only.usage.cached) usage += ' Served from the cache; no tokens were spent.';
+                setStatus('Done.' + usage, 'done');
+            } else if (only.text) setStatus('Streaming response... ' + only.text.length.toLocaleString() + ' characters');
+            else setStatus('Waiting for the LLM response...');
+        } else if (finished.length === analyses.length) {
+            setStatus('Done: ' + (analyses.length - failed.length) + ' of ' + analyses.length + ' analyses succeeded' + (failed.length ? ', ' + failed.length + ' failed.' : '.'), failed.length ? 'failed' : 'done');
+        } else {
+            setStatus('Running analyses: ' + finished.length + ' of ' + analyses.length + ' finished' + (failed.length ? ' (' + failed.length + ' failed)' : '') + '...');
+        }
+        renderChanged(finished.length === analyses.length);
+        // Follow-up replies and changes of a watched project arrive on the same event source, so it stays open for them
+        if (finished.length === analyses.length && !chatEnabled && !watching) source.close();
+    }
+
+    function update(id, changes) {
+        var analysis = byId[id];
+        if (!analysis) return;
+        Object.keys(changes).forEach(function (key) { analysis[key] = changes[key]; });
+        updateStatus();
+        scheduleRender();
+    }
+
+    function updateFollowUp(data, changes) {
+        var analysis = byId[data.id];
+        var followUp = analysis && analysis.followUps[data.index];
+        if (!followUp) return;
+        Object.keys(changes).forEach(function (key) { followUp[key] = changes[key]; });
+        if (followUp.status === 'running') setStatus('Streaming follow-up answer... ' + followUp.text.length.toLocaleString() + ' characters');
+        else if (followUp.status === 'failed') setStatus('Follow-up failed: ' + followUp.error, 'failed');
+        else setStatus('Follow-up answered.' + (followUp.usage ? ' Token usage' + usageText(followUp.usage) + '.' : ''), 'done');
+        scheduleRender();
+    }
+
+    tabsEl.addEventListener('click', function (event) {
+        var id = event.target.getAttribute('data-id');
+        if (!id) return;
+        activeId = id;
+        scheduleRender();
+    });
+
+    formEl.addEventListener('submit', function (event) {
+        event.preventDefault();
+        var question = questionEl.value.trim();
+        if (!question || askEl.disabled) return;
+        askEl.disabled = true;
+        chatNoteEl.textContent = '';
+        fetch('/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: activeId, question: question })
+        }).then(function (response) {
+            if (response.ok) {
+                questionEl.value = '';
+                return;
+            }
+            return response.json().then(function (body) { throw new Error(body.error); });
+        }).catch(function (error) {
+            chatNoteEl.textContent = 'Could not send the question: ' + error.message;
+            askEl.disabled = false;
+        });
+    });
+
+    reanalyzeEl.addEventListener('click', function () {
+        reanalyzeEl.disabled = true;
+        fetch('/reanalyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        }).then(function (response) {
+            if (!response.ok) return response.json().then(function (body) { throw new Error(body.error); });
+        }).catch(function (error) {
+            changedTextEl.textContent = 'Could not re-analyze: ' + error.message;
+            reanalyzeEl.disabled = false;
+        });
+    });
+
+    questionEl.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) formEl.requestSubmit();
+    });
+
+    var source = new EventSource('/events');
+    source.addEventListener('reset', function (event) {
+        var data = JSON.parse(event.data);
+        analyses = data.analyses;
+        chatEnabled = data.chat;
+        watching = data.watching;
+        changedMessage = data.changed;
+        byId = {};
+        analyses.forEach(function (analysis) { byId[analysis.id] = analysis; });
+        if (!byId[activeId]) activeId = analyses[0].id;
+        updateStatus();
+        scheduleRender();
+    });
+    source.addEventListener('summary-changed', function (event) {
+        changedMessage = JSON.parse(event.data).message;
+        updateStatus();
+    });
+    source.addEventListener('started', function (event) {
+        update(JSON.parse(event.data).id, { status: 'running' });
+    });
+    source.addEventListener('delta', function (event) {
+        var data = JSON.parse(event.data);
+        if (byId[data.id]) update(data.id, { text: byId[data.id].text + data.text });
+    });
+    source.addEventListener('done', function (event) {
+        var data = JSON.parse(event.data);
+        update(data.id, { status: 'done', usage: data.usage, durationMs: data.durationMs });
+    });
+    source.addEventListener('failed', function (event) {
+        var data = JSON.parse(event.data);
+        update(data.id, { status: 'failed', error: data.message, durationMs: data.durationMs });
+    });
+    source.addEventListener('follow-up', function (event) {
+        var data = JSON.parse(event.data);
+        if (!byId[data.id]) return;
+        byId[data.id].followUps[data.index] = { question: data.question, text: '', status: 'running', usage: null, error: null };
+        updateFollowUp(data, {});
+    });
+    source.addEventListener('follow-up-delta', function (event) {
+        var data = JSON.parse(event.data);
+        var followUp = byId[data.id] && byId[data.id].followUps[data.index];
+        if (followUp) updateFollowUp(data, { text: followUp.text + data.text });
+    });
+    source.addEventListener('follow-up-done', function (event) {
+        var data = JSON.parse(event.data);
+        updateFollowUp(data, { status: 'done', usage: data.usage });
+    });
+    source.addEventListener('follow-up-failed', function (event) {
+        var data = JSON.parse(event.data);
+        updateFollowUp(data, { status: 'failed', error: data.message });
+    });
+})();
+`;
+
+const STREAMING_HTML_TEMPLATE = (title) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+${REPORT_STYLES}${STREAMING_STYLES}
+    </style>
+</head>
+<body>
+    <div id="status">Waiting for the LLM response...</div>
+    <div id="changed" hidden><span id="changed-text"></span><button type="button" id="reanalyze">Re-analyze</button></div>
+    <div id="tabs" class="tabs" hidden></div>
+    <div id="meta" class="analysis-meta" hidden></div>
+    <div class="container" id="content"></div>
+    <div id="chat" hidden>
+        <div id="follow-ups"></div>
+        <form id="chat-form">
+            <textarea id="question" placeholder="Ask a follow-up question (Ctrl+Enter to send)"></textarea>
+            <button type="submit" id="ask">Ask</button>
+        </form>
+        <div class="chat-actions">
+            <span id="chat-note"></span>
+            <a id="transcript" href="#" download>Save transcript (Markdown)</a>
+        </div>
+    </div>
+
+    <script src="/assets/marked.min.js"></script>
+    <script src="${MERMAID_ASSET_URL}"></script>
+    <script>${STREAMING_CLIENT_SCRIPT}</script>
+</body>
+</html>
+`;
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Markdown of one analysis and its follow-ups: the prompt it answered (folded away), the answer and every
+// question with its reply
+function formatTranscript(state, title) {
+    const lines = [`# ${title}`, '', `_Model: ${state.model || 'unknown'}_`, ''];
+    if (state.prompt !== null) {
+        const { prompt } = state;
+        // A fence longer than any backtick run in the prompt, so code blocks of the summary cannot close it
+        const fence = '`'.repeat(Math.max(3, ...(prompt.match(/`+/g) || []).map(run => run.length + 1)));
+        lines.push('<details>', '<summary>Prompt (project summary)</summary>', '', `${fence}text`, prompt, fence, '', '</details>', '');
+    }
+    lines.push('## Answer', '', state.text.trim(), '');
+    state.followUps.forEach((followUp, index) => {
+        lines.push(`## Follow-up ${index + 1}`, '', ...followUp.question.split('\n').map(line => `> ${line}`), '');
+        lines.push(followUp.text.trim(), '');
+        if (followUp.error !== null) lines.push(`**Error:** ${followUp.error}`, '');
+    });
+    return lines.join('\n');
+}
+
+// The conversation so far as LLM messages, ending with a new question (see llm_providers.js)
+function buildConversation(state, question) {
+    const messages = [{ role: 'user', content: state.prompt }, { role: 'assistant', content: state.text }];
+    for (const followUp of state.followUps) {
+        if (followUp.status !== 'done') continue; // Unanswered questions are left out of the history
+        messages.push({ role: 'user', content: followUp.question }, { role: 'assistant', content: followUp.text });
+    }
+    messages.push({ role: 'user', content: question });
+    return messages;
+}
+
+// Start the report server before the LLM is called and open it in the browser (unless open is false).
+// Returns { url, append(delta), complete(usage), fail(message), setPrompt(prompt), analysis(id), summaryChanged(message) }.
+// By default the page shows a single response. With `analyses` ([{ id, title, model }]) it gets one tab per
+// analysis: analysis(id) returns { start(), append(delta), complete(usage), fail(message), setPrompt(prompt) } for
+// that tab, which shows as queued until start() and then its model, duration and token usage; the other
+// methods act on the first.
+// With onFollowUp(id, messages, { onDelta, signal }) -> Promise<{ text, usage }>, a finished answer whose prompt
+// was passed to setPrompt takes follow-up questions in the page: POST /chat { id, question } sends the whole
+// conversation (see buildConversation) and the reply streams into the page. GET /transcript/<id> downloads it
+// as Markdown.
+// onAbandoned is called when every open tab is closed while a response is still streaming.
+// With onReanalyze (--watch), summaryChanged(message) shows the message in the page with a "Re-analyze" button.
+// Once every analysis has finished, the button (POST /reanalyze) clears the answers and follow-ups and calls
+// onReanalyze(), which runs the analyses again through the same methods; open pages update in place.
+async function startStreamingReport(projectName = 'Project Summary', { analyses, model = null, onFollowUp, onAbandoned, onReanalyze, open = true } = {}) {
+    const title = projectName + ' LLM Analysis';
+    const fullHtml = STREAMING_HTML_TEMPLATE(title);
+    const markedBundle = await fsPromises.readFile(MARKED_BROWSER_BUNDLE, 'utf8');
+    const mermaidBundle = await fsPromises.readFile(MERMAID_BROWSER_BUNDLE, 'utf8');
+    // A single response is running from the start; tabs wait for their start()
+    const freshState = (analysis) => ({
+        id: String(analysis.id),
+        title: analysis.title,
+        model: analysis.model || null,
+        status: analyses ? 'queued' : 'running',
+        text: '',
+        usage: null,
+        error: null,
+        durationMs: null,
+        followUps: [], // { question, text, status, usage, error }
+        startedAt: analyses ? null : Date.now(),
+        prompt: null,
+    });
+    const states = (analyses || [{ id: 'main', title: projectName, model }]).map(freshState);
+    const findState = (id) => states.find(state => state.id === String(id));
+    const allFinished = () => states.every(state => state.status === 'done' || state.status === 'failed');
+    const clients = new Set();
+    const followUpControllers = new Set(); // AbortControllers of follow-up replies in flight
+    let abandonTimer = null;
+    let changedMessage = null; // Shown until the next re-analysis
+    const broadcast = (event, data) => clients.forEach(client => sendEvent(client, event, data));
+    const resetData = () => ({
+        chat: Boolean(onFollowUp),
+        watching: Boolean(onReanalyze),
+        changed: changedMessage,
+        analyses: states.map(({ startedAt, prompt, ...state }) => state),
+    });
+
+    const app = express();
+    app.get('/events', (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        // Late joiners (or reloads) first get everything received so far
+        sendEvent(res, 'reset', resetData());
+        clients.add(res);
+        clearTimeout(abandonTimer);
+        req.on('close', () => {
+            clients.delete(res);
+            if (clients.size > 0) return;
+            abandonTimer = setTimeout(() => {
+                if (clients.size > 0) return;
+                followUpControllers.forEach(controller => controller.abort());
+                if (!allFinished() && onAbandoned) onAbandoned();
+            }, ABANDON_GRACE_MS);
+        });
+    });
+    app.post('/chat', express.json(), (req, res) => {
+        const state = findState(req.body && req.body.id);
+        const question = req.body && typeof req.body.question === 'string' ? req.body.question.trim() : '';
+        if (!onFollowUp) return res.status(404).json({ error: 'Follow-up questions are not enabled for this report.' });
+        if (!state) return res.status(404).json({ error: 'Unknown analysis.' });
+        if (!question) return res.status(400).json({ error: 'The question is empty.' });
+        if (state.status !== 'done' || state.prompt === null) {
+            return res.status(409).json({ error: 'Follow-up questions can be asked once the answer is complete.' });
+        }
+        if (state.followUps.some(followUp => followUp.status === 'running')) {
+            return res.status(409).json({ error: 'Wait for the previous follow-up answer to finish.' });
+        }
+
+        const messages = buildConversation(state, question);
+        const followUp = { question, text: '', status: 'running', usage: null, error: null };
+        const index = state.followUps.push(followUp) - 1;
+        const controller = new AbortController();
+        followUpControllers.add(controller);
+        broadcast('follow-up', { id: state.id, index, question });
+        res.status(202).json({ index });
+
+        onFollowUp(state.id, messages, {
+            onDelta: (delta) => {
+                followUp.text += delta;
+                broadcast('follow-up-delta', { id: state.id, index, text: delta });
+            },
+            signal: controller.signal,
+        }).then(({ text, usage }) => {
+            Object.assign(followUp, { text, usage, status: 'done' });
+            broadcast('follow-up-done', { id: state.id, index, usage });
+        }).catch((error) => {
+            const message = describeLLMError(error);
+            Object.assign(followUp, { error: message, status: 'failed' });
+            broadcast('follow-up-failed', { id: state.id, index, message });
+        }).finally(() => followUpControllers.delete(controller));
+    });
+    // Only a JSON body is accepted: a cross-site page cannot send one without a CORS preflight, so it cannot
+    // start a (paid) re-analysis with a plain form POST
+    app.post('/reanalyze', express.json(), (req, res) => {
+        if (!req.is('application/json')) return res.status(415).json({ error: 'Send the request as application/json.' });
+        if (!onReanalyze) return res.status(404).json({ error: 'Re-analysis is only available in --watch mode.' });
+        if (!allFinished()) return res.status(409).json({ error: 'Wait for the current analysis to finish.' });
+        followUpControllers.forEach(controller => controller.abort());
+        states.forEach(state => Object.assign(state, freshState(state)));
+        changedMessage = null;
+        broadcast('reset', resetData());
+        res.status(202).json({});
+        onReanalyze();
+    });
+    app.get('/transcript/:id', (req, res) => {
+        const state = findState(req.params.id);
+        if (!state) return res.status(404).type('text/plain').send('Not found');
+        const transcriptTitle = states.length > 1 ? `${title}: ${state.title}` : title;
+        const fileName = `${transcriptTitle}-transcript.md`.replace(/[^A-Za-z0-9._-]+/g, '-');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.type('text/markdown; charset=utf-8').send(formatTranscript(state, transcriptTitle));
+    });
+    app.get('/assets/marked.min.js', (req, res) => {
+        res.type('application/javascript; charset=utf-8').send(markedBundle);
+    });
+    app.get(MERMAID_ASSET_URL, (req, res) => {
+        res.type('application/javascript; charset=utf-8').send(mermaidBundle);
+    });
+    app.get(['/', '/index.html'], (req, res) => {
+        res.set({
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0',
+        });
+        res.type('text/html; charset=utf-8').send(fullHtml);
+    });
+    app.use((req, res) => res.status(404).type('text/plain').send('Not found'));
+    const server = http.createServer(app);
+
+    let address;
+    try {
+        const port = await getAvailablePort(3000);
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', resolve);
+        });
+        address = `http://127.0.0.1:${port}`;
+    } catch (error) {
+        console.error('Failed to start web server:', error.message);
+        throw new Error(`Failed to start web server: ${error.message}`); // Re-throw to be caught by index.js
+    }
+    server.on('error', (e) => console.error('Server runtime error:', e.message));
+    console.log(`\nLLM report server started. Serving on ${address}`);
+    if (open) {
+        console.log("Opening in your default browser...");
+        openBrowser(address);
+    }
+
+    const controls = (state) => {
+        const finish = (status, changes) => {
+            Object.assign(state, { status, durationMs: Date.now() - (state.startedAt || Date.now()) }, changes);
+        };
+        return {
+            start() {
+                state.status = 'running';
+                state.startedAt = Date.now();
+                broadcast('started', { id: state.id });
+            },
+            append(delta) {
+                state.text += delta;
+                broadcast('delta', { id: state.id, text: delta });
+            },
+            complete(usage = null) {
+                finish('done', { usage });
+                broadcast('done', { id: state.id, usage, durationMs: state.durationMs });
+            },
+            fail(message) {
+                finish('failed', { error: message });
+                broadcast('failed', { id: state.id, message, durationMs: state.durationMs });
+            },
+            // The prompt that was answered; follow-up questions continue the conversation from it
+            setPrompt(prompt) {
+                state.prompt = prompt;
+            },
+        };
+    };
+    const byId = new Map(states.map(state => [state.id, controls(state)]));
+    const { append, complete, fail, setPrompt } = byId.get(states[0].id);
+    return {
+        url: address,
+        append,
+        complete,
+        fail,
+        setPrompt,
+        analysis(id) {
+            return byId.get(String(id));
+        },
+        summaryChanged(message) {
+            changedMessage = message;
+            broadcast('summary-changed', { message });
+        },
+    };
+}
+
+// --- Static Export ---
+// Exported reports are single files: CSS and the Mermaid runtime are inlined, so they can be archived and opened offline.
+
+// A script inlined into the page must not contain "</script" or the HTML parser ends the tag early
+function inlineScript(source) {
+    return `<script>${source.replace(/<\/(script)/gi, '<\\/$1')}</script>`;
+}
+
+async function renderStaticHtml(markdownContent, title) {
+    const bodyHtml = marked(markdownContent, { renderer: renderer });
+    const mermaidBundle = await fsPromises.readFile(MERMAID_BROWSER_BUNDLE, 'utf8');
+    return HTML_TEMPLATE(title, bodyHtml, inlineScript(mermaidBundle));
+}
+
+// Save an LLM report. `.html`/`.htm` paths get the self-contained HTML page, anything else the raw Markdown.
+async function exportReport(markdownContent, reportPath, { title = 'LLM Analysis' } = {}) {
+    const extension = path.extname(reportPath).toLowerCase();
+    const output = (extension === '.html' || extension === '.htm')
+        ? await renderStaticHtml(markdownContent, title)
+        : markdownContent;
+    await fsPromises.mkdir(path.dirname(path.resolve(reportPath)), { recursive: true });
+    await fsPromises.writeFile(reportPath, output, 'utf8');
+}
+
+// Several analyses in one file: a section per analysis under a heading with its model, duration and token usage.
+// Each analysis is { title, model, durationMs, usage, text, error }.
+function combineAnalyses(analyses) {
+    return analyses.map(({ title, model, durationMs, usage, text, error }) => {
+        const details = [`Model: ${model}`];
+        if (durationMs !== null && durationMs !== undefined) details.push(`Duration: ${(durationMs / 1000).toFixed(1)}s`);
+        if (usage) {
+            details.push(`Tokens${usage.estimated ? ' (estimated)' : ''}: ${usage.promptTokens} prompt + ${usage.completionTokens} completion${usage.cached ? ' (cached)' : ''}`);
+        }
+        const body = error ? `${text ? `${text}\n\n` : ''}**Error:** ${error}` : text;
+        return `# ${title}\n\n_${details.join(' | ')}_\n\n${body}\n`;
+    }).join('\n---\n\n');
+}
+
+// Save a report of several analyses (see combineAnalyses) in the format chosen by exportReport
+async function exportCombinedReport(analyses, reportPath, { title = 'LLM Analysis' } = {}) {
+    await exportReport(combineAnalyses(analyses), reportPath, { title });
+}
+
 // --- getAvailablePort Function (remains the same) ---
 function getAvailablePort(startPort) {
     return new Promise((resolve, reject) => {
@@ -134,6 +797,13 @@ function getAvailablePort(startPort) {
 }
 
 module.exports = {
-    renderAndServe
+    renderAndServe,
+    startStreamingReport,
+    renderStaticHtml,
+    exportReport,
+    combineAnalyses,
+    exportCombinedReport,
+    getAvailablePort,
+    escapeHtml
 };
 // --- End of File: web_renderer.js ---
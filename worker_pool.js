@@ -0,0 +1,52 @@
+// --- Configuration ---
+// How far finished results may run ahead of the oldest unfinished item, per worker, when results are handed
+// over in order (onResult); bounds the memory held by results waiting for a slow item
+const MAX_PENDING_PER_WORKER = 16;
+
+// Run `worker` over `items` with at most `limit` calls in flight. Failures do not stop the other workers;
+// each result is { value } or { error }.
+// Without onResult, resolves to all results in input order.
+// With onResult(result, index), results are handed over in input order as soon as every earlier item is done,
+// so they can be written out incrementally, and are not kept (resolves to undefined).
+async function mapWithConcurrency(items, limit, worker, { onResult } = {}) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    const maxAhead = workerCount * MAX_PENDING_PER_WORKER;
+    let nextIndex = 0;
+    let nextToEmit = 0;
+    let waiting = [];
+
+    const emitReady = () => {
+        while (nextToEmit < items.length && results[nextToEmit] !== undefined) {
+            const result = results[nextToEmit];
+            results[nextToEmit] = null; // Handed over; free it
+            onResult(result, nextToEmit);
+            nextToEmit++;
+        }
+        const resume = waiting;
+        waiting = [];
+        resume.forEach(resolve => resolve());
+    };
+
+    async function runWorker() {
+        while (nextIndex < items.length) {
+            if (onResult && nextIndex - nextToEmit >= maxAhead) {
+                await new Promise(resolve => waiting.push(resolve));
+                continue;
+            }
+            const index = nextIndex++;
+            try {
+                results[index] = { value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { error };
+            }
+            if (onResult) emitReady();
+        }
+    }
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return onResult ? undefined : results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,436 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { mapWithConcurrency } = require('./worker_pool');
+
+// --- Configuration ---
+// Directories never searched for workspace members (dependencies and build output)
+const SKIPPED_MEMBER_DIRS = new Set(['node_modules', '.git', 'target', 'dist', 'build', 'vendor', '.venv', 'venv', '__pycache__']);
+// How each kind of workspace is described in the package index
+const WORKSPACE_KINDS = {
+    npm: 'npm workspaces',
+    pnpm: 'pnpm workspace',
+    cargo: 'Cargo workspace',
+    go: 'Go workspace',
+    uv: 'uv workspace',
+};
+
+// --- Helper Functions ---
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+function readJson(filePath) {
+    const text = readText(filePath);
+    if (text === null) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Error parsing "${filePath}": ${error.message}`);
+    }
+}
+
+// 'packages/*', 'crates/**' or '!packages/legacy' as a regular expression over posix relative paths
+function globToRegExp(pattern) {
+    const source = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').map(segment => {
+        if (segment === '**') return '.*';
+        return segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    }).join('/');
+    return new RegExp(`^${source.replace(/\/\.\*$/, '(/.*)?').replace(/^\.\*\//, '(.*/)?')}$`);
+}
+
+// Directories below targetDir matching one of the glob patterns (a leading '!' excludes) that hold manifestName.
+// Only the part of the tree below each pattern's literal prefix is searched.
+function expandMembers(targetDir, patterns, manifestName) {
+    const positive = patterns.filter(pattern => !pattern.startsWith('!'));
+    const negative = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+    const found = new Set();
+
+    function visit(relativeDir, matchers, depthLeft) {
+        const posix = toPosix(relativeDir);
+        if (relativeDir && matchers.some(matcher => matcher.test(posix)) && fs.existsSync(path.join(targetDir, relativeDir, manifestName))) {
+            found.add(posix);
+        }
+        if (depthLeft === 0) return;
+        let entries;
+        try {
+            entries = fs.readdirSync(path.join(targetDir, relativeDir), { withFileTypes: true });
+        } catch {
+            return;
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory() && !SKIPPED_MEMBER_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+                visit(path.join(relativeDir, entry.name), matchers, depthLeft - 1);
+            }
+        }
+    }
+
+    for (const pattern of positive) {
+        const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+        const wildcard = segments.findIndex(segment => /[*?]/.test(segment));
+        const prefix = wildcard === -1 ? segments : segments.slice(0, wildcard);
+        const depth = wildcard === -1 ? 0 : (segments.includes('**') ? Infinity : segments.length - wildcard);
+        visit(prefix.length > 0 ? path.join(...prefix) : '', [globToRegExp(pattern)], depth);
+    }
+    return [...found].filter(member => !member.startsWith('..') && !negative.some(matcher => matcher.test(member))).sort();
+}
+
+// --- TOML ---
+// Just enough TOML for the manifest keys read here: [table] headers, and key = value pairs whose values are
+// strings, arrays of strings (possibly spanning lines) or anything else kept as written (inline tables, booleans).
+// Returns { 'table.name': { key: value } }, top-level keys under ''.
+
+function stripTomlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+function tomlStrings(text) {
+    return [...text.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(match => match[1] !== undefined ? match[1] : match[2]);
+}
+
+function unquoteTomlKey(key) {
+    return key.split('.').map(part => part.trim().replace(/^["']|["']$/g, '')).join('.');
+}
+
+function parseToml(text) {
+    const tables = { '': {} };
+    let table = tables[''];
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = stripTomlComment(lines[i]).trim();
+        if (!line) continue;
+        const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+        if (header) {
+            const name = unquoteTomlKey(header[1]);
+            table = tables[name] = tables[name] || {};
+            continue;
+        }
+        const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (!pair) continue;
+        let value = pair[2];
+        // Arrays and inline tables continue until their brackets balance
+        while (/^[[{]/.test(value) && i + 1 < lines.length && bracketDepth(value) > 0) {
+            value += ' ' + stripTomlComment(lines[++i]).trim();
+        }
+        table[unquoteTomlKey(pair[1])] = value.startsWith('[') ? tomlStrings(value)
+            : /^["']/.test(value) ? (tomlStrings(value)[0] || '') : value;
+    }
+    return tables;
+}
+
+function bracketDepth(text) {
+    let depth = 0;
+    for (const char of text.replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, '')) {
+        if (char === '[' || char === '{') depth++;
+        else if (char === ']' || char === '}') depth--;
+    }
+    return depth;
+}
+
+// --- Manifest Readers ---
+// Each returns null when targetDir is no workspace of its kind, otherwise
+// { kind, manifest, packages: [{ name, path, dependencies }] }; dependencies are every name a package depends on,
+// narrowed to its sibling packages by detectWorkspace.
+
+const NPM_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+function npmPackages(targetDir, patterns, kind, manifest) {
+    const packages = expandMembers(targetDir, patterns, 'package.json').map(member => {
+        const packageJson = readJson(path.join(targetDir, member, 'package.json')) || {};
+        const dependencies = NPM_DEPENDENCY_FIELDS.flatMap(field => Object.keys(packageJson[field] || {}));
+        return { name: packageJson.name || member, path: member, dependencies };
+    });
+    return { kind, manifest, packages };
+}
+
+function readPnpmWorkspace(targetDir) {
+    const text = readText(path.join(targetDir, 'pnpm-workspace.yaml'));
+    if (text === null) return null;
+    let config;
+    try {
+        config = YAML.parse(text) || {};
+    } catch (error) {
+        throw new Error(`Error parsing "${path.join(targetDir, 'pnpm-workspace.yaml')}": ${error.message}`);
+    }
+    if (!Array.isArray(config.packages)) return null;
+    return npmPackages(targetDir, config.packages.map(String), 'pnpm', 'pnpm-workspace.yaml');
+}
+
+function readNpmWorkspaces(targetDir) {
+    const packageJson = readJson(path.join(targetDir, 'package.json'));
+    if (!packageJson || !packageJson.workspaces) return null;
+    // Yarn also allows { packages: [...], nohoist: [...] }
+    const patterns = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages;
+    if (!Array.isArray(patterns)) return null;
+    return npmPackages(targetDir, patterns.map(String), 'npm', 'package.json');
+}
+
+// Names under [dependencies], [dev-dependencies] and [build-dependencies], including platform-specific
+// [target.'cfg(...)'.dependencies] tables and the [dependencies.name] form
+function cargoDependencies(tables) {
+    const names = new Set();
+    for (const [tableName, table] of Object.entries(tables)) {
+        const parts = tableName.split('.');
+        const kindIndex = parts.findIndex(part => /^(dev-|build-)?dependencies$/.test(part));
+        if (kindIndex === -1 || (kindIndex > 0 && parts[0] !== 'target')) continue;
+        if (kindIndex === parts.length - 1) {
+            for (const key of Object.keys(table)) names.add(key.split('.')[0]);
+        } else {
+            names.add(parts[kindIndex + 1]);
+        }
+    }
+    return [...names];
+}
+
+function readCargoWorkspace(targetDir) {
+    const text = readText(path.join(targetDir, 'Cargo.toml'));
+    if (text === null) return null;
+    const root = parseToml(text);
+    const workspace = root.workspace;
+    if (!workspace) return null;
+    const excluded = (Array.isArray(workspace.exclude) ? workspace.exclude : []).map(member => '!' + member);
+    const members = expandMembers(targetDir, [...(Array.isArray(workspace.members) ? workspace.members : []), ...excluded], 'Cargo.toml');
+    // A root Cargo.toml with its own [package] makes the root a member too
+    if (root.package && root.package.name) members.unshift('');
+    const packages = members.map(member => {
+        const tables = member ? parseToml(readText(path.join(targetDir, member, 'Cargo.toml')) || '') : root;
+        const name = tables.package && tables.package.name;
+        return { name: typeof name === 'string' && name ? name : member, path: member, dependencies: cargoDependencies(tables) };
+    });
+    return { kind: 'cargo', manifest: 'Cargo.toml', packages };
+}
+
+// The directories of `use ./dir` lines and `use ( ... )` blocks
+function goWorkDirectories(text) {
+    const dirs = [];
+    let inBlock = false;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/\/\/.*$/, '').trim();
+        if (inBlock) {
+            if (line === ')') inBlock = false;
+            else if (line) dirs.push(line);
+        } else if (/^use\s*\($/.test(line)) {
+            inBlock = true;
+        } else if (line.startsWith('use ')) {
+            dirs.push(line.slice(4).trim());
+        }
+    }
+    return dirs.map(dir => dir.replace(/^"|"$/g, ''));
+}
+
+// { module, requires } of a go.mod: the module path and the module paths of its require lines
+function readGoMod(text) {
+    const moduleMatch = text.match(/^\s*module\s+(\S+)/m);
+    const requires = [];
+    let inBlock = false;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/\/\/.*$/, '').trim();
+        if (inBlock) {
+            if (line === ')') inBlock = false;
+            else if (line) requires.push(line.split(/\s+/)[0]);
+        } else if (/^require\s*\($/.test(line)) {
+            inBlock = true;
+        } else if (line.startsWith('require ')) {
+            requires.push(line.split(/\s+/)[1]);
+        }
+    }
+    return { module: moduleMatch ? moduleMatch[1].replace(/^"|"$/g, '') : null, requires };
+}
+
+function readGoWorkspace(targetDir) {
+    const text = readText(path.join(targetDir, 'go.work'));
+    if (text === null) return null;
+    const packages = goWorkDirectories(text).flatMap(dir => {
+        const member = toPosix(path.relative(targetDir, path.resolve(targetDir, dir)));
+        const goMod = readText(path.join(targetDir, member, 'go.mod'));
+        if (member.startsWith('..') || goMod === null) return [];
+        const { module, requires } = readGoMod(goMod);
+        return [{ name: module || member || path.basename(targetDir), path: member, dependencies: requires }];
+    });
+    return { kind: 'go', manifest: 'go.work', packages };
+}
+
+// PEP 503 normalised distribution name, as pip and uv compare them
+function normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// Distribution names of PEP 508 requirement strings ('core-lib[extra]>=1.0; python_version > "3.8"')
+function pythonRequirementNames(requirements) {
+    return requirements.map(requirement => requirement.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/)).filter(Boolean).map(match => match[1]);
+}
+
+function readUvWorkspace(targetDir) {
+    const text = readText(path.join(targetDir, 'pyproject.toml'));
+    if (text === null) return null;
+    const root = parseToml(text);
+    const workspace = root['tool.uv.workspace'];
+    if (!workspace) return null;
+    const excluded = (Array.isArray(workspace.exclude) ? workspace.exclude : []).map(member => '!' + member);
+    const members = expandMembers(targetDir, [...(Array.isArray(workspace.members) ? workspace.members : []), ...excluded], 'pyproject.toml');
+    // The root is a member too when it declares a [project]
+    if (root.project && root.project.name) members.unshift('');
+    const packages = members.map(member => {
+        const tables = member ? parseToml(readText(path.join(targetDir, member, 'pyproject.toml')) || '') : root;
+        const project = tables.project || {};
+        const requirements = [
+            ...(Array.isArray(project.dependencies) ? project.dependencies : []),
+            ...Object.values(tables['project.optional-dependencies'] || {}).flat(),
+            ...Object.values(tables['dependency-groups'] || {}).flat(),
+        ].filter(requirement => typeof requirement === 'string');
+        const name = typeof project.name === 'string' && project.name ? project.name : member;
+        return { name, path: member, dependencies: pythonRequirementNames(requirements) };
+    });
+    return { kind: 'uv', manifest: 'pyproject.toml', packages };
+}
+
+const WORKSPACE_READERS = [readPnpmWorkspace, readNpmWorkspaces, readCargoWorkspace, readGoWorkspace, readUvWorkspace];
+
+// --- Workspace Detection ---
+
+// Look for workspace manifests at the root of targetDir: package.json workspaces, pnpm-workspace.yaml,
+// Cargo.toml [workspace], go.work and pyproject.toml [tool.uv.workspace]. A repository may hold several kinds.
+// Returns null when there are none (or they list no packages), otherwise
+//   { manifests: [{ kind, manifest }], packages: [{ name, path, kind, dependsOn }] }
+// where path is posix and relative to targetDir ('' for a root package) and dependsOn names the sibling
+// packages of the same workspace the package depends on. pnpm-workspace.yaml wins over package.json workspaces.
+function detectWorkspace(targetDir) {
+    const manifests = [];
+    const packages = [];
+    for (const readWorkspace of WORKSPACE_READERS) {
+        const workspace = readWorkspace(targetDir);
+        if (!workspace || workspace.packages.length === 0) continue;
+        if (workspace.kind === 'npm' && manifests.some(({ kind }) => kind === 'pnpm')) continue;
+        const normalize = workspace.kind === 'uv' ? normalizePythonName : (name => name);
+        const byName = new Map(workspace.packages.map(pkg => [normalize(pkg.name), pkg.name]));
+        manifests.push({ kind: workspace.kind, manifest: workspace.manifest });
+        for (const pkg of workspace.packages) {
+            const dependsOn = [...new Set(pkg.dependencies.map(name => byName.get(normalize(name))).filter(name => name && name !== pkg.name))].sort();
+            packages.push({ name: pkg.name, path: pkg.path, kind: workspace.kind, dependsOn });
+        }
+    }
+    if (packages.length === 0) return null;
+    packages.sort((a, b) => a.path.localeCompare(b.path) || a.name.localeCompare(b.name));
+    return { manifests, packages };
+}
+
+// The files the "." export of a package.json `exports` field points to, in order (every condition included)
+function exportTargets(exports) {
+    if (typeof exports === 'string') return [exports];
+    if (!exports || typeof exports !== 'object') return [];
+    if (Array.isArray(exports)) return exports.flatMap(exportTargets);
+    const keys = Object.keys(exports);
+    if (keys.some(key => key.startsWith('.'))) return exportTargets(exports['.']);
+    return keys.flatMap(key => exportTargets(exports[key]));
+}
+
+// The entry points of the JavaScript packages of a workspace (npm, Yarn, pnpm), so imports of a sibling package
+// resolve to its files (see createDependencyGraphBuilder). Returns [{ name, path, entries }], entries being paths
+// relative to the package: its package.json exports, module, main and types, then index and src/index.
+function javaScriptPackageEntries(targetDir, workspace) {
+    return workspace.packages
+        .filter(pkg => pkg.kind === 'npm' || pkg.kind === 'pnpm')
+        .map(pkg => {
+            const packageJson = readJson(path.join(targetDir, pkg.path, 'package.json')) || {};
+            const declared = [...exportTargets(packageJson.exports), packageJson.module, packageJson.main, packageJson.types, packageJson.typings]
+                .filter(entry => typeof entry === 'string');
+            return { name: pkg.name, path: pkg.path, entries: [...new Set([...declared, 'index', 'src/index'])] };
+        });
+}
+
+function describeWorkspaceKind(kind) {
+    return WORKSPACE_KINDS[kind] || kind;
+}
+
+// The package named (or at the relative path) nameOrPath, followed by the sibling packages it depends on,
+// directly or not, unless withDependencies is false. Throws listing the package names when there is no such package.
+function selectPackages(workspace, nameOrPath, { withDependencies = true } = {}) {
+    if (!workspace) {
+        throw new Error('No workspace manifest found (package.json workspaces, pnpm-workspace.yaml, Cargo.toml [workspace], go.work or pyproject.toml [tool.uv.workspace]).');
+    }
+    const wanted = toPosix(nameOrPath).replace(/^\.\//, '').replace(/\/+$/, '');
+    // Python distribution names match however they are spelt ('core-lib' for Core.Lib)
+    const isNamed = pkg => pkg.name === nameOrPath || (pkg.kind === 'uv' && normalizePythonName(pkg.name) === normalizePythonName(nameOrPath));
+    const matches = workspace.packages.filter(isNamed).concat(workspace.packages.filter(pkg => !isNamed(pkg) && pkg.path === wanted));
+    if (matches.length === 0) {
+        const names = workspace.packages.map(pkg => pkg.name).join(', ');
+        throw new Error(`Unknown package "${nameOrPath}". Workspace packages: ${names}`);
+    }
+    const selected = [matches[0]];
+    if (!withDependencies) return selected;
+    for (let i = 0; i < selected.length; i++) {
+        for (const dependency of selected[i].dependsOn) {
+            const pkg = workspace.packages.find(candidate => candidate.name === dependency && candidate.kind === selected[i].kind);
+            if (pkg && !selected.includes(pkg)) selected.push(pkg);
+        }
+    }
+    return selected;
+}
+
+function isWithin(relativePath, dir) {
+    return dir === '' || relativePath === dir || relativePath.startsWith(dir + '/');
+}
+
+// A traversal filter (relativePath, isDirectory) => boolean keeping what belongs to the packages given (entries
+// whose innermost package among allPackages is one of them), the directories leading to them and the files at the
+// project root (the workspace manifests, README). Members nested in a selected package stay out unless selected.
+function createPackageScope(packages, allPackages = packages) {
+    const deepestFirst = [...allPackages].sort((a, b) => b.path.length - a.path.length);
+    return (relativePath, isDirectory) => {
+        const posix = toPosix(relativePath);
+        if (!isDirectory && !posix.includes('/')) return true;
+        if (isDirectory && packages.some(pkg => pkg.path.startsWith(posix + '/'))) return true;
+        return packages.includes(deepestFirst.find(pkg => isWithin(posix, pkg.path)));
+    };
+}
+
+// Add fileCount and size (bytes) to every package of the workspace, from the files whose contents the summary
+// considered (absolute paths). A file counts towards the innermost package holding it. Returns a new workspace.
+async function measurePackages(workspace, targetDir, filePaths, concurrency) {
+    const deepestFirst = [...workspace.packages].sort((a, b) => b.path.length - a.path.length);
+    const totals = new Map(workspace.packages.map(pkg => [pkg, { fileCount: 0, size: 0 }]));
+    const results = await mapWithConcurrency(filePaths, concurrency, async (filePath) => {
+        const stats = await fsPromises.stat(filePath);
+        return { relativePath: toPosix(path.relative(targetDir, filePath)), size: stats.size };
+    });
+    for (const { value } of results) {
+        if (!value) continue; // Removed since it was found
+        const pkg = deepestFirst.find(candidate => isWithin(value.relativePath, candidate.path));
+        if (!pkg) continue;
+        totals.get(pkg).fileCount++;
+        totals.get(pkg).size += value.size;
+    }
+    return { ...workspace, packages: workspace.packages.map(pkg => ({ ...pkg, ...totals.get(pkg) })) };
+}
+
+module.exports = {
+    detectWorkspace,
+    describeWorkspaceKind,
+    selectPackages,
+    createPackageScope,
+    measurePackages,
+    javaScriptPackageEntries,
+    parseToml
+};